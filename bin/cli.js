@@ -13,13 +13,36 @@ const fs = require("fs");
 const path = require("path");
 const Logger = require("../src/utils/logger");
 const { CATEGORIES, TONES } = require("../src/config");
+const { LANGUAGES, getLanguage } = require("../src/utils/languages");
 const {
   getCategoryDescription,
   getToneDescription,
 } = require("../src/utils/messageGenerator");
-const { createVideo } = require("../src/");
+const {
+  createScript,
+  regenerateSegment,
+  createVideo,
+  renderProject,
+} = require("../src/");
 const { getNoiseLessConfig, copyCommandOptions } = require("../src/utils");
 const SimpleBatchProcessor = require("../src/utils/batchProcessor");
+const { MediaCache } = require("../src/core/cache");
+const { readProject } = require("../src/core/project");
+const { formatLoudnessReport } = require("../src/utils/loudness");
+const {
+  SCRIPT_FORMATS,
+  getScriptFormat,
+  validateScriptFormat,
+  formatScript,
+  readScript,
+} = require("../src/utils/scriptFile");
+const {
+  TRANSITIONS,
+  updateSegment,
+  moveSegment,
+  duplicateSegment,
+  deleteSegment,
+} = require("../src/utils/scriptEditor");
 
 const logger = new Logger();
 
@@ -43,7 +66,13 @@ term.on("key", (name) => {
     term.processExit(0);
   }
 });
-logger.drawAsciiArt("Clip Creator CLI");
+program.hook("preAction", (_, actionCommand) => {
+  // The script command prints the script when it has no --output, the logs go to stderr so the script can be piped
+  if (actionCommand.name() === "script" && !actionCommand.opts().output) {
+    Logger.useStderr();
+  }
+  logger.drawAsciiArt("Clip Creator CLI");
+});
 
 program
   .name("clip-creator")
@@ -59,7 +88,48 @@ program
   .option("--config <path>", "Path to configuration file (JSON)")
   .option("--freeSoundKey <key>", "FreeSound API Key")
   .option("--groqKey <key>", "GROQ API Key")
+  .option(
+    "--llmProvider <provider>",
+    "Where the script is generated: groq or openai (any OpenAI-compatible server, such as a local Ollama), defaults to groq"
+  )
+  .option(
+    "--llmBaseUrl <url>",
+    "Base URL of the OpenAI-compatible server, defaults to http://localhost:11434/v1 (Ollama)"
+  )
+  .option("--llmKey <key>", "API key of the OpenAI-compatible server")
+  .option(
+    "--llmModel <model>",
+    "Model generating the script, defaults to llama3-70b-8192 on Groq and llama3 otherwise"
+  )
+  .option(
+    "--llmTemperature <temperature>",
+    "Sampling temperature of the model, defaults to 1.5",
+    parseFloat
+  )
+  .option(
+    "--llmMaxTokens <tokens>",
+    "Maximum tokens of every LLM completion, defaults to a budget scaled to the number of segments",
+    parseInt
+  )
   .option("--pexelsKey <key>", "Pexels API Key")
+  .option(
+    "--musicProvider <provider>",
+    "Where the music comes from: freesound or local (a folder of your tracks), defaults to freesound"
+  )
+  .option(
+    "--musicDir <path>",
+    "Folder of tracks used by the local music provider, with optional <track>.json sidecar mood tags and BPM"
+  )
+  .option("--minBpm <bpm>", "Minimum tempo of the music", parseFloat)
+  .option("--maxBpm <bpm>", "Maximum tempo of the music", parseFloat)
+  .option(
+    "--mediaProvider <provider>",
+    "Where the footage comes from: pexels or local (a folder of your clips), defaults to pexels"
+  )
+  .option(
+    "--mediaDir <path>",
+    "Folder of clips used by the local media provider, with optional <clip>.json sidecar tags"
+  )
   .option(
     "--category <category>",
     "Content category (use list-categories to see options)"
@@ -71,11 +141,29 @@ program
     "Key terms to include in the content (comma-separated)"
   )
   .option("--duration <seconds>", "Duration of the video in seconds", parseInt)
+  .option(
+    "--script <path>",
+    "Script file saved by the script command (JSON, YAML or Markdown), rendered without calling the LLM"
+  )
+  .option(
+    "--review",
+    "Review and edit the script in the terminal before the footage and music are searched"
+  )
+  .option(
+    "--metadata",
+    "Write a title, description, hashtags and thumbnail text for YouTube, TikTok and Instagram next to the video"
+  )
   .option(
     "--requireFactChecking",
     "Enable fact-checking in content generation",
     false
   )
+  .option(
+    "--language <code>",
+    `Language of the script, captions and narration: ${Object.keys(
+      LANGUAGES
+    ).join(", ")} (defaults to en)`
+  )
   .option(
     "--outputDir <path>",
     "Directory to store generated media (default: clip-creator-media)"
@@ -87,7 +175,32 @@ program
   )
   .option(
     "--font <path>",
-    "Path to the font file (.ttf), defaults to Open Sans"
+    "Path to the font file (.ttf), defaults to Open Sans or a Noto font for the writing system of the language"
+  )
+  .option(
+    "--captionStyle <style>",
+    "How the text is drawn: static (text box), word (one word at a time) or phrase (karaoke), defaults to static"
+  )
+  .option(
+    "--softSubtitles",
+    "Embed the subtitles in the video as a stream viewers can toggle (SRT and VTT files are always written)"
+  )
+  .option(
+    "--creditsCard",
+    "Append an end card crediting the footage and the music (credit files are always written)"
+  )
+  .option(
+    "--creditsCardDuration <seconds>",
+    "Duration of the credits end card in seconds, defaults to 4",
+    parseFloat
+  )
+  .option(
+    "--fitMode <mode>",
+    "How clips of another aspect ratio fill the frame: pad (black bars), crop (center crop) or blur (blurred background), defaults to pad"
+  )
+  .option(
+    "--shortClipStrategy <strategy>",
+    "How stock clips shorter than their segment fill it: loop, pingpong (forward then backward) or slow (slowed down), defaults to loop"
   )
   .option(
     "--fps <fps>",
@@ -120,6 +233,75 @@ program
     "Duration for fade-out effect in seconds",
     parseFloat
   )
+  .option(
+    "--musicFill <mode>",
+    "How the music fills a video longer than the track: loop (default) or chain (plays other tracks after it)"
+  )
+  .option(
+    "--musicCrossfade <seconds>",
+    "Crossfade between the looped or chained tracks in seconds, defaults to 3",
+    parseFloat
+  )
+  .option(
+    "--musicExcerpt <mode>",
+    "Which part of a track longer than the video is used: energy (default, the loudest part), phrase (the loudest part ending on a dip of the music) or start"
+  )
+  .option(
+    "--musicOffset <seconds>",
+    "Where the music starts in the track in seconds, overriding the excerpt analysis",
+    parseFloat
+  )
+  .option(
+    "--loudness <preset>",
+    "Loudness target of the final mix: youtube, tiktok, instagram (-14 LUFS), ebu (EBU R128, -23 LUFS) or off (default)"
+  )
+  .option("--narration", "Speak the text of every segment over the music")
+  .option(
+    "--ttsProvider <provider>",
+    "Text-to-speech provider for the narration: espeak or piper (defaults to espeak)"
+  )
+  .option("--voice <voice>", "Voice used by the text-to-speech provider")
+  .option(
+    "--ttsModel <path>",
+    "Path to the voice model of the text-to-speech provider (required by piper)"
+  )
+  .option(
+    "--duckMode <mode>",
+    "How the music dips under narration or text: auto, envelope, sidechain or off (defaults to auto)"
+  )
+  .option(
+    "--duckAmount <dB>",
+    "How far the music dips while ducked in dB (defaults to 10)",
+    parseFloat
+  )
+  .option(
+    "--duckAttack <seconds>",
+    "How long the music takes to dip in seconds (defaults to 0.3)",
+    parseFloat
+  )
+  .option(
+    "--duckRelease <seconds>",
+    "How long the music takes to come back up in seconds (defaults to 0.6)",
+    parseFloat
+  )
+  .option(
+    "--noCache",
+    "Always query Pexels and FreeSound instead of reusing cached searches and downloads"
+  )
+  .option(
+    "--cacheDir <path>",
+    "Directory of the search and media cache (defaults to clip-creator-generated/cache)"
+  )
+  .option(
+    "--cacheTtl <days>",
+    "Days after which cached searches and media expire (defaults to 7)",
+    parseFloat
+  )
+  .option(
+    "--cacheMaxSize <MB>",
+    "Size of the cache in MB, the least recently used entries are evicted first (defaults to 2048)",
+    parseFloat
+  )
   .option("--webRunner", "Command for the web runner to skip CLI inputs")
 
   .action(async (options) => {
@@ -138,6 +320,183 @@ program
       process.exit(1);
     }
   });
+//Command to generate a script only, so it can be reviewed and edited before the render
+program
+  .command("script")
+  .description(
+    "Generate and validate a script without rendering it, to edit it and render it with create --script"
+  )
+  .option("--config <path>", "Path to configuration file (JSON)")
+  .option("--groqKey <key>", "GROQ API Key")
+  .option(
+    "--llmProvider <provider>",
+    "Where the script is generated: groq or openai (any OpenAI-compatible server, such as a local Ollama), defaults to groq"
+  )
+  .option(
+    "--llmBaseUrl <url>",
+    "Base URL of the OpenAI-compatible server, defaults to http://localhost:11434/v1 (Ollama)"
+  )
+  .option("--llmKey <key>", "API key of the OpenAI-compatible server")
+  .option(
+    "--llmModel <model>",
+    "Model generating the script, defaults to llama3-70b-8192 on Groq and llama3 otherwise"
+  )
+  .option(
+    "--llmTemperature <temperature>",
+    "Sampling temperature of the model, defaults to 1.5",
+    parseFloat
+  )
+  .option(
+    "--llmMaxTokens <tokens>",
+    "Maximum tokens of every LLM completion, defaults to a budget scaled to the number of segments",
+    parseInt
+  )
+  .option(
+    "--category <category>",
+    "Content category (use list-categories to see options)"
+  )
+  .option("--tone <tone>", "Content tone (use list-tones to see options)")
+  .option("--topic <topic>", "Main topic or subject of the video")
+  .option(
+    "--keyTerms <terms...>",
+    "Key terms to include in the content (comma-separated)"
+  )
+  .option("--duration <seconds>", "Duration of the video in seconds", parseInt)
+  .option(
+    "--requireFactChecking",
+    "Enable fact-checking in content generation",
+    false
+  )
+  .option(
+    "--language <code>",
+    `Language of the script, captions and narration: ${Object.keys(
+      LANGUAGES
+    ).join(", ")} (defaults to en)`
+  )
+  .option(
+    "--format <format>",
+    `Format of the script: ${SCRIPT_FORMATS.join(
+      ", "
+    )} (defaults to the extension of --output or --script, or json)`
+  )
+  .option("--output <path>", "File to save the script to (defaults to stdout)")
+  .option(
+    "--script <path>",
+    "Script file (JSON, YAML or Markdown) to regenerate a segment of, with --regenerate"
+  )
+  .option(
+    "--regenerate <id>",
+    "Regenerate only this segment of --script, the other segments being its context",
+    parseInt
+  )
+  .action(async (options) => {
+    try {
+      const regenerating = options.regenerate !== undefined;
+      if (regenerating && !options.script) {
+        throw new Error("--regenerate needs the --script to regenerate");
+      }
+      const fileConfig = await loadConfig(options.config);
+      const config = getNoiseLessConfig({
+        groqKey: options.groqKey || fileConfig.groqApiKey,
+        llmProvider: options.llmProvider ?? fileConfig.llmProvider,
+        llmBaseUrl: options.llmBaseUrl ?? fileConfig.llmBaseUrl,
+        llmKey: options.llmKey || fileConfig.llmApiKey,
+        llmModel: options.llmModel ?? fileConfig.llmModel,
+        llmTemperature: options.llmTemperature ?? fileConfig.llmTemperature,
+        llmMaxTokens: options.llmMaxTokens ?? fileConfig.llmMaxTokens,
+        category: options.category || fileConfig.category,
+        tone: options.tone || fileConfig.tone,
+        topic: options.topic || fileConfig.topic,
+        keyTerms: options.keyTerms ?? fileConfig.keyTerms,
+        duration: options.duration || fileConfig.duration,
+        requireFactChecking:
+          options.requireFactChecking ?? fileConfig.factChecking,
+        language: options.language ?? fileConfig.language,
+      });
+      const missing = Object.entries({
+        ...((config.llmProvider || "groq") === "groq" && {
+          "GROQ API Key": config.groqKey,
+        }),
+        Category: config.category,
+        Tone: config.tone,
+        ...(!regenerating && { Duration: config.duration }),
+      })
+        .filter(([, value]) => !value)
+        .map(([name]) => name);
+      if (missing.length > 0) {
+        throw new Error(
+          `Missing required configuration: ${missing.join(", ")}`
+        );
+      }
+      // Validate early so a typo does not surface after the LLM call
+      getLanguage(config.language);
+      const format =
+        options.format ||
+        getScriptFormat(options.output || options.script || "script.json");
+      validateScriptFormat(format);
+
+      const script = formatScript(
+        regenerating
+          ? await regenerateSegment(
+              config,
+              readScript(path.resolve(options.script)),
+              options.regenerate
+            )
+          : await createScript(config),
+        format
+      );
+      if (options.output) {
+        fs.writeFileSync(path.resolve(options.output), script);
+        STYLES.success(`\n✅  Script saved to ${options.output}\n`);
+      } else {
+        // Exiting before a piped stdout is flushed would cut the script
+        await new Promise((resolve) => process.stdout.write(script, resolve));
+      }
+      process.exit(0);
+    } catch (error) {
+      logger.terminal().bold.red(`\n⚠️  Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  });
+//Command to render a video again from the project file of an earlier render
+program
+  .command("render")
+  .description(
+    "Render a video again from its project file, reusing its script, footage and music"
+  )
+  .requiredOption(
+    "--project <path>",
+    "Path to the project file written next to the video (<video>_project.json)"
+  )
+  .option("--config <path>", "Path to configuration file (JSON)")
+  .option("--freeSoundKey <key>", "FreeSound API Key")
+  .option("--pexelsKey <key>", "Pexels API Key")
+  .option(
+    "--outputDir <path>",
+    "Directory to store generated media (defaults to the one of the project)"
+  )
+  .action(async (options) => {
+    try {
+      const fileConfig = await loadConfig(options.config);
+      const project = readProject(path.resolve(options.project));
+      STYLES.success(
+        `\n✅  Rendering ${path.basename(project.video)} again...\n`
+      );
+      const summary = await renderProject(
+        project,
+        getNoiseLessConfig({
+          freeSoundKey: options.freeSoundKey || fileConfig.freeSoundApiKey,
+          pexelsKey: options.pexelsKey || fileConfig.pexelsApiKey,
+          outputDir: options.outputDir,
+        })
+      );
+      printRunSummary(summary);
+      process.exit(0);
+    } catch (error) {
+      STYLES.error(`\n⚠️  Error: ${error.message}\n`);
+      process.exit(1);
+    }
+  });
 //Command to print the categories
 program
   .command("list-categories")
@@ -181,6 +540,67 @@ program
       process.exit(1);
     }
   });
+//Command to inspect and clean the search and media cache
+program
+  .command("cache")
+  .description("Inspect, prune or clear the cache of Pexels and FreeSound searches and media")
+  .argument("[action]", "inspect, prune or clear", "inspect")
+  .option(
+    "--cacheDir <path>",
+    "Directory of the cache (defaults to clip-creator-generated/cache)"
+  )
+  .option(
+    "--cacheTtl <days>",
+    "Prune entries older than this many days (defaults to 7)",
+    parseFloat
+  )
+  .option(
+    "--cacheMaxSize <MB>",
+    "Prune the least recently used entries above this size in MB (defaults to 2048)",
+    parseFloat
+  )
+  .action((action, options) => {
+    const cache = new MediaCache(
+      getNoiseLessConfig({
+        cacheDir: options.cacheDir,
+        ttl: options.cacheTtl,
+        maxSize: options.cacheMaxSize,
+      })
+    );
+    const formatSize = (bytes) => `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+
+    switch (action) {
+      case "inspect": {
+        const stats = cache.getStats();
+        term.bold.cyan(`Cache: ${cache.config.cacheDir}\n`);
+        Object.entries(stats.groups).forEach(([group, { entries, size }]) => {
+          term.bold(`\n${group}`);
+          term(`: ${entries} entries, ${formatSize(size)}`);
+        });
+        term(
+          `\n\nTotal: ${stats.entries} entries, ${formatSize(
+            stats.size
+          )} of ${cache.config.maxSize} MB, ${stats.expired} expired\n`
+        );
+        break;
+      }
+      case "prune":
+      case "clear": {
+        const { removed, freed } =
+          action === "prune" ? cache.prune() : cache.clear();
+        STYLES.success(
+          `\n✅ Removed ${removed} entries, freed ${formatSize(freed)}\n`
+        );
+        break;
+      }
+      default:
+        STYLES.error(
+          `\n⚠️  Error: Unknown cache action "${action}". Use inspect, prune or clear\n`
+        );
+        process.exit(1);
+    }
+    process.exit(0);
+  });
 const createCommand = program.commands.find((cmd) => cmd.name() === "create");
 
 // Command to create multiple videos from a single command
@@ -252,7 +672,7 @@ batchCommand.action(async (options) => {
 program.parse(process.argv);
 
 process.on("exit", () => {
-  term.red.bold("\n\nExiting Clip-Creator CLI... Goodbye!\n");
+  logger.terminal().red.bold("\n\nExiting Clip-Creator CLI... Goodbye!\n");
 
   term.grabInput(false);
 });
@@ -277,21 +697,60 @@ function validateConfigStructure(config) {
   const validKeys = [
     "freeSoundApiKey",
     "groqApiKey",
+    "llmProvider",
+    "llmBaseUrl",
+    "llmApiKey",
+    "llmModel",
+    "llmTemperature",
+    "llmMaxTokens",
     "pexelsApiKey",
+    "mediaProvider",
+    "mediaDir",
+    "musicProvider",
+    "musicDir",
+    "script",
+    "review",
+    "metadata",
+    "minBpm",
+    "maxBpm",
     "category",
     "tone",
     "topic",
     "duration",
     "factChecking",
+    "language",
     "outputDir",
     "fontSize",
     "font",
+    "captionStyle",
+    "softSubtitles",
+    "creditsCard",
+    "creditsCardDuration",
+    "fitMode",
+    "shortClipStrategy",
     "fps",
     "height",
     "width",
     "volume",
     "fadeInDuration",
     "fadeOutDuration",
+    "musicFill",
+    "musicCrossfade",
+    "musicExcerpt",
+    "musicOffset",
+    "loudness",
+    "narration",
+    "ttsProvider",
+    "voice",
+    "ttsModel",
+    "duckMode",
+    "duckAmount",
+    "duckAttack",
+    "duckRelease",
+    "noCache",
+    "cacheDir",
+    "cacheTtl",
+    "cacheMaxSize",
   ];
   const invalidKeys = Object.keys(config).filter(
     (key) => !validKeys.includes(key)
@@ -306,13 +765,25 @@ function validateConfigStructure(config) {
 }
 
 async function validateCoreConfig(config) {
+  const mediaProvider = config.mediaProvider || "pexels";
+  const musicProvider = config.musicProvider || "freesound";
   const required = {
-    "FreeSound API Key": config.freeSoundKey,
-    "GROQ API Key": config.groqKey,
-    "Pexels API Key": config.pexelsKey,
+    ...(musicProvider === "freesound" && {
+      "FreeSound API Key": config.freeSoundKey,
+    }),
+    ...(musicProvider === "local" && { "Music Folder": config.musicDir }),
+    ...(mediaProvider === "pexels" && { "Pexels API Key": config.pexelsKey }),
+    ...(mediaProvider === "local" && { "Media Folder": config.mediaDir }),
     Category: config.category,
-    Tone: config.tone,
-    Topic: config.topic,
+    // A script file replaces the LLM call and its inputs
+    ...((!config.script || config.metadata) &&
+      (config.llmProvider || "groq") === "groq" && {
+        "GROQ API Key": config.groqKey,
+      }),
+    ...(!config.script && {
+      Tone: config.tone,
+      Topic: config.topic,
+    }),
   };
 
   const missing = Object.entries(required)
@@ -322,6 +793,7 @@ async function validateCoreConfig(config) {
   if (missing.length > 0) {
     throw new Error(`Missing required configuration: ${missing.join(", ")}`);
   }
+  getLanguage(config.language);
 }
 function formatConfigValue(value) {
   if (Array.isArray(value)) return value.join(", ");
@@ -331,30 +803,84 @@ function formatConfigValue(value) {
   return value;
 }
 
+function printRunSummary({ videoPath, loudness }) {
+  logger
+    .terminal()
+    .bold.brightGreen(`\n📂 Your final video is ready at: ${videoPath}\n`);
+  if (loudness) {
+    logger
+      .terminal()
+      .cyan(
+        `🔊 Loudness of the final mix: ${formatLoudnessReport(loudness)}\n`
+      );
+  }
+}
+
 async function getConfiguration(cliOptions, fileConfig) {
   const config = {
     // Required parameters
     freeSoundKey: cliOptions.freeSoundKey || fileConfig.freeSoundApiKey,
     groqKey: cliOptions.groqKey || fileConfig.groqApiKey,
+    llmProvider: cliOptions.llmProvider ?? fileConfig.llmProvider,
+    llmBaseUrl: cliOptions.llmBaseUrl ?? fileConfig.llmBaseUrl,
+    llmKey: cliOptions.llmKey || fileConfig.llmApiKey,
+    llmModel: cliOptions.llmModel ?? fileConfig.llmModel,
+    llmTemperature: cliOptions.llmTemperature ?? fileConfig.llmTemperature,
+    llmMaxTokens: cliOptions.llmMaxTokens ?? fileConfig.llmMaxTokens,
     pexelsKey: cliOptions.pexelsKey || fileConfig.pexelsApiKey,
+    mediaProvider: cliOptions.mediaProvider ?? fileConfig.mediaProvider,
+    mediaDir: cliOptions.mediaDir ?? fileConfig.mediaDir,
+    musicProvider: cliOptions.musicProvider ?? fileConfig.musicProvider,
+    musicDir: cliOptions.musicDir ?? fileConfig.musicDir,
+    minBpm: cliOptions.minBpm ?? fileConfig.minBpm,
+    maxBpm: cliOptions.maxBpm ?? fileConfig.maxBpm,
     category: cliOptions.category || fileConfig.category,
     tone: cliOptions.tone || fileConfig.tone,
     topic: cliOptions.topic || fileConfig.topic,
 
     duration: cliOptions.duration || fileConfig.duration,
+    script: cliOptions.script ?? fileConfig.script,
+    review: cliOptions.review ?? fileConfig.review,
+    metadata: cliOptions.metadata ?? fileConfig.metadata,
     // Optional parameters
     keyTerms: cliOptions.keyTerms ?? fileConfig.keyTerms,
     requireFactChecking:
       cliOptions.requireFactChecking ?? fileConfig.factChecking,
+    language: cliOptions.language ?? fileConfig.language,
     outputDir: cliOptions.outputDir ?? fileConfig.outputDir,
     volume: cliOptions.volume ?? fileConfig.volume,
     fadeInDuration: cliOptions.fadeInDuration ?? fileConfig.fadeInDuration,
     fadeOutDuration: cliOptions.fadeOutDuration ?? fileConfig.fadeOutDuration,
+    musicFill: cliOptions.musicFill ?? fileConfig.musicFill,
+    musicCrossfade: cliOptions.musicCrossfade ?? fileConfig.musicCrossfade,
+    musicExcerpt: cliOptions.musicExcerpt ?? fileConfig.musicExcerpt,
+    musicOffset: cliOptions.musicOffset ?? fileConfig.musicOffset,
+    loudness: cliOptions.loudness ?? fileConfig.loudness,
     fontSize: cliOptions.fontSize ?? fileConfig.fontSize,
     font: cliOptions.font ?? fileConfig.font,
+    captionStyle: cliOptions.captionStyle ?? fileConfig.captionStyle,
+    softSubtitles: cliOptions.softSubtitles ?? fileConfig.softSubtitles,
+    creditsCard: cliOptions.creditsCard ?? fileConfig.creditsCard,
+    creditsCardDuration:
+      cliOptions.creditsCardDuration ?? fileConfig.creditsCardDuration,
+    fitMode: cliOptions.fitMode ?? fileConfig.fitMode,
+    shortClipStrategy:
+      cliOptions.shortClipStrategy ?? fileConfig.shortClipStrategy,
     fps: cliOptions.fps ?? fileConfig.fps,
     height: cliOptions.height ?? fileConfig.height,
     width: cliOptions.width ?? fileConfig.width,
+    narration: cliOptions.narration ?? fileConfig.narration,
+    ttsProvider: cliOptions.ttsProvider ?? fileConfig.ttsProvider,
+    voice: cliOptions.voice ?? fileConfig.voice,
+    ttsModel: cliOptions.ttsModel ?? fileConfig.ttsModel,
+    duckMode: cliOptions.duckMode ?? fileConfig.duckMode,
+    duckAmount: cliOptions.duckAmount ?? fileConfig.duckAmount,
+    duckAttack: cliOptions.duckAttack ?? fileConfig.duckAttack,
+    duckRelease: cliOptions.duckRelease ?? fileConfig.duckRelease,
+    noCache: cliOptions.noCache ?? fileConfig.noCache,
+    cacheDir: cliOptions.cacheDir ?? fileConfig.cacheDir,
+    cacheTtl: cliOptions.cacheTtl ?? fileConfig.cacheTtl,
+    cacheMaxSize: cliOptions.cacheMaxSize ?? fileConfig.cacheMaxSize,
   };
 
   await collectRequiredConfig(config);
@@ -366,21 +892,34 @@ async function getConfiguration(cliOptions, fileConfig) {
 }
 
 async function collectRequiredConfig(config) {
-  if (!config.freeSoundKey)
+  if (
+    !config.freeSoundKey &&
+    (config.musicProvider || "freesound") === "freesound"
+  )
     config.freeSoundKey = await promptText("FreeSound API Key:", "", true);
 
-  if (!config.groqKey)
+  if (!config.musicDir && config.musicProvider === "local")
+    config.musicDir = await promptText("Folder of your music:", "", true);
+
+  if (
+    !config.groqKey &&
+    (!config.script || config.metadata) &&
+    (config.llmProvider || "groq") === "groq"
+  )
     config.groqKey = await promptText("GROQ API Key:", "", true);
 
-  if (!config.pexelsKey)
+  if (!config.pexelsKey && (config.mediaProvider || "pexels") === "pexels")
     config.pexelsKey = await promptText("Pexels API Key:", "", true);
 
-  if (!config.duration) {
+  if (!config.mediaDir && config.mediaProvider === "local")
+    config.mediaDir = await promptText("Folder of your clips:", "", true);
+
+  if (!config.duration && !config.script) {
     config.duration = await promptNumber("Duration (seconds):", 10, 60);
   }
   if (!config.category) config.category = await promptCategory();
-  if (!config.tone) config.tone = await promptTone();
-  if (!config.topic)
+  if (!config.tone && !config.script) config.tone = await promptTone();
+  if (!config.topic && !config.script)
     config.topic = await promptText(
       "Video topic:",
       "e.g., AI advancements",
@@ -397,6 +936,20 @@ async function collectOptionalConfig(config) {
   if (!config.requireFactChecking) {
     config.requireFactChecking = await promptBoolean("Enable fact-checking?");
   }
+  if (!config.review) {
+    config.review = await promptBoolean("Review the script before rendering?");
+  }
+  if (!config.metadata) {
+    config.metadata = await promptBoolean(
+      "Write publishing metadata (titles, descriptions, hashtags)?"
+    );
+    if (
+      config.metadata &&
+      !config.groqKey &&
+      (config.llmProvider || "groq") === "groq"
+    )
+      config.groqKey = await promptText("GROQ API Key:", "", true);
+  }
   if (!config.outputDir) {
     config.outputDir = await promptText(
       "Output directory:",
@@ -427,10 +980,17 @@ async function collectOptionalConfig(config) {
     config.fontSize = await promptNumber("Font size of the text:", 12, 72);
   }
 
+  if (!config.language) {
+    config.language = await promptText(
+      `Language (${Object.keys(LANGUAGES).join(", ")}):`,
+      "Defaults to en (press Enter to skip)"
+    );
+  }
+
   if (!config.font) {
     config.font = await promptText(
       "Path to the font file:",
-      "Defaults to Open Sans (press Enter to skip)"
+      "Defaults to Open Sans or a Noto font for the language (press Enter to skip)"
     );
   }
 
@@ -445,6 +1005,10 @@ async function collectOptionalConfig(config) {
   if (!config.width) {
     config.width = await promptNumber("Width of the video (px):", 240, 1920);
   }
+
+  if (config.narration === undefined) {
+    config.narration = await promptBoolean("Add a text-to-speech narration?");
+  }
 }
 
 async function promptMenuSelection(items) {
@@ -557,6 +1121,150 @@ async function promptBoolean(message) {
   return response.selectedIndex === 0;
 }
 
+async function promptIndex(items) {
+  const response = await term.singleColumnMenu(items, {
+    leftPadding: "  ",
+    selectedLeftPadding: "▶ ",
+    selectedStyle: term.bold.bgGreen.black,
+  }).promise;
+
+  return response.selectedIndex;
+}
+
+async function promptEdit(message, value) {
+  term("\n");
+  STYLES.prompt(`➤ ${message}\n`);
+
+  const input = await term.inputField({
+    style: STYLES.input,
+    default: value,
+    maxLength: 300,
+  }).promise;
+
+  return input.trim();
+}
+
+function truncateText(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+async function reviewScript(script, regenerate) {
+  let current = script;
+  let notice;
+
+  while (true) {
+    const { segments } = current;
+    term.clear();
+    STYLES.title(`\n  📝  Script Review  \n`);
+    STYLES.subtitle(
+      "Select a segment to edit it • Select Render once the script is ready\n\n"
+    );
+    term.table(
+      [
+        ["#", "Text", "Footage", "Transition"],
+        ...segments.map((segment) => [
+          String(segment.id),
+          segment.text,
+          segment.description,
+          segment.transition,
+        ]),
+      ],
+      {
+        hasBorder: true,
+        borderChars: "rounded",
+        borderAttr: STYLES.dim,
+        firstRowTextAttr: { bold: true },
+        width: (term.width || 84) - 4,
+        fit: true,
+      }
+    );
+    if (notice) {
+      STYLES.error(`\n✖ ${notice}\n`);
+      notice = undefined;
+    }
+    term("\n");
+
+    const choice = await promptIndex([
+      ...segments.map(
+        (segment) => `Segment ${segment.id}: ${truncateText(segment.text, 60)}`
+      ),
+      "✅ Render the video",
+    ]);
+    if (choice === segments.length) {
+      return current;
+    }
+    try {
+      current = await editSegment(current, choice, regenerate);
+    } catch (error) {
+      notice = error.message;
+    }
+  }
+}
+
+async function editSegment(script, index, regenerate) {
+  const { segments } = script;
+  const segment = segments[index];
+  const withSegments = (edited) => ({ ...script, segments: edited });
+
+  term.clear();
+  STYLES.title(`\n  ✏️  Segment ${segment.id}  \n\n`);
+  STYLES.highlight("Text: ");
+  term(`${segment.text}\n`);
+  STYLES.highlight("Footage: ");
+  term(`${segment.description}\n`);
+  STYLES.highlight("Transition: ");
+  term(`${segment.transition}\n\n`);
+
+  const actions = [
+    [
+      "Edit the text",
+      async () =>
+        updateSegment(segments, index, {
+          text: await promptEdit("Text:", segment.text),
+        }),
+    ],
+    [
+      "Edit the footage description",
+      async () =>
+        updateSegment(segments, index, {
+          description: await promptEdit(
+            "Footage description:",
+            segment.description
+          ),
+        }),
+    ],
+    [
+      "Change the transition",
+      async () => {
+        term("\n");
+        STYLES.prompt("➤ Transition:\n");
+        return updateSegment(segments, index, {
+          transition: TRANSITIONS[await promptIndex(TRANSITIONS)],
+        });
+      },
+    ],
+    ["Move up", async () => moveSegment(segments, index, -1)],
+    ["Move down", async () => moveSegment(segments, index, 1)],
+    ["Duplicate", async () => duplicateSegment(segments, index)],
+    ["Delete", async () => deleteSegment(segments, index)],
+    ...(regenerate
+      ? [
+          [
+            "Regenerate with the LLM",
+            async () => {
+              STYLES.dim(`\n🔄 Regenerating segment ${segment.id}...\n`);
+              return (await regenerate(script, segment.id)).segments;
+            },
+          ],
+        ]
+      : []),
+    ["Back", async () => segments],
+  ];
+
+  const choice = await promptIndex(actions.map(([label]) => label));
+  return withSegments(await actions[choice][1]());
+}
+
 async function processVideoCreation(config) {
   term.clear();
   STYLES.title(`\n  🎬  Video Creation Summary  \n`);
@@ -586,11 +1294,23 @@ async function processVideoCreation(config) {
   term("\n\n");
   STYLES.success("✅  Starting video creation process...\n");
   const noiseLessConfig = getNoiseLessConfig(config);
-  const output = await createVideo(noiseLessConfig);
+  // The web runner and the batch processes cannot answer prompts
+  const hooks =
+    noiseLessConfig.review && !noiseLessConfig.webRunner
+      ? {
+          reviewScript: (script) =>
+            reviewScript(
+              script,
+              (noiseLessConfig.groqKey ||
+                (noiseLessConfig.llmProvider || "groq") !== "groq") &&
+                ((current, segmentId) =>
+                  regenerateSegment(noiseLessConfig, current, segmentId))
+            ),
+        }
+      : {};
+  const summary = await createVideo(noiseLessConfig, hooks);
   logger.terminal().green(logger.drawAsciiArt("Success !"));
-  logger
-    .terminal()
-    .bold.brightGreen(`\n📂 Your final video is ready at: ${output}\n`);
+  printRunSummary(summary);
   logger
     .terminal()
     .bgBlue()
@@ -8,41 +8,100 @@
 "use strict";
 const path = require("path");
 const fs = require("fs");
-const { promisify } = require("util");
-const { Stream } = require("stream");
 const { v4: uuidv4 } = require("uuid");
 const ffmpeg = require("fluent-ffmpeg");
 const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
 const Logger = require("../utils/logger");
+const { getNoiseLessConfig } = require("../utils");
+const { createMusicProvider } = require("../providers/audio");
+const {
+  DUCKING_DEFAULTS,
+  buildDuckingEnvelope,
+} = require("../utils/ducking");
+const {
+  MUSIC_FILL_MODES,
+  getCrossfadeDuration,
+  planMusicBed,
+  buildCrossfadeFilter,
+} = require("../utils/musicBed");
+const {
+  MUSIC_EXCERPT_MODES,
+  buildEnergyFilters,
+  parseEnergyLevels,
+  findBestExcerpt,
+} = require("../utils/musicExcerpt");
+const { getProviderCredit } = require("../utils/credits");
 
-const pipeline = promisify(Stream.pipeline);
 ffmpeg.setFfmpegPath(ffmpegPath);
 
 class AudioManager {
   /**
    * Initializes the AudioManager instance with a given configuration.
    * @param {Object} config - Configuration object for the AudioManager.
-   * @param {string} config.freeSoundKey - API key for accessing the FreeSound API.
+   * @param {string} [config.freeSoundKey] - API key for accessing the FreeSound API (required by the freesound music provider).
+   * @param {string|Object} [config.musicProvider] - Name of the music provider (freesound, local) or a custom provider instance. Defaults to freesound
+   * @param {string} [config.musicDir] - Folder of tracks used by the local music provider.
+   * @param {number} [config.minMusicDuration] - Minimum duration of the tracks in seconds. Defaults to 60 seconds
+   * @param {number} [config.minBpm] - Minimum tempo of the tracks, when the provider knows it.
+   * @param {number} [config.maxBpm] - Maximum tempo of the tracks, when the provider knows it.
+   * @param {string} [config.musicFill] - How the music fills a video longer than the track: loop or chain. Defaults to loop
+   * @param {number} [config.musicCrossfade] - Crossfade between the looped or chained tracks in seconds. Defaults to 3 seconds
+   * @param {string} [config.musicExcerpt] - Which part of a track longer than the video is used: energy, phrase or start. Defaults to energy
+   * @param {number} [config.musicOffset] - Where the music starts in the track in seconds, overriding the excerpt analysis.
    * @param {string} [config.outputDir] - Directory Path to store the output. Defaults to the current_working_directory/clip-creator-generated/audio
    * @param {number} [config.fadeInDuration] - The audio fade In Duration in seconds. Defaults to 2 seconds
    * @param {number} [config.fadeOutDuration] - The audio fade Out Duration in seconds. Defaults to 4 seconds
    * @param {number} [config.volume] - The default volume. Defaults to 0.3. Maximum value 1.
    * @param {string} [config.outputFormat] - The output format of the audio output. Defaults to .mp3
-   * @throws {Error} If the FreeSound API key is not provided.
+   * @param {number} [config.duckAmount] - How far the music dips under the ducking windows in dB. Defaults to 10
+   * @param {number} [config.duckAttack] - How long the music takes to dip in seconds. Defaults to 0.3
+   * @param {number} [config.duckRelease] - How long the music takes to come back up in seconds. Defaults to 0.6
+   * @param {MediaCache} [config.cache] - Disk cache for the FreeSound searches and previews. Nothing is cached without it
+   * @throws {Error} If the FreeSound API key is not provided to the freesound music provider, the fill or excerpt mode is unknown or the music offset is negative.
    */
   constructor(config) {
-    if (!config.freeSoundKey) {
-      throw new Error("FreeSound API key is required");
-    }
-
     this.config = {
       ...AudioManager.DEFAULT_CONFIG,
       ...config,
     };
 
+    if (!MUSIC_FILL_MODES.includes(this.config.musicFill)) {
+      throw new Error(
+        `Invalid music fill mode "${
+          this.config.musicFill
+        }". Use one of: ${MUSIC_FILL_MODES.join(", ")}`
+      );
+    }
+    if (!MUSIC_EXCERPT_MODES.includes(this.config.musicExcerpt)) {
+      throw new Error(
+        `Invalid music excerpt mode "${
+          this.config.musicExcerpt
+        }". Use one of: ${MUSIC_EXCERPT_MODES.join(", ")}`
+      );
+    }
+    if (
+      this.config.musicOffset !== undefined &&
+      !(this.config.musicOffset >= 0)
+    ) {
+      throw new Error(
+        `Invalid music offset "${this.config.musicOffset}". Use a number of seconds from 0`
+      );
+    }
+
+    this.provider = createMusicProvider(
+      this.config.musicProvider,
+      getNoiseLessConfig({
+        apiKey: config.freeSoundKey,
+        directory: config.musicDir,
+        cache: config.cache,
+      })
+    );
     this.logger = new Logger();
+    // Attribution of the tracks of the last generated music
+    this.credits = [];
+    // Tracks and offset of the last generated music, so a project file can pin them
+    this.selection = null;
     this.ensureTempDirectory();
-    this.FREESOUND_API_URL = "https://freesound.org/apiv2/search/text/";
   }
 
   /**
@@ -55,10 +114,19 @@ class AudioManager {
     outputDir: path.join(process.cwd(), "clip-creator-generated", "audio"),
     fadeInDuration: 2,
     fadeOutDuration: 4,
+    duckAmount: DUCKING_DEFAULTS.amount,
+    duckAttack: DUCKING_DEFAULTS.attack,
+    duckRelease: DUCKING_DEFAULTS.release,
+    musicProvider: "freesound",
+    minMusicDuration: 60,
+    musicFill: "loop",
+    musicCrossfade: 3,
+    musicExcerpt: "energy",
   };
 
   /**
    * Category-to-search-term mappings with mapping to multiple set of terms for generating relevant audio.
+   * The terms are also the mood tags the local music provider matches tracks against.
    */
   CATEGORY_MAPPINGS = {
     "Science & Technology": ["electronic futuristic", "ambient digital"],
@@ -118,28 +186,131 @@ class AudioManager {
   }
 
   /**
-   * Applies fade-in and fade-out effects to an audio file.
+   * Applies fade-in and fade-out effects to an audio file, optionally ducking the music during the given windows.
    * @param {string} inputPath - Path to the input audio file.
    * @param {string} outputPath - Path to the output processed audio file.
    * @param {number} fadeInDuration - Duration of the fade-in effect in seconds.
    * @param {number} fadeOutDuration - Duration of the fade-out effect in seconds.
+   * @param {Array<{start: number, end: number}>} [duckWindows] - Windows in seconds during which the music dips.
+   * @param {number} [targetDuration] - Duration of the video in seconds. The audio is cut, or padded with silence, to it and fades out at its end.
+   * @param {number} [offset] - Where the audio starts in the input file in seconds. Defaults to 0
    * @returns {Promise<string>} Path to the processed audio file.
    */
-  applyFadeEffects(inputPath, outputPath, fadeInDuration, fadeOutDuration) {
+  applyFadeEffects(
+    inputPath,
+    outputPath,
+    fadeInDuration,
+    fadeOutDuration,
+    duckWindows = [],
+    targetDuration,
+    offset = 0
+  ) {
     return new Promise(async (resolve, reject) => {
-      const duration = await this.getAudioDuration(inputPath);
-      const fadeOutStart = duration - fadeOutDuration;
+      const duration =
+        targetDuration ?? (await this.getAudioDuration(inputPath)) - offset;
+      const fadeOutStart = Math.max(0, duration - fadeOutDuration);
+      const duckingEnvelope = buildDuckingEnvelope(duckWindows, {
+        amount: this.config.duckAmount,
+        attack: this.config.duckAttack,
+        release: this.config.duckRelease,
+      });
 
       ffmpeg(inputPath)
+        .seekInput(offset)
         .toFormat("mp3")
         .audioCodec("libmp3lame")
         .audioFrequency(44100)
         .audioChannels(2)
-        .audioFilters([
-          `afade=t=in:st=0:d=${fadeInDuration}`,
-          `afade=t=out:st=${fadeOutStart}:d=${fadeOutDuration}`,
-          `volume=${this.config.volume}`,
-        ])
+        .audioFilters(
+          [
+            `afade=t=in:st=0:d=${fadeInDuration}`,
+            `afade=t=out:st=${fadeOutStart}:d=${fadeOutDuration}`,
+            `volume=${this.config.volume}`,
+            duckingEnvelope,
+            targetDuration && "apad",
+          ].filter(Boolean)
+        )
+        .duration(duration)
+        .output(outputPath)
+        .on("end", () => resolve(outputPath))
+        .on("error", (err) => {
+          this.logger.error("FFmpeg error:", err.message);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Measures the RMS level of every second of an audio file.
+   * @param {string} filePath - Path to the audio file.
+   * @returns {Promise<EnergyLevel[]>} The levels of the file.
+   */
+  analyzeEnergy(filePath) {
+    return new Promise((resolve, reject) => {
+      const lines = [];
+      ffmpeg(filePath)
+        .audioFilters(buildEnergyFilters())
+        .format("null")
+        .output("-")
+        .on("stderr", (line) => lines.push(line))
+        .on("end", () => resolve(parseEnergyLevels(lines)))
+        .on("error", reject)
+        .run();
+    });
+  }
+
+  /**
+   * Finds where the music starts in the first track. The musicOffset setting wins, otherwise a track longer
+   * than the video is analyzed for its best excerpt. A failed analysis falls back to the beginning of the track.
+   * @param {{path: string, duration: number}} track - The first track of the music.
+   * @param {number} [targetDuration] - Duration of the video in seconds.
+   * @returns {Promise<number>} Offset of the music in the track in seconds.
+   */
+  async findExcerptOffset(track, targetDuration) {
+    if (this.config.musicOffset !== undefined) {
+      return this.config.musicOffset;
+    }
+    if (
+      !targetDuration ||
+      this.config.musicExcerpt === "start" ||
+      track.duration <= targetDuration
+    ) {
+      return 0;
+    }
+
+    try {
+      const levels = await this.analyzeEnergy(track.path);
+      const offset = Math.min(
+        findBestExcerpt(levels, targetDuration, this.config.musicExcerpt),
+        track.duration - targetDuration
+      );
+      this.logger
+        .terminal()
+        .cyan(`[INFO] 🎼 Using the excerpt starting at ${offset}s\n`);
+      return offset;
+    } catch (error) {
+      this.logger.error(`Music analysis failed: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Crossfades the pieces of a music bed into a single file.
+   * @param {string[]} trackPaths - Paths of the pieces, in the order they play.
+   * @param {string} outputPath - Path to the music bed.
+   * @param {number} crossfade - Duration of every crossfade in seconds.
+   * @returns {Promise<string>} Path to the music bed.
+   */
+  crossfadeTracks(trackPaths, outputPath, crossfade) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      trackPaths.forEach((trackPath) => command.input(trackPath));
+
+      command
+        .complexFilter(buildCrossfadeFilter(trackPaths.length, crossfade))
+        .outputOptions(["-map [music]"])
+        .audioCodec("libmp3lame")
         .output(outputPath)
         .on("end", () => resolve(outputPath))
         .on("error", (err) => {
@@ -150,16 +321,66 @@ class AudioManager {
     });
   }
 
+  /**
+   * Fetches the tracks filling the target duration. The loop mode only uses the selected track,
+   * the chain mode adds the other results of the search until they cover the video.
+   * @param {Object} selectedTrack - The track the music starts with.
+   * @param {Object[]} results - The results of the search.
+   * @param {number} [targetDuration] - Duration of the video in seconds.
+   * @param {string} musicId - Prefix of the downloaded files.
+   * @returns {Promise<Array<{track: Object, path: string, duration: number, downloaded: boolean}>>} The fetched tracks.
+   */
+  async fetchTracks(selectedTrack, results, targetDuration, musicId) {
+    const candidates = [
+      selectedTrack,
+      ...(this.config.musicFill === "chain"
+        ? results.filter((track) => track !== selectedTrack)
+        : []),
+    ];
+    const tracks = [];
+    let covered = 0;
+
+    for (const track of candidates) {
+      if (tracks.length && covered >= (targetDuration || 0)) {
+        break;
+      }
+      const rawPath = path.join(
+        this.config.outputDir,
+        `${musicId}_raw${tracks.length}.${this.config.outputFormat}`
+      );
+      // Cached and local tracks are used in place
+      const trackPath = await this.provider.fetchTrack(track, rawPath);
+      const duration = await this.getAudioDuration(trackPath);
+      tracks.push({
+        track,
+        path: trackPath,
+        duration,
+        downloaded: trackPath === rawPath,
+      });
+      covered += duration - this.config.musicCrossfade;
+    }
+
+    return tracks;
+  }
+
   /**
    * Generates a music file based on the provided category and parameters. Attempts to retry calling the function if the API returns 404 or errors out
    * @param {Object} params - Parameters for generating music.
    * @param {string} params.category - Category for the music (e.g., "tech", "sports").
-   * @returns {Promise<String>} The path of the generated music file.
+   * @param {number} [params.duration] - Duration of the video in seconds. Shorter tracks are looped or chained with crossfades
+   * and the music fades out at the end of the video.
+   * @param {Array<{start: number, end: number}>} [params.duckWindows] - Windows in seconds during which the music dips.
+   * @param {Object[]} [params.tracks] - Tracks of a project file, in the order they play, used instead of searching.
+   * @param {number} [params.offset] - Where the music of a project file starts in the first track in seconds, used instead of analyzing it.
+   * @returns {Promise<String>} The path of the generated music file, the attribution of its tracks is kept in `credits`
+   * and the tracks and offset in `selection`.
    * @throws {Error} If no music is found or an error occurs during processing.
    */
   async generateMusic(params) {
     const MAX_RETRIES = 3;
     let attempt = 0;
+    this.credits = [];
+    this.selection = null;
 
     // Generate alternative search terms for retries
     const searchTerms = this.getSearchTerms(params.category);
@@ -171,38 +392,31 @@ class AudioManager {
         this.logger
           .terminal()
           .cyan(
-            `[INFO] 🎵 Searching for: "${searchTerm}" (Attempt ${
-              attempt + 1
-            })\n`
+            `[INFO] 🎵 ${
+              params.tracks
+                ? "Using the music of the project"
+                : `Searching for: "${searchTerm}"`
+            } (Attempt ${attempt + 1})\n`
           );
 
-        const searchResponse = await fetch(
-          `${this.FREESOUND_API_URL}?${new URLSearchParams({
-            query: searchTerm,
-
-            filter: "duration:[60 TO *]",
-            sort: "rating_desc",
-            fields: "id,name,previews,duration,username",
-          })}`,
-          {
-            headers: {
-              Authorization: `Token ${this.config.freeSoundKey}`, // ✅ Correct way to send the token
-            },
-          }
-        );
-
-        if (!searchResponse.ok) {
-          throw new Error(`API request failed: ${searchResponse.status}`);
-        }
-
-        const data = await searchResponse.json();
-        if (!data.results || data.results.length === 0) {
+        const results =
+          params.tracks ||
+          (await this.provider.search(
+            getNoiseLessConfig({
+              query: searchTerm,
+              minDuration: this.config.minMusicDuration,
+              minBpm: this.config.minBpm,
+              maxBpm: this.config.maxBpm,
+            })
+          ));
+        if (!results || results.length === 0) {
           throw new Error("No results found");
         }
 
-        // Select a random track from the results
-        const selectedTrack =
-          data.results[Math.floor(Math.random() * data.results.length)];
+        // Select a random track from the results, pinned tracks play in their order
+        const selectedTrack = params.tracks
+          ? results[0]
+          : results[Math.floor(Math.random() * results.length)];
         this.logger
           .terminal()
           .magenta(
@@ -211,9 +425,9 @@ class AudioManager {
 
         // Generate file paths
         const musicId = uuidv4();
-        const rawPath = path.join(
+        const bedPath = path.join(
           this.config.outputDir,
-          `${musicId}_raw.${this.config.outputFormat}`
+          `${musicId}_bed.${this.config.outputFormat}`
         );
         const outputPath = path.join(
           this.config.outputDir,
@@ -224,34 +438,75 @@ this.logger
   .brightBlue(
     `🎵 Downloading "${selectedTrack.name}" by ${selectedTrack.username}. Please wait...`
   );
-        // Download the audio
-        const audioResponse = await fetch(
-          selectedTrack.previews["preview-lq-mp3"]
+        const tracks = await this.fetchTracks(
+          selectedTrack,
+          results,
+          params.duration &&
+            params.duration + (params.offset ?? this.config.musicOffset ?? 0),
+          musicId
         );
-        if (!audioResponse.ok) {
-          throw new Error(`Audio download failed: ${audioResponse.status}`);
-        }
+        const offset =
+          params.offset ??
+          (await this.findExcerptOffset(tracks[0], params.duration));
+        const durations = tracks.map(({ duration }) => duration);
+        // The music bed covers the offset too, as the excerpt is cut from it
+        const plan = params.duration
+          ? planMusicBed(
+              durations,
+              params.duration + offset,
+              this.config.musicCrossfade
+            )
+          : [0];
 
-        if (!audioResponse.body) {
-          throw new Error("Audio response body is empty or undefined.");
+        if (plan.length > 1) {
+          this.logger
+            .terminal()
+            .yellow(
+              `[INFO] 🔁 ${
+                this.config.musicFill === "chain" && tracks.length > 1
+                  ? `Chaining ${tracks.length} tracks`
+                  : "Looping the track"
+              } to cover ${params.duration + offset}s...\n`
+            );
+          await this.crossfadeTracks(
+            plan.map((index) => tracks[index].path),
+            bedPath,
+            getCrossfadeDuration(durations, this.config.musicCrossfade)
+          );
         }
 
-        await pipeline(audioResponse.body, fs.createWriteStream(rawPath));
-
         this.logger
           .terminal()
           .yellow("[INFO] 🎚️ Applying FadeIn and FadeOut effects...\n");
 
         // Apply fade effects
         await this.applyFadeEffects(
-          rawPath,
+          plan.length > 1 ? bedPath : tracks[0].path,
           outputPath,
           this.config.fadeInDuration,
-          this.config.fadeOutDuration
+          this.config.fadeOutDuration,
+          params.duckWindows,
+          params.duration,
+          offset
         );
 
-        // Clean up raw file
-        fs.unlinkSync(rawPath);
+        this.credits = [...new Set(plan)].map((index) => ({
+          type: "music",
+          ...getProviderCredit(this.provider, tracks[index].track),
+        }));
+        this.selection = {
+          provider: this.provider.name,
+          tracks: tracks.map(({ track }) => track),
+          offset,
+        };
+
+        // Clean up raw files
+        tracks
+          .filter(({ downloaded }) => downloaded)
+          .forEach((track) => fs.unlinkSync(track.path));
+        if (plan.length > 1) {
+          fs.unlinkSync(bedPath);
+        }
         return outputPath;
       } catch (error) {
         this.logger.error(`Attempt ${attempt + 1} failed: ${error.message}`);
@@ -0,0 +1,284 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {'searches'|'media'} kind - Whether the entry is a search response or a downloaded file.
+ * @property {string} namespace - The provider that produced the entry (e.g. pexels, freesound).
+ * @property {string} path - Path of the entry on disk.
+ * @property {number} size - Size of the entry in bytes.
+ * @property {Date} createdAt - When the entry was written.
+ * @property {Date} lastUsed - When the entry was last read, used to evict the least recently used entries first.
+ * @property {boolean} expired - Whether the entry is older than the TTL.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+const Logger = require("../utils/logger");
+
+const MEGABYTE = 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+class MediaCache {
+  /**
+   * Initializes a content-addressed disk cache for provider search results and downloaded media.
+   * @param {Object} [config] - Configuration object for the MediaCache.
+   * @param {string} [config.cacheDir] - Directory of the cache. Defaults to the current_working_directory/clip-creator-generated/cache
+   * @param {number} [config.ttl] - Days after which an entry expires. Defaults to 7 days
+   * @param {number} [config.maxSize] - Size in MB above which the least recently used entries are evicted. Defaults to 2048 MB
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...MediaCache.DEFAULT_CONFIG,
+      ...config,
+    };
+
+    this.logger = new Logger();
+  }
+
+  /**
+   * Default configuration for the MediaCache.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    cacheDir: path.join(process.cwd(), "clip-creator-generated", "cache"),
+    ttl: 7,
+    maxSize: 2048,
+  };
+
+  /**
+   * The folders of the cache, search responses are stored as JSON and media as the downloaded files.
+   */
+  static KINDS = ["searches", "media"];
+
+  /**
+   * Returns the path of an entry, named after the namespace and the hash of its key.
+   * @param {'searches'|'media'} kind - The kind of entry.
+   * @param {string} namespace - The provider that produced the entry.
+   * @param {string|number|Object} key - The key of the entry, objects are hashed with their sorted keys.
+   * @param {string} extension - The extension of the entry, including the dot.
+   * @returns {string} The path of the entry.
+   */
+  getEntryPath(kind, namespace, key, extension) {
+    const normalizedKey =
+      typeof key === "object"
+        ? JSON.stringify(key, Object.keys(key).sort())
+        : String(key);
+    const hash = crypto
+      .createHash("sha256")
+      .update(`${namespace}:${normalizedKey}`)
+      .digest("hex")
+      .slice(0, 40);
+
+    return path.join(
+      this.config.cacheDir,
+      kind,
+      `${namespace}_${hash}${extension}`
+    );
+  }
+
+  /**
+   * Returns the path of a fresh entry and marks it as used, or null when it is missing or expired.
+   * @param {string} entryPath - Path of the entry.
+   * @returns {string|null} The path of the entry.
+   */
+  readEntry(entryPath) {
+    try {
+      const stats = fs.statSync(entryPath);
+      if (Date.now() - stats.mtimeMs > this.config.ttl * DAY) {
+        fs.unlinkSync(entryPath);
+        return null;
+      }
+      // The access time drives the eviction order, filesystems mounted with noatime do not update it on read
+      fs.utimesSync(entryPath, new Date(), stats.mtime);
+      return entryPath;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Returns a cached search response.
+   * @param {string} namespace - The provider of the search.
+   * @param {Object} key - The search parameters.
+   * @returns {Object|null} The cached response, or null on a miss.
+   */
+  getSearch(namespace, key) {
+    const entryPath = this.readEntry(
+      this.getEntryPath("searches", namespace, key, ".json")
+    );
+    if (!entryPath) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(entryPath, "utf-8")).response;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Stores a search response. Failures are logged and never fail the render.
+   * @param {string} namespace - The provider of the search.
+   * @param {Object} key - The search parameters.
+   * @param {Object} response - The response to cache.
+   */
+  setSearch(namespace, key, response) {
+    const entryPath = this.getEntryPath("searches", namespace, key, ".json");
+    this.writeEntry(entryPath, (temporaryPath) =>
+      fs.writeFileSync(
+        temporaryPath,
+        JSON.stringify({ namespace, key, response })
+      )
+    );
+  }
+
+  /**
+   * Returns the path of a cached media file.
+   * @param {string} namespace - The provider of the file.
+   * @param {string|number} id - The id of the file at the provider.
+   * @param {string} extension - The extension of the file, including the dot.
+   * @returns {string|null} The path of the cached file, or null on a miss.
+   */
+  getMedia(namespace, id, extension) {
+    return this.readEntry(this.getEntryPath("media", namespace, id, extension));
+  }
+
+  /**
+   * Copies a downloaded media file into the cache. Failures are logged and never fail the render.
+   * @param {string} namespace - The provider of the file.
+   * @param {string|number} id - The id of the file at the provider.
+   * @param {string} extension - The extension of the file, including the dot.
+   * @param {string} sourcePath - Path of the downloaded file.
+   */
+  setMedia(namespace, id, extension, sourcePath) {
+    const entryPath = this.getEntryPath("media", namespace, id, extension);
+    this.writeEntry(entryPath, (temporaryPath) =>
+      fs.copyFileSync(sourcePath, temporaryPath)
+    );
+  }
+
+  /**
+   * Writes an entry through a temporary file so parallel batch runs never read a partial entry.
+   * The size limit is enforced by prune once the render is done, evicting here could remove a clip a segment is reading.
+   * @param {string} entryPath - Path of the entry.
+   * @param {function(string): void} write - Writes the entry to the given path.
+   */
+  writeEntry(entryPath, write) {
+    const temporaryPath = `${entryPath}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+      write(temporaryPath);
+      fs.renameSync(temporaryPath, entryPath);
+    } catch (error) {
+      this.logger.warn(`Failed to write cache entry: ${error.message}`);
+      fs.rmSync(temporaryPath, { force: true });
+    }
+  }
+
+  /**
+   * Lists every entry of the cache.
+   * @returns {CacheEntry[]} The entries, least recently used first.
+   */
+  listEntries() {
+    const now = Date.now();
+
+    return MediaCache.KINDS.flatMap((kind) => {
+      const directory = path.join(this.config.cacheDir, kind);
+      if (!fs.existsSync(directory)) {
+        return [];
+      }
+
+      return fs
+        .readdirSync(directory)
+        .filter((file) => !file.endsWith(".tmp"))
+        .map((file) => {
+          const entryPath = path.join(directory, file);
+          const stats = fs.statSync(entryPath);
+          return {
+            kind,
+            namespace: file.split("_")[0],
+            path: entryPath,
+            size: stats.size,
+            createdAt: stats.mtime,
+            lastUsed: stats.atime,
+            expired: now - stats.mtimeMs > this.config.ttl * DAY,
+          };
+        });
+    }).sort((a, b) => a.lastUsed - b.lastUsed);
+  }
+
+  /**
+   * Summarizes the cache per kind and namespace.
+   * @returns {{ entries: number, size: number, expired: number, groups: Object<string, {entries: number, size: number}> }} Sizes in bytes, groups keyed by "kind/namespace".
+   */
+  getStats() {
+    return this.listEntries().reduce(
+      (stats, entry) => {
+        const group = `${entry.kind}/${entry.namespace}`;
+        stats.groups[group] = stats.groups[group] || { entries: 0, size: 0 };
+        stats.groups[group].entries++;
+        stats.groups[group].size += entry.size;
+        stats.entries++;
+        stats.size += entry.size;
+        stats.expired += entry.expired ? 1 : 0;
+        return stats;
+      },
+      { entries: 0, size: 0, expired: 0, groups: {} }
+    );
+  }
+
+  /**
+   * Removes the expired entries, then the least recently used ones until the cache fits the size limit.
+   * @param {Object} [limits] - Overrides of the configured limits.
+   * @param {number} [limits.ttl] - Days after which an entry expires.
+   * @param {number} [limits.maxSize] - Size of the cache in MB.
+   * @returns {{ removed: number, freed: number }} The number of removed entries and the freed bytes.
+   */
+  prune(limits = {}) {
+    const ttl = (limits.ttl ?? this.config.ttl) * DAY;
+    const maxSize = (limits.maxSize ?? this.config.maxSize) * MEGABYTE;
+    const now = Date.now();
+    const entries = this.listEntries();
+    let size = entries.reduce((total, entry) => total + entry.size, 0);
+
+    return entries
+      .filter((entry) => {
+        if (now - entry.createdAt.getTime() <= ttl && size <= maxSize) {
+          return false;
+        }
+        size -= entry.size;
+        return true;
+      })
+      .reduce(this.removeEntry, { removed: 0, freed: 0 });
+  }
+
+  /**
+   * Removes every entry of the cache.
+   * @returns {{ removed: number, freed: number }} The number of removed entries and the freed bytes.
+   */
+  clear() {
+    return this.listEntries().reduce(this.removeEntry, { removed: 0, freed: 0 });
+  }
+
+  /**
+   * Reducer removing an entry from the disk.
+   * @param {{ removed: number, freed: number }} result - The running totals.
+   * @param {CacheEntry} entry - The entry to remove.
+   * @returns {{ removed: number, freed: number }} The updated totals.
+   */
+  removeEntry(result, entry) {
+    fs.rmSync(entry.path, { force: true });
+    return { removed: result.removed + 1, freed: result.freed + entry.size };
+  }
+}
+
+module.exports = { MediaCache };
@@ -0,0 +1,108 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} PlatformMetadata
+ * @property {string} title - Title of the post.
+ * @property {string} description - Description or caption of the post, without the hashtags.
+ * @property {string[]} hashtags - Hashtags of the post, each starting with `#`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { z } = require("zod");
+
+/**
+ * Length limits of the posts on every platform the metadata is written for.
+ */
+const PLATFORM_LIMITS = {
+  youtube: { title: 100, description: 5000, hashtags: 15 },
+  tiktok: { title: 100, description: 2200, hashtags: 10 },
+  instagram: { title: 100, description: 2200, hashtags: 30 },
+};
+
+/**
+ * Platforms the metadata is written for.
+ */
+const PLATFORMS = Object.keys(PLATFORM_LIMITS);
+
+/**
+ * Most characters of the thumbnail headline, which must read at a glance.
+ */
+const MAX_THUMBNAIL_TEXT = 40;
+
+/**
+ * Zod schema for the publishing metadata of a video: a thumbnail headline and a post per platform
+ * @type {z.ZodSchema}
+ */
+const MetadataSchema = z.object({
+  thumbnailText: z.string().min(3).max(MAX_THUMBNAIL_TEXT),
+  platforms: z.object(
+    Object.fromEntries(
+      PLATFORMS.map((platform) => [
+        platform,
+        z.object({
+          title: z.string().min(5).max(PLATFORM_LIMITS[platform].title),
+          description: z
+            .string()
+            .min(20)
+            .max(PLATFORM_LIMITS[platform].description),
+          hashtags: z
+            .array(z.string().regex(/^#[\p{L}\p{N}_]+$/u))
+            .min(1)
+            .max(PLATFORM_LIMITS[platform].hashtags),
+        }),
+      ])
+    )
+  ),
+});
+
+/**
+ * Writes hashtags the way the platforms expect them: one word starting with `#`, each once.
+ * @param {string[]} hashtags - Hashtags of the model, such as `ocean life` or `##Science`.
+ * @returns {string[]} The normalized hashtags, such as `#oceanlife` and `#Science`.
+ */
+const normalizeHashtags = (hashtags) => {
+  const seen = new Set();
+  return hashtags
+    .filter((hashtag) => typeof hashtag === "string")
+    .map((hashtag) => `#${hashtag.replace(/[^\p{L}\p{N}_]/gu, "")}`)
+    .filter((hashtag) => {
+      const key = hashtag.toLowerCase();
+      if (hashtag === "#" || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Writes the publishing metadata next to the video.
+ * @param {{thumbnailText: string, platforms: Object<string, PlatformMetadata>}} metadata - The validated metadata.
+ * @param {string} videoPath - Path to the rendered video.
+ * @returns {string} Path to the metadata file, `<video>_metadata.json`.
+ */
+const writeMetadata = (metadata, videoPath) => {
+  const metadataPath = `${videoPath.replace(/\.mp4$/, "")}_metadata.json`;
+  fs.writeFileSync(
+    metadataPath,
+    JSON.stringify({ video: path.basename(videoPath), ...metadata }, null, 2)
+  );
+  return metadataPath;
+};
+
+module.exports = {
+  PLATFORM_LIMITS,
+  PLATFORMS,
+  MAX_THUMBNAIL_TEXT,
+  MetadataSchema,
+  normalizeHashtags,
+  writeMetadata,
+};
@@ -0,0 +1,208 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} NarrationTiming
+ * @property {number} id - Id of the narrated segment.
+ * @property {number} start - Time in seconds at which the narration of the segment starts in the final video.
+ * @property {number} duration - Duration of the spoken narration in seconds.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const { v4: uuidv4 } = require("uuid");
+const ffmpeg = require("fluent-ffmpeg");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const Logger = require("../utils/logger");
+const { getNoiseLessConfig } = require("../utils");
+const { createTTSProvider } = require("../providers/tts");
+
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+class NarrationManager {
+  /**
+   * Initializes the NarrationManager instance with a given configuration.
+   * @param {Object} [config] - Configuration object for the NarrationManager.
+   * @param {string|Object} [config.provider] - Name of the TTS provider (espeak, piper) or a custom provider instance. Defaults to espeak
+   * @param {string} [config.voice] - Voice passed to the TTS provider.
+   * @param {number} [config.speed] - Speaking rate passed to the TTS provider.
+   * @param {string} [config.model] - Voice model passed to the TTS provider (required by piper).
+   * @param {string} [config.binary] - Path to the TTS binary when it is not on the PATH.
+   * @param {number} [config.volume] - Volume of the narration. Defaults to 1.
+   * @param {string} [config.outputDir] - Directory Path to store the output. Defaults to the current_working_directory/clip-creator-generated/narration
+   */
+  constructor(config = {}) {
+    this.config = {
+      ...NarrationManager.DEFAULT_CONFIG,
+      ...config,
+    };
+
+    this.logger = new Logger();
+    this.provider = createTTSProvider(
+      this.config.provider,
+      getNoiseLessConfig({
+        voice: this.config.voice,
+        speed: this.config.speed,
+        model: this.config.model,
+        binary: this.config.binary,
+      })
+    );
+    this.ensureTempDirectory();
+  }
+
+  /**
+   * Default configuration for the NarrationManager.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    provider: "espeak",
+    volume: 1,
+    outputDir: path.join(process.cwd(), "clip-creator-generated", "narration"),
+  };
+
+  /**
+   * atempo only accepts factors up to 2 in older FFmpeg builds, narration faster than that is unintelligible anyway
+   * @static
+   */
+  static MAX_TEMPO = 2;
+
+  /**
+   * Ensures the directory for narration processing exists.
+   */
+  ensureTempDirectory() {
+    if (!fs.existsSync(this.config.outputDir)) {
+      fs.mkdirSync(this.config.outputDir, { recursive: true });
+    }
+  }
+
+  /**
+   * Retrieves the duration of an audio file.
+   * @param {string} filePath - Path to the audio file.
+   * @returns {Promise<number>} The duration of the audio file in seconds.
+   */
+  getAudioDuration(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(metadata.format.duration);
+        }
+      });
+    });
+  }
+
+  /**
+   * Speaks the text of every segment and places each clip at the position of its segment on the video timeline.
+   * Clips longer than the time available for their segment are sped up to fit.
+   * @param {VideoSegment[]} segments - The script segments.
+   * @param {TimelineEntry[]} timeline - Position of every segment in the final video.
+   * @returns {Promise<{path: string, timings: NarrationTiming[]}>} Path to the narration track and the timing of each spoken segment.
+   */
+  async generateNarration(segments, timeline) {
+    if (segments.length !== timeline.length) {
+      throw new Error("Timeline length must match number of segments");
+    }
+
+    const narrationId = uuidv4();
+    const clipPaths = [];
+
+    try {
+      const clips = [];
+      // Sequential on purpose, local TTS engines already use all the cores they need
+      for (const [index, segment] of segments.entries()) {
+        const clipPath = path.join(
+          this.config.outputDir,
+          `${narrationId}_${segment.id}.wav`
+        );
+        clipPaths.push(clipPath);
+
+        this.logger
+          .terminal()
+          .cyan(`[INFO] 🗣️  Synthesizing narration for segment ${segment.id}\n`);
+        await this.provider.synthesize(segment.text, clipPath);
+
+        const entry = timeline[index];
+        const slot =
+          index < timeline.length - 1
+            ? timeline[index + 1].start - entry.start
+            : entry.duration;
+        const speechDuration = await this.getAudioDuration(clipPath);
+        const tempo = Math.min(
+          NarrationManager.MAX_TEMPO,
+          Math.max(1, speechDuration / slot)
+        );
+        if (speechDuration / tempo > slot) {
+          this.logger.warn(
+            `Narration for segment ${segment.id} is longer than the segment and will be cut`
+          );
+        }
+
+        clips.push({
+          path: clipPath,
+          slot,
+          tempo,
+          timing: {
+            id: segment.id,
+            start: entry.start,
+            duration: Math.min(speechDuration / tempo, slot),
+          },
+        });
+      }
+
+      const outputPath = path.join(
+        this.config.outputDir,
+        `narration_${narrationId}.mp3`
+      );
+      await this.buildNarrationTrack(clips, outputPath);
+
+      return { path: outputPath, timings: clips.map((clip) => clip.timing) };
+    } finally {
+      clipPaths
+        .filter((clipPath) => fs.existsSync(clipPath))
+        .forEach((clipPath) => fs.unlinkSync(clipPath));
+    }
+  }
+
+  /**
+   * Concatenates the spoken clips into a single track, padding each clip with silence up to the start of the next segment.
+   * @param {Array<{path: string, slot: number, tempo: number}>} clips - The spoken clips in timeline order.
+   * @param {string} outputPath - Path to the narration track.
+   * @returns {Promise<string>} Path to the narration track.
+   */
+  buildNarrationTrack(clips, outputPath) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg();
+      const filters = clips.map((clip, index) => {
+        command.input(clip.path);
+        return (
+          `[${index}:a]aformat=sample_rates=44100:channel_layouts=stereo,` +
+          `atempo=${clip.tempo},volume=${this.config.volume},` +
+          `apad,atrim=duration=${clip.slot},asetpts=N/SR/TB[n${index}]`
+        );
+      });
+      filters.push(
+        `${clips.map((_, index) => `[n${index}]`).join("")}` +
+          `concat=n=${clips.length}:v=0:a=1[narration]`
+      );
+
+      command
+        .complexFilter(filters, "narration")
+        .audioCodec("libmp3lame")
+        .on("end", () => resolve(outputPath))
+        .on("error", (err) => {
+          this.logger.error(`Failed to build narration track: ${err.message}`);
+          reject(err);
+        })
+        .save(outputPath);
+    });
+  }
+}
+
+module.exports = { NarrationManager };
@@ -0,0 +1,207 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} FootageAsset
+ * @property {number} segmentId - Id of the segment showing the footage.
+ * @property {string} provider - Name of the media provider.
+ * @property {string} query - The search query that found the footage.
+ * @property {{id: (string|number), width: number, height: number, duration: number}} video - The picked video.
+ * @property {{id: (string|number), link: string, width: number, height: number, quality: string}} videoFile - The downloaded file of the video.
+ * @property {Credit} credit - Attribution of the footage.
+ * @property {string|null} [cachedPath] - Path of the downloaded file in the cache or the local library.
+ */
+
+/**
+ * @typedef {Object} MusicSelection
+ * @property {string} provider - Name of the music provider.
+ * @property {Object[]} tracks - The tracks of the music, in the order they play.
+ * @property {number} offset - Where the music starts in the first track in seconds.
+ * @property {Array<string|null>} [cachedPaths] - Paths of the tracks in the cache or the local library.
+ */
+
+const fs = require("fs");
+const { execFile } = require("child_process");
+const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
+const { z } = require("zod");
+const { ScriptSchema } = require("./script");
+const { formatSchemaIssues } = require("../utils");
+const { version } = require("../../package.json");
+
+/**
+ * Version of the project file format, bumped on breaking changes.
+ */
+const PROJECT_VERSION = 1;
+
+/**
+ * Settings never written to a project file: the API keys, so it can be shared, and the options of the CLI run.
+ */
+const OMITTED_KEYS = [
+  "groqKey",
+  "llmKey",
+  "pexelsKey",
+  "freeSoundKey",
+  "config",
+  "webRunner",
+  "review",
+];
+
+const FootageAssetSchema = z
+  .object({
+    segmentId: z.number(),
+    provider: z.string(),
+    video: z.object({ id: z.union([z.string(), z.number()]) }).passthrough(),
+    videoFile: z.object({ link: z.string() }).passthrough(),
+    credit: z.object({}).passthrough().optional(),
+  })
+  .passthrough();
+
+/**
+ * Zod schema of a project file.
+ * @type {z.ZodSchema}
+ */
+const ProjectSchema = z.object({
+  version: z.literal(PROJECT_VERSION),
+  createdAt: z.string(),
+  video: z.string(),
+  config: z.record(z.any()),
+  script: ScriptSchema,
+  assets: z.object({
+    footage: z.array(FootageAssetSchema),
+    music: z
+      .object({
+        provider: z.string(),
+        tracks: z.array(z.object({}).passthrough()).min(1),
+        offset: z.number().min(0),
+      })
+      .passthrough()
+      .nullable(),
+  }),
+  loudness: z
+    .object({
+      preset: z.string(),
+      integrated: z.number(),
+      truePeak: z.number(),
+    })
+    .passthrough()
+    .nullable()
+    .optional(),
+  versions: z.record(z.string()),
+});
+
+/**
+ * Returns the versions of the tools a video was rendered with.
+ * @returns {Promise<{clipCreator: string, node: string, ffmpeg: string}>} The versions, unknown when FFmpeg cannot be run.
+ */
+const getToolVersions = () =>
+  new Promise((resolve) => {
+    execFile(ffmpegPath, ["-version"], (error, stdout = "") => {
+      resolve({
+        clipCreator: version,
+        node: process.version,
+        ffmpeg:
+          (!error && stdout.match(/ffmpeg version (\S+)/)?.[1]) || "unknown",
+      });
+    });
+  });
+
+/**
+ * Returns where an asset is stored on disk: local assets in place, downloads in the cache.
+ * @param {MediaCache} [cache] - The disk cache of the render.
+ * @param {string} provider - Name of the provider of the asset.
+ * @param {string|number} id - Id of the asset at the provider.
+ * @param {string} extension - Extension of the cached file, including the dot.
+ * @param {string} [localPath] - Path of the asset when it comes from a local library.
+ * @returns {string|null} The path, null when the download is not cached.
+ */
+const getCachedPath = (cache, provider, id, extension, localPath) =>
+  provider === "local"
+    ? localPath
+    : (cache?.getMedia(provider, id, extension) ?? null);
+
+/**
+ * Builds the project of a render.
+ * @param {Object} params - What the render was made of.
+ * @param {Object} params.config - The resolved configuration of the render, secrets are left out.
+ * @param {Object} params.script - The validated script.
+ * @param {FootageAsset[]} params.footage - The footage of every segment.
+ * @param {MusicSelection|null} params.music - The music of the video.
+ * @param {string} params.videoPath - Path to the rendered video.
+ * @param {LoudnessReport|null} [params.loudness] - Measured loudness of the final mix, null when it is not normalized.
+ * @param {Object} params.versions - Versions of the tools.
+ * @returns {Object} The project.
+ */
+const buildProject = ({
+  config,
+  script,
+  footage,
+  music,
+  videoPath,
+  loudness = null,
+  versions,
+}) => ({
+  version: PROJECT_VERSION,
+  createdAt: new Date().toISOString(),
+  video: videoPath,
+  config: Object.fromEntries(
+    Object.entries(config).filter(([key]) => !OMITTED_KEYS.includes(key))
+  ),
+  script,
+  assets: { footage, music },
+  loudness,
+  versions,
+});
+
+/**
+ * Writes the project of a render next to the video.
+ * @param {Object} project - The project.
+ * @param {string} videoPath - Path to the rendered video.
+ * @returns {string} Path to the project file.
+ */
+const writeProject = (project, videoPath) => {
+  const projectPath = `${videoPath.replace(/\.mp4$/, "")}_project.json`;
+  // Sets of the local libraries are search indexes, not data of the assets
+  fs.writeFileSync(
+    projectPath,
+    JSON.stringify(
+      project,
+      (key, value) => (value instanceof Set ? undefined : value),
+      2
+    )
+  );
+  return projectPath;
+};
+
+/**
+ * Reads and validates a project file.
+ * @param {string} projectPath - Path to the project file.
+ * @returns {Object} The project.
+ * @throws {Error} If the file cannot be read or is not a valid project.
+ */
+const readProject = (projectPath) => {
+  const result = ProjectSchema.safeParse(
+    JSON.parse(fs.readFileSync(projectPath, "utf-8"))
+  );
+  if (!result.success) {
+    throw new Error(
+      `Invalid project file: ${formatSchemaIssues(result.error)}`
+    );
+  }
+  return result.data;
+};
+
+module.exports = {
+  PROJECT_VERSION,
+  ProjectSchema,
+  getToolVersions,
+  getCachedPath,
+  buildProject,
+  writeProject,
+  readProject,
+};
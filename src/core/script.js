@@ -7,19 +7,38 @@
  */
 
 "use strict";
-const { Groq } = require("groq-sdk");
 const Logger = require("../utils/logger");
+const { getNoiseLessConfig } = require("../utils");
+const { parseModelJSON, findClosestValue } = require("../utils/jsonRepair");
+const { getLanguage } = require("../utils/languages");
+const {
+  PLATFORM_LIMITS,
+  PLATFORMS,
+  MAX_THUMBNAIL_TEXT,
+  MetadataSchema,
+  normalizeHashtags,
+} = require("./metadata");
+const { createLLMProvider } = require("../providers/llm");
+const { GroqProvider } = require("../providers/llm/groq");
 const { z } = require("zod");
 
+/**
+ * Shortest and longest segments the timeline accepts, in seconds
+ */
+const MIN_SEGMENT_DURATION = 2;
+const MAX_SEGMENT_DURATION = 10;
+
 const SegmentSchema = z.object({
   id: z.number().int().positive(),
   text: z.string().min(10),
-  duration: z.literal(5),
+  duration: z.number().min(MIN_SEGMENT_DURATION).max(MAX_SEGMENT_DURATION),
   description: z.string().min(5),
   transition: z.enum([
     "fade",
     "slideLeft",
     "slideRight",
+    "zoomIn",
+    "zoomOut",
     "dissolve",
     "circleWipe",
     "pixelize",
@@ -30,6 +49,7 @@ const SegmentSchema = z.object({
     "rotate",
     "directionalWipe",
   ]),
+  transitionDuration: z.number().min(0.2).max(2).optional(),
 });
 /**
  * Zod schema for the full script structure
@@ -38,30 +58,189 @@ const SegmentSchema = z.object({
 const ScriptSchema = z.object({
   segments: z.array(SegmentSchema).min(1),
 });
+/**
+ * Zod schema for the outline planning the segments of a long video before they are written in batches
+ * @type {z.ZodSchema}
+ */
+const OutlineSchema = z.object({
+  outline: z
+    .array(
+      z.object({
+        id: z.number().int().positive(),
+        duration: z
+          .number()
+          .min(MIN_SEGMENT_DURATION)
+          .max(MAX_SEGMENT_DURATION),
+        summary: z.string().min(5),
+      })
+    )
+    .min(1),
+});
+
+/**
+ * Transitions a segment can use.
+ */
+const TRANSITIONS = SegmentSchema.shape.transition.options;
+
+/**
+ * Describes the issues of a failed validation so the model can fix them, segments and outline entries
+ * numbered from 1 like their ids, e.g. `segment 3 text: String must contain at least 10 character(s)`
+ * @param {z.ZodError} error - The validation error
+ * @returns {string} The issues
+ */
+const describeSchemaIssues = (error) =>
+  error.issues
+    .map(({ path, message }) => {
+      const location = path
+        .map((key, position) =>
+          typeof key === "number"
+            ? `${path[position - 1] === "outline" ? "entry" : "segment"} ${
+                key + 1
+              }`
+            : key
+        )
+        .filter((_, position) => typeof path[position + 1] !== "number");
+      return `${location.join(" ") || "answer"}: ${message}`;
+    })
+    .join("; ");
+
+/**
+ * Repairs what models trivially get wrong in segments before they are validated: ids out of
+ * sequence and transitions that are not allowed, replaced with the closest allowed one
+ * @param {Object[]} segments - The segments of the model
+ * @param {boolean} [renumber=true] - Number the segments in their order
+ * @returns {{segments: Object[], repairs: string[]}} The repaired segments and what was repaired
+ */
+const repairSegments = (segments, renumber = true) => {
+  if (!Array.isArray(segments)) {
+    return { segments, repairs: [] };
+  }
+  const repairs = [];
+  if (
+    renumber &&
+    segments.some((segment, index) => segment?.id !== index + 1)
+  ) {
+    repairs.push("renumbered the segments");
+  }
+  return {
+    segments: segments.map((segment, index) => {
+      if (!segment || typeof segment !== "object") {
+        return segment;
+      }
+      const repaired = renumber
+        ? { ...segment, id: index + 1 }
+        : { ...segment };
+      if (
+        typeof repaired.transition === "string" &&
+        !TRANSITIONS.includes(repaired.transition)
+      ) {
+        const transition = findClosestValue(repaired.transition, TRANSITIONS);
+        repairs.push(
+          `replaced the transition "${repaired.transition}" of segment ${repaired.id} with "${transition}"`
+        );
+        repaired.transition = transition;
+      }
+      return repaired;
+    }),
+    repairs,
+  };
+};
+
+/**
+ * Adds up the durations of the segments of a script
+ * @param {{segments: VideoSegment[]}} script - The script
+ * @returns {number} Total duration in seconds
+ */
+const getScriptDuration = (script) =>
+  script.segments.reduce((total, segment) => total + segment.duration, 0);
 
 class PromptGenerator {
   /**
    * Creates an instance of PromptGenerator.
-   * @param {string} apiKey - API key for the Groq SDK.
-   * @param {groqInstance} - Instance of Groq (For testing purposes).
-   * @throws {Error} If the API key is not provided.
+   * @param {string} [apiKey] - API key of the LLM provider, only optional for OpenAI-compatible servers.
+   * @param {Object} [llmInstance] - LLM provider instance, see createLLMProvider (For testing purposes).
+   * @param {Object} [config] - Configuration of the LLM.
+   * @param {'groq'|'openai'} [config.provider] - Where the scripts are generated: groq or any OpenAI-compatible server
+   * @param {string} [config.baseUrl] - Base URL of the OpenAI-compatible server
+   * @param {string} [config.model] - Model name, defaults to the one of the provider
+   * @param {number} [config.temperature] - Sampling temperature
+   * @param {number} [config.maxTokens] - Maximum tokens of every completion, replacing the budget scaled to its segments
+   * @throws {Error} If the API key of Groq is not provided.
    */
-  constructor(apiKey, groqInstance = null) {
-    if (!apiKey) {
+  constructor(apiKey, llmInstance = null, config = {}) {
+    this.config = {
+      ...PromptGenerator.DEFAULT_CONFIG,
+      ...getNoiseLessConfig(config),
+    };
+    if (!apiKey && this.config.provider === "groq") {
       throw new Error("API key is required to use the PromptGenerator");
     }
     this.API_KEY = apiKey;
     this.logger = new Logger();
-    this.groq =
-      groqInstance || new Groq({ apiKey: this.API_KEY, timeout: 30000 });
+    this.llm =
+      llmInstance ||
+      createLLMProvider(
+        this.config.provider,
+        getNoiseLessConfig({ apiKey, baseUrl: this.config.baseUrl })
+      );
+  }
+
+  /**
+   * Default configuration for the PromptGenerator.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    provider: "groq",
+    temperature: 1.5,
+  };
+
+  /**
+   * The model of the completions, the configured one or else the default one of the provider.
+   * @type {string}
+   */
+  get model() {
+    return (
+      this.config.model || this.llm.defaultModel || GroqProvider.DEFAULT_MODEL
+    );
   }
 
   /**
-   * The duration of each video segment in seconds.
+   * The duration range of the opening hook segment in seconds, shorter to grab attention.
+   * @static
+   * @type {{min: number, max: number}}
+   */
+  static HOOK_DURATION = { min: MIN_SEGMENT_DURATION, max: 4 };
+  /**
+   * The duration range of the other video segments in seconds.
+   * @static
+   * @type {{min: number, max: number}}
+   */
+  static SEGMENT_DURATION = { min: 3, max: 8 };
+  /**
+   * Estimated tokens of a completion: a fixed part for the JSON wrapper, then a part per segment
+   * written, per entry of an outline or per platform of the publishing metadata.
+   * @static
+   * @type {{base: number, perSegment: number, perOutlineEntry: number, perPlatform: number}}
+   */
+  static TOKEN_BUDGET = {
+    base: 256,
+    perSegment: 150,
+    perOutlineEntry: 50,
+    perPlatform: 300,
+  };
+  /**
+   * Largest token budget requested in one completion, within the output limit of the common models.
+   * Videos whose segments need more are outlined first, then written in batches
+   * @static
+   * @type {number}
+   */
+  static MAX_COMPLETION_TOKENS = 4096;
+  /**
+   * Segments written in every batch of a video too long for one completion
    * @static
    * @type {number}
    */
-  static SEGMENT_DURATION = 5;
+  static MAX_SEGMENTS_PER_REQUEST = 10;
   /**
    * Maximum number of retry attempts for API calls
    * @static
@@ -84,14 +263,17 @@ class PromptGenerator {
    */
   static SYSTEM_PROMPT = `You are a professional video script writer for social media shorts. 
   Generate a script with these exact requirements:
-  - Exactly ${PromptGenerator.SEGMENT_DURATION} seconds per segment
+  - Segment 1 is a hook of ${PromptGenerator.HOOK_DURATION.min} to ${PromptGenerator.HOOK_DURATION.max} seconds
+  - Every other segment lasts ${PromptGenerator.SEGMENT_DURATION.min} to ${PromptGenerator.SEGMENT_DURATION.max} seconds, paced to its text: quick beats for punchy lines, longer ones for details
+  - The durations of all segments add up to exactly the requested total
   - Structured format: [Segment X - Timestamp]
   - Fields for each segment:
     * id: Sequential number
     * text: Concise, factual on-screen text/narration (Min 10 words). Ensure the text flows logically from the previous segment and transitions seamlessly into the next.
-    * duration: ${PromptGenerator.SEGMENT_DURATION} seconds
-    * description: Visual context matching the text
-    * transition: One of: "fade", "slideLeft","slideRight","dissolve", "circleWipe","pixelize","panLeft","panRight","scaleUp","scaleDown","rotate","directionalWipe"
+    * duration: Seconds of the segment, whole or half seconds
+    * description: Visual context matching the text, always in English as it searches the stock footage
+    * transition: One of: "fade", "slideLeft","slideRight","zoomIn","zoomOut","dissolve", "circleWipe","pixelize","panLeft","panRight","scaleUp","scaleDown","rotate","directionalWipe"
+    * transitionDuration: Optional, seconds (0.2 to 2) of the transition into the next segment. Omit it to use the default pace of the transition
   
   Content Guidelines:
   - When specific terms are provided: 
@@ -108,7 +290,7 @@ class PromptGenerator {
       {
         "id": 1,
         "text": "Segment text",
-        "duration": 5,
+        "duration": 3,
         "description": "Optional visual description",
         "transition": "fade"
       }
@@ -116,6 +298,73 @@ class PromptGenerator {
     ]
   }`;
 
+  /**
+   * The system prompt for outlining a long video before its segments are written in batches.
+   * @static
+   * @type {string}
+   */
+  static OUTLINE_SYSTEM_PROMPT = `You are a professional video script writer for social media shorts.
+  Plan a script segment by segment before it is written:
+  - Segment 1 is a hook of ${PromptGenerator.HOOK_DURATION.min} to ${PromptGenerator.HOOK_DURATION.max} seconds
+  - Every other segment lasts ${PromptGenerator.SEGMENT_DURATION.min} to ${PromptGenerator.SEGMENT_DURATION.max} seconds
+  - The durations of all segments add up to exactly the requested total
+  - Fields for each entry:
+    * id: Sequential number
+    * duration: Seconds of the segment, whole or half seconds
+    * summary: What the segment says, in one sentence
+  
+  Output MUST be parseable JSON with exact structure:
+  {
+    "outline": [
+      { "id": 1, "duration": 3, "summary": "What the segment says" }
+      // Additional entries...
+    ]
+  }`;
+
+  /**
+   * The system prompt for rewriting a single segment of a script, the rest of the script being its context.
+   * @static
+   * @type {string}
+   */
+  static SEGMENT_SYSTEM_PROMPT = `You are a professional video script writer for social media shorts.
+  Rewrite one segment of a script so it follows on from the segment before it and leads into the segment after it:
+  - Fields of the segment:
+    * id: The id of the rewritten segment
+    * text: Concise, factual on-screen text/narration (Min 10 words)
+    * duration: The duration of the rewritten segment
+    * description: Visual context matching the text, always in English as it searches the stock footage
+    * transition: One of: "fade", "slideLeft","slideRight","zoomIn","zoomOut","dissolve", "circleWipe","pixelize","panLeft","panRight","scaleUp","scaleDown","rotate","directionalWipe"
+  
+  Output MUST be parseable JSON with exact structure, the rewritten segment only:
+  {
+    "segment": {
+      "id": 3,
+      "text": "Segment text",
+      "duration": 5,
+      "description": "Visual description",
+      "transition": "fade"
+    }
+  }`;
+
+  /**
+   * The system prompt for generating the publishing metadata of a video from its script.
+   * @static
+   * @type {string}
+   */
+  static METADATA_SYSTEM_PROMPT = `You are a social media manager publishing video shorts.
+  Write the publishing metadata of a video from its script:
+  - thumbnailText: Headline shown over the thumbnail
+  - platforms: For every platform, a title, a description without hashtags and a list of hashtags
+  
+  Output MUST be parseable JSON with exact structure:
+  {
+    "thumbnailText": "Headline",
+    "platforms": {
+      "youtube": { "title": "Title", "description": "Caption", "hashtags": ["#tag"] }
+      // Additional platforms...
+    }
+  }`;
+
   /**
    * Generates a user prompt based on the provided configuration.
    * @static
@@ -123,10 +372,13 @@ class PromptGenerator {
    * @param {number} config.duration - Total duration of the video in seconds.
    * @param {string} config.category - The category of the video (e.g., "education", "entertainment").
    * @param {string} config.tone - The tone of the video (e.g., "informative", "humorous").
+   * @param {string} [config.language] - ISO 639-1 code of the language of the text. Defaults to en
    * @returns {string} The generated user prompt.
    */
   static generateUserPrompt(config) {
-    const numSegments = Math.floor(config.duration / this.SEGMENT_DURATION);
+    const { minSegments, maxSegments } = this.getSegmentCountRange(
+      config.duration
+    );
 
     return `Create a ${config.duration}-second ${
       config.category
@@ -144,7 +396,199 @@ class PromptGenerator {
         : "Basic factual correctness"
     }
     
-    Output: Strict JSON format with ${numSegments} segments`;
+    7. Pacing: ${minSegments} to ${maxSegments} segments whose durations add up to exactly ${
+      config.duration
+    } seconds
+    8. ${this.getLanguageRequirement(config)}
+    
+    Output: Strict JSON format`;
+  }
+
+  /**
+   * Generates the user prompt writing the publishing metadata of a video from its script.
+   * @static
+   * @param {{segments: VideoSegment[]}} script - The script of the video.
+   * @param {Object} config - The configuration the script was generated with.
+   * @param {string} config.category - The category of the video.
+   * @param {string} config.tone - The tone of the video.
+   * @param {string} [config.topic] - The topic of the video.
+   * @param {string[]} [config.keyTerms] - Key terms of the video.
+   * @param {string} [config.language] - ISO 639-1 code of the language of the video. Defaults to en
+   * @returns {string} The generated user prompt.
+   */
+  static generateMetadataPrompt(script, config) {
+    const platforms = PLATFORMS.map(
+      (platform) =>
+        `"${platform}": { "title": "...", "description": "...", "hashtags": ["#..."] }`
+    ).join(", ");
+
+    return `Write the publishing metadata of this ${
+      config.category
+    } video about: ${config.topic || "the topic of the script"}
+
+    Script: ${script.segments.map(({ text }) => text).join(" ")}
+    
+    Requirements:
+    1. Tone: ${config.tone}
+    2. Platforms: ${PLATFORMS.join(", ")}, each with its own wording and audience
+    3. Title: A hook making viewers watch, at most ${
+      PLATFORM_LIMITS.youtube.title
+    } characters
+    4. Description: Caption summarizing the video with a call to action, without hashtags
+    5. Hashtags: Single words starting with #, at most ${PLATFORMS.map(
+      (platform) => `${PLATFORM_LIMITS[platform].hashtags} on ${platform}`
+    ).join(", ")}
+    6. Thumbnail text: A headline of at most ${MAX_THUMBNAIL_TEXT} characters shown over the thumbnail
+    7. Key elements: ${config?.keyTerms?.join(", ") || "None provided"}
+    8. Language: Write the titles, descriptions, hashtags and thumbnail text in ${
+      getLanguage(config.language).name
+    }
+    
+    Output: Strict JSON format: { "thumbnailText": "...", "platforms": { ${platforms} } }`;
+  }
+
+  /**
+   * Generates the user prompt planning a long video, segment by segment, before the segments are written.
+   * @static
+   * @param {Object} config - The configuration for generating the script, see generateUserPrompt.
+   * @returns {string} The generated user prompt.
+   */
+  static generateOutlinePrompt(config) {
+    const { minSegments, maxSegments } = this.getSegmentCountRange(
+      config.duration
+    );
+
+    return `Plan a ${config.duration}-second ${
+      config.category
+    } video about: ${config.topic}
+    
+    Requirements:
+    1. Target audience: ${config.category} viewers
+    2. Tone: ${config.tone}
+    3. Key elements: ${config?.keyTerms?.join(", ") || "None provided"}
+    4. Flow: Segment 1 is the hook, the last segment concludes
+    5. Pacing: ${minSegments} to ${maxSegments} segments whose durations add up to exactly ${
+      config.duration
+    } seconds
+    6. Language: Write the summaries in English, the segments are written in ${
+      getLanguage(config.language).name
+    } afterwards
+    
+    Output: Strict JSON format with one entry per segment and what it says: { "outline": [{ "id": 1, "duration": 3, "summary": "..." }] }`;
+  }
+
+  /**
+   * Generates the user prompt writing a batch of segments of an outlined video.
+   * @static
+   * @param {Object} config - The configuration for generating the script, see generateUserPrompt.
+   * @param {{id: number, duration: number, summary: string}[]} outline - The outline of the whole video.
+   * @param {{id: number, duration: number, summary: string}[]} batch - The entries of the outline to write.
+   * @param {VideoSegment} [previous] - The last segment written, which the batch follows on from.
+   * @returns {string} The generated user prompt.
+   */
+  static generateBatchPrompt(config, outline, batch, previous) {
+    const first = batch[0].id;
+    const last = batch[batch.length - 1].id;
+
+    return `Write segments ${first} to ${last} of this ${
+      config.duration
+    }-second ${config.category} video about: ${config.topic}
+
+    Outline: ${JSON.stringify(outline)}
+    Previous segment: ${previous ? JSON.stringify(previous) : "None, segment 1 opens the video"}
+    
+    Requirements:
+    1. Tone: ${config.tone}
+    2. Include specific visual references
+    3. Key elements: ${config?.keyTerms?.join(", ") || "None provided"}
+    4. Transitions: Vary between segments
+    5. Accuracy: ${
+      config.requireFactChecking
+        ? "Verify all facts"
+        : "Basic factual correctness"
+    }
+    6. Continuity: Follow on from the previous segment
+    7. Pacing: Every segment says what its outline entry summarizes, with its id and duration
+    8. ${this.getLanguageRequirement(config)}
+    
+    Output: Strict JSON format with exactly ${batch.length} segments: { "segments": [...] }`;
+  }
+
+  /**
+   * Generates the requirement of the language of a script. The descriptions stay in English whatever the
+   * language, as the stock footage is searched with them.
+   * @static
+   * @param {Object} config - The configuration for generating the script.
+   * @param {string} [config.language] - ISO 639-1 code of the language of the text. Defaults to en
+   * @returns {string} The requirement.
+   */
+  static getLanguageRequirement(config) {
+    return `Language: Write the text in ${
+      getLanguage(config.language).name
+    }, and the description in English`;
+  }
+
+  /**
+   * Estimates the tokens a completion needs, so long scripts are not truncated and short ones do not reserve too many.
+   * @static
+   * @param {number} entries - Number of segments or outline entries in the completion.
+   * @param {number} [perEntry] - Tokens of an entry. Defaults to the tokens of a segment
+   * @returns {number} The token budget.
+   */
+  static getTokenBudget(entries, perEntry = this.TOKEN_BUDGET.perSegment) {
+    return this.TOKEN_BUDGET.base + entries * perEntry;
+  }
+
+  /**
+   * Computes how many segments fit a video, given the duration ranges of the hook and the other segments.
+   * @static
+   * @param {number} duration - Total duration of the video in seconds.
+   * @returns {{minSegments: number, maxSegments: number}} The fewest and most segments.
+   */
+  static getSegmentCountRange(duration) {
+    const remaining = (hookDuration) => Math.max(duration - hookDuration, 0);
+    return {
+      minSegments:
+        1 +
+        Math.ceil(
+          remaining(this.HOOK_DURATION.max) / this.SEGMENT_DURATION.max
+        ),
+      maxSegments:
+        1 +
+        Math.floor(
+          remaining(this.HOOK_DURATION.min) / this.SEGMENT_DURATION.min
+        ),
+    };
+  }
+
+  /**
+   * Generates the user prompt rewriting a single segment, the rest of the script being its context.
+   * @static
+   * @param {{segments: VideoSegment[]}} script - The script.
+   * @param {number} segmentId - Id of the segment to rewrite.
+   * @param {Object} config - The configuration the script was generated with.
+   * @param {string} config.category - The category of the video.
+   * @param {string} config.tone - The tone of the video.
+   * @param {string} [config.topic] - The topic of the video.
+   * @param {string[]} [config.keyTerms] - Key terms to include.
+   * @param {string} [config.language] - ISO 639-1 code of the language of the text. Defaults to en
+   * @returns {string} The generated user prompt.
+   */
+  static generateSegmentPrompt(script, segmentId, config) {
+    return `Rewrite segment ${segmentId} of this ${
+      config.category
+    } video script about: ${config.topic || "the topic of the script"}
+
+    Script: ${JSON.stringify(script.segments)}
+    
+    Requirements:
+    1. Tone: ${config.tone}
+    2. Continuity: Follow on from the segment before it and lead into the segment after it
+    3. Wording: Different from the current segment ${segmentId}
+    4. Key elements: ${config?.keyTerms?.join(", ") || "None provided"}
+    5. ${this.getLanguageRequirement(config)}
+    
+    Output: Strict JSON format with the rewritten segment only: { "segment": { "id": ${segmentId}, ... } }`;
   }
 
   /**
@@ -177,15 +621,49 @@ class PromptGenerator {
     if (missing.length > 0) {
       throw new Error(`Missing required fields: ${missing.join(", ")}`);
     }
+    getLanguage(config.language);
   }
 
   /**
    * Validates and parses the AI model response
-   * @param {Object} completion - Raw response from Groq API
+   * @param {Object} completion - Raw response from the LLM
+   * @param {number} [duration] - Requested total duration in seconds, which the segments must add up to
    * @returns {Object} Validated script structure
    * @throws {Error} For invalid response structures
    */
-  validateResponse(completion) {
+  validateResponse(completion, duration) {
+    const parsed = this.parseCompletion(completion);
+    const { segments, repairs } = repairSegments(parsed?.segments);
+    this.logRepairs(repairs);
+
+    const result = ScriptSchema.safeParse({ ...parsed, segments });
+    if (!result.success) {
+      const issues = describeSchemaIssues(result.error);
+      this.logger.error(`Validation errors: ${issues}`);
+      throw new Error(`Invalid JSON response: ${issues}`);
+    }
+    const total = getScriptDuration(result.data);
+    if (duration && Math.abs(total - duration) > 0.01) {
+      throw new Error(
+        `Invalid JSON response: The segments last ${total} seconds instead of ${duration}`
+      );
+    }
+    this.logger
+      .terminal()
+      .green(
+        "[INFO] ✍️  The script from the LLM has been successfully generated.\n"
+      );
+
+    return result.data;
+  }
+
+  /**
+   * Parses the JSON of the AI model response, repairing trivial syntax errors such as code fences or trailing commas
+   * @param {Object} completion - Raw response from the LLM
+   * @returns {*} The parsed response
+   * @throws {Error} For empty responses or JSON that cannot be repaired
+   */
+  parseCompletion(completion) {
     const rawContent = completion.choices[0]?.message?.content?.trim();
 
     // Check for empty response
@@ -194,25 +672,295 @@ class PromptGenerator {
     }
 
     try {
-      const parsed = JSON.parse(rawContent);
-      const result = ScriptSchema.safeParse(parsed);
+      return parseModelJSON(rawContent);
+    } catch (error) {
+      this.logger.error("JSON parsing failed:", error.message);
+      throw new Error(`Invalid JSON response: ${error.message}`);
+    }
+  }
 
-      if (!result.success) {
-        this.logger.error(`Validation errors: ${result.error.format()}`);
-        throw new Error("Invalid JSON structure");
+  /**
+   * Logs the repairs made to the segments of the model
+   * @param {string[]} repairs - What was repaired
+   */
+  logRepairs(repairs) {
+    if (repairs.length > 0) {
+      this.logger.warn(
+        `Repaired the response of the model: ${repairs.join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Validates and parses the AI model response to a segment prompt
+   * @param {Object} completion - Raw response from the LLM
+   * @param {VideoSegment} current - The segment being rewritten, whose id and duration are kept
+   * @returns {VideoSegment} Validated segment
+   * @throws {Error} For invalid response structures
+   */
+  validateSegmentResponse(completion, current) {
+    const parsed = this.parseCompletion(completion);
+    // The timeline relies on the id and duration, whatever the model answers
+    const {
+      segments: [segment],
+      repairs,
+    } = repairSegments(
+      [
+        {
+          ...(parsed?.segment || parsed),
+          id: current.id,
+          duration: current.duration,
+        },
+      ],
+      false
+    );
+    this.logRepairs(repairs);
+
+    const result = SegmentSchema.safeParse(segment);
+    if (!result.success) {
+      throw new Error(
+        `Invalid JSON response: ${describeSchemaIssues(result.error)}`
+      );
+    }
+    return result.data;
+  }
+
+  /**
+   * Validates and parses the AI model response to a metadata prompt
+   * @param {Object} completion - Raw response from the LLM
+   * @returns {{thumbnailText: string, platforms: Object<string, PlatformMetadata>}} Validated metadata
+   * @throws {Error} For invalid response structures
+   */
+  validateMetadataResponse(completion) {
+    const parsed = this.parseCompletion(completion);
+    // Hashtags written as words or with spaces are trivial to fix
+    const platforms = Object.fromEntries(
+      Object.entries(parsed?.platforms || {}).map(([platform, post]) => [
+        platform,
+        Array.isArray(post?.hashtags)
+          ? { ...post, hashtags: normalizeHashtags(post.hashtags) }
+          : post,
+      ])
+    );
+
+    const result = MetadataSchema.safeParse({ ...parsed, platforms });
+    if (!result.success) {
+      throw new Error(
+        `Invalid JSON response: ${describeSchemaIssues(result.error)}`
+      );
+    }
+    return result.data;
+  }
+
+  /**
+   * Validates and parses the AI model response to an outline prompt
+   * @param {Object} completion - Raw response from the LLM
+   * @param {number} duration - Requested total duration in seconds, which the entries must add up to
+   * @returns {{id: number, duration: number, summary: string}[]} The outline, numbered in its order
+   * @throws {Error} For invalid response structures
+   */
+  validateOutlineResponse(completion, duration) {
+    const result = OutlineSchema.safeParse(this.parseCompletion(completion));
+    if (!result.success) {
+      throw new Error(
+        `Invalid JSON response: ${describeSchemaIssues(result.error)}`
+      );
+    }
+    const total = result.data.outline.reduce(
+      (sum, entry) => sum + entry.duration,
+      0
+    );
+    if (Math.abs(total - duration) > 0.01) {
+      throw new Error(
+        `Invalid JSON response: The outline lasts ${total} seconds instead of ${duration}`
+      );
+    }
+    return result.data.outline.map((entry, index) => ({
+      ...entry,
+      id: index + 1,
+    }));
+  }
+
+  /**
+   * Validates and parses the AI model response to a batch prompt
+   * @param {Object} completion - Raw response from the LLM
+   * @param {{id: number, duration: number}[]} batch - The outline entries of the batch, whose ids and durations are kept
+   * @returns {VideoSegment[]} Validated segments
+   * @throws {Error} For invalid response structures
+   */
+  validateBatchResponse(completion, batch) {
+    const parsed = this.parseCompletion(completion);
+    if (parsed?.segments?.length !== batch.length) {
+      throw new Error(
+        `Invalid JSON response: Expected ${batch.length} segments, got ${
+          parsed.segments?.length ?? 0
+        }`
+      );
+    }
+    // The outline decided the timeline, whatever the model answers
+    const { segments, repairs } = repairSegments(
+      parsed.segments.map((segment, index) => ({
+        ...segment,
+        id: batch[index].id,
+        duration: batch[index].duration,
+      })),
+      false
+    );
+    this.logRepairs(repairs);
+
+    const result = z.array(SegmentSchema).safeParse(segments);
+    if (!result.success) {
+      throw new Error(
+        `Invalid JSON response: ${describeSchemaIssues(result.error)}`
+      );
+    }
+    return result.data;
+  }
+
+  /**
+   * Builds the messages asking the model to fix its invalid response, so a retry is not a blind repeat of the prompt
+   * @param {Object} [completion] - The response that failed the validation
+   * @param {Error} error - The validation error, listing the issues
+   * @returns {Object[]} The response and the issues to fix, or no messages when the request itself failed
+   */
+  getCorrectionMessages(completion, error) {
+    const content = completion?.choices?.[0]?.message?.content?.trim();
+    if (!content || !error.message.startsWith("Invalid JSON response")) {
+      return [];
+    }
+    return [
+      { role: "assistant", content },
+      {
+        role: "user",
+        content: `Your response is not valid: ${error.message.replace(
+          /^Invalid JSON response:\s*/,
+          ""
+        )}. Fix these issues and answer with the whole corrected JSON only.`,
+      },
+    ];
+  }
+
+  /**
+   * Requests a completion and validates it. When the model answers with invalid JSON, the request is retried
+   * with the issues of the response so the model corrects them
+   * @param {string} systemPrompt - The system prompt of the task, describing the JSON to answer with
+   * @param {string} prompt - The user prompt
+   * @param {number} maxTokens - Token budget of the completion, unless one is configured
+   * @param {function(Object): *} validate - Validates the completion and returns its result
+   * @param {number} [attempt=0] - Current retry attempt count
+   * @param {Object[]} [corrections] - Messages asking to fix the previous response, see getCorrectionMessages
+   * @returns {Promise<*>} The result of the validation
+   * @throws {Error} After maximum retries or fatal errors
+   */
+  async requestCompletion(
+    systemPrompt,
+    prompt,
+    maxTokens,
+    validate,
+    attempt = 0,
+    corrections = []
+  ) {
+    let completion;
+    try {
+      completion = await this.llm.chat.completions.create({
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: prompt },
+          ...corrections,
+        ],
+        model: this.model,
+        temperature: this.config.temperature,
+        max_completion_tokens: this.config.maxTokens ?? maxTokens,
+        stream: false,
+        stop: null,
+        response_format: { type: "json_object" },
+      });
+
+      return validate(completion);
+    } catch (error) {
+      this.logger.error(`Attempt ${attempt + 1} failed: ${error.message}`);
+      //Sometimes the LLM hallucinates and returns bad response which cannot be parsed. So we retry
+      if (this.shouldRetry(error) && attempt < PromptGenerator.MAX_RETRIES) {
+        await this.delay(1000 * (attempt + 1)); // Exponential backoff
+        return this.requestCompletion(
+          systemPrompt,
+          prompt,
+          maxTokens,
+          validate,
+          attempt + 1,
+          this.getCorrectionMessages(completion, error)
+        );
+      } else {
+        throw new Error(PromptGenerator.LLM_ERROR_MESSAGE);
       }
+    }
+  }
+
+  /**
+   * Generates the script of a long video in steps, so no completion is truncated: an outline of the segments
+   * first, then the segments in batches following it, stitched and validated as a whole
+   * @param {Object} config - Configuration for script generation, see generateScript
+   * @returns {Promise<{segments: VideoSegment[]}>} Generated script object
+   * @throws {Error} After maximum retries of a step or if the stitched script is invalid
+   */
+  async generateScriptInBatches(config) {
+    const { maxSegments } = PromptGenerator.getSegmentCountRange(
+      config.duration
+    );
+    const outline = await this.requestCompletion(
+      PromptGenerator.OUTLINE_SYSTEM_PROMPT,
+      PromptGenerator.generateOutlinePrompt(config),
+      PromptGenerator.getTokenBudget(
+        maxSegments,
+        PromptGenerator.TOKEN_BUDGET.perOutlineEntry
+      ),
+      (completion) => this.validateOutlineResponse(completion, config.duration)
+    );
+
+    const segments = [];
+    for (
+      let start = 0;
+      start < outline.length;
+      start += PromptGenerator.MAX_SEGMENTS_PER_REQUEST
+    ) {
+      const batch = outline.slice(
+        start,
+        start + PromptGenerator.MAX_SEGMENTS_PER_REQUEST
+      );
       this.logger
         .terminal()
-        .green(
-          "[INFO] ✍️  The script from the LLM has been successfully generated.\n"
+        .cyan(
+          `[INFO] ✍️  Writing segments ${batch[0].id} to ${
+            batch[batch.length - 1].id
+          } of ${outline.length}...\n`
         );
+      segments.push(
+        ...(await this.requestCompletion(
+          PromptGenerator.SYSTEM_PROMPT,
+          PromptGenerator.generateBatchPrompt(
+            config,
+            outline,
+            batch,
+            segments[segments.length - 1]
+          ),
+          PromptGenerator.getTokenBudget(batch.length),
+          (completion) => this.validateBatchResponse(completion, batch)
+        ))
+      );
+    }
 
-      return result.data;
-    } catch (error) {
-      this.logger.error("JSON parsing failed:", error.message);
-      throw new Error(`Invalid JSON response: ${error.message}`);
+    const result = ScriptSchema.safeParse({ segments });
+    if (!result.success) {
+      throw new Error(`Invalid script: ${describeSchemaIssues(result.error)}`);
     }
+    this.logger
+      .terminal()
+      .green(
+        "[INFO] ✍️  The script from the LLM has been successfully generated.\n"
+      );
+    return result.data;
   }
+
   /**
    * Creates a delay promise for retry backoff
    * @param {number} ms - Milliseconds to delay
@@ -232,39 +980,80 @@ class PromptGenerator {
    * @param {string} config.topic - Main video topic/theme
    * @param {string[]} config.keyTerms - Key terms to include
    * @param {boolean} config.requireFactChecking - Fact verification flag
-   * @param {number} [attempt=0] - Current retry attempt count
    * @returns {Promise<Object>} Generated script object
-   * @throws {Error} After maximum retries or fatal errors
+   * @throws {Error} For missing configuration fields, after maximum retries or fatal errors
    */
-  async generateScript(config, attempt = 0) {
-    try {
-      this.validateConfig(config);
+  async generateScript(config) {
+    this.validateConfig(config);
+    const { maxSegments } = PromptGenerator.getSegmentCountRange(
+      config.duration
+    );
+    const maxTokens = PromptGenerator.getTokenBudget(maxSegments);
+    if (maxTokens > PromptGenerator.MAX_COMPLETION_TOKENS) {
+      return this.generateScriptInBatches(config);
+    }
 
-      const completion = await this.groq.chat.completions.create({
-        messages: [
-          { role: "system", content: PromptGenerator.SYSTEM_PROMPT },
-          { role: "user", content: PromptGenerator.generateUserPrompt(config) },
-        ],
-        model: "llama3-70b-8192",
-        temperature: 1.5,
-        max_completion_tokens: 1024,
-        stream: false,
-        stop: null,
-        response_format: { type: "json_object" },
-      });
+    return this.requestCompletion(
+      PromptGenerator.SYSTEM_PROMPT,
+      PromptGenerator.generateUserPrompt(config),
+      maxTokens,
+      (completion) => this.validateResponse(completion, config.duration)
+    );
+  }
 
-      return this.validateResponse(completion);
-    } catch (error) {
-      this.logger.error(`Attempt ${attempt + 1} failed: ${error.message}`);
-      //Sometimes the LLM hallucinates and returns bad response which cannot be parsed. So we retry
-      if (this.shouldRetry(error) && attempt < PromptGenerator.MAX_RETRIES) {
-        await this.delay(1000 * (attempt + 1)); // Exponential backoff
-        return this.generateScript(config, attempt + 1);
-      } else {
-        throw new Error(PromptGenerator.LLM_ERROR_MESSAGE);
-      }
+  /**
+   * Generates the publishing metadata of a video from its script: a title, description and hashtags
+   * for every platform and a thumbnail headline
+   * @param {{segments: VideoSegment[]}} script - The script of the video
+   * @param {Object} config - The configuration the script was generated with, see generateMetadataPrompt
+   * @returns {Promise<{thumbnailText: string, platforms: Object<string, PlatformMetadata>}>} The validated metadata
+   * @throws {Error} After maximum retries or fatal errors
+   */
+  async generateMetadata(script, config) {
+    return this.requestCompletion(
+      PromptGenerator.METADATA_SYSTEM_PROMPT,
+      PromptGenerator.generateMetadataPrompt(script, config),
+      PromptGenerator.getTokenBudget(
+        PLATFORMS.length,
+        PromptGenerator.TOKEN_BUDGET.perPlatform
+      ),
+      (completion) => this.validateMetadataResponse(completion)
+    );
+  }
+
+  /**
+   * Regenerates a single segment of a script, the other segments being sent as context so the rewrite keeps the flow
+   * @param {{segments: VideoSegment[]}} script - The script
+   * @param {number} segmentId - Id of the segment to regenerate
+   * @param {Object} config - The configuration the script was generated with, see generateSegmentPrompt
+   * @returns {Promise<{segments: VideoSegment[]}>} The script with the regenerated segment spliced in
+   * @throws {Error} If the segment is not in the script, after maximum retries or on fatal errors
+   */
+  async regenerateSegment(script, segmentId, config) {
+    const index = script.segments.findIndex(({ id }) => id === segmentId);
+    if (index === -1) {
+      throw new Error(`Segment ${segmentId} is not in the script`);
     }
+
+    const segment = await this.requestCompletion(
+      PromptGenerator.SEGMENT_SYSTEM_PROMPT,
+      PromptGenerator.generateSegmentPrompt(script, segmentId, config),
+      PromptGenerator.getTokenBudget(1),
+      (completion) =>
+        this.validateSegmentResponse(completion, script.segments[index])
+    );
+    return {
+      ...script,
+      segments: script.segments.map((current, position) =>
+        position === index ? segment : current
+      ),
+    };
   }
 }
 
-module.exports = { PromptGenerator };
+module.exports = {
+  PromptGenerator,
+  SegmentSchema,
+  ScriptSchema,
+  getScriptDuration,
+};
@@ -0,0 +1,128 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} TransitionDefinition
+ * @property {string} [xfade] - Name of the built-in FFmpeg xfade transition.
+ * @property {string} [expr] - Custom xfade expression, used when there is no built-in equivalent.
+ * @property {number} duration - Default duration of the transition in seconds.
+ */
+
+/**
+ * Samples the pixel of the first (a) or second (b) clip at the coordinates stored in the
+ * registers 0 and 1, on whichever plane xfade is currently rendering.
+ * @param {'a'|'b'} clip - The clip to sample.
+ * @returns {string} The xfade expression.
+ */
+const samplePlane = (clip) =>
+  `if(eq(PLANE,0),${clip}0(ld(0),ld(1)),if(eq(PLANE,1),${clip}1(ld(0),ld(1)),` +
+  `if(eq(PLANE,2),${clip}2(ld(0),ld(1)),${clip}3(ld(0),ld(1)))))`;
+
+/**
+ * Maps the current pixel through a scale around the center of the frame into the registers 0 and 1.
+ * @param {string} scale - Expression of the scale factor.
+ * @returns {string} The xfade expression.
+ */
+const scaleFromCenter = (scale) =>
+  `st(2,max(${scale},0.001));st(0,(X-W/2)/ld(2)+W/2);st(1,(Y-H/2)/ld(2)+H/2)`;
+
+const isInsideFrame = "between(ld(0),0,W-1)*between(ld(1),0,H-1)";
+
+// xfade progress P goes from 1 (only the first clip) to 0 (only the second clip)
+const CUSTOM_EXPRESSIONS = {
+  // The outgoing clip shrinks into the center of the frame
+  shrinkOut: `${scaleFromCenter("P")};if(${isInsideFrame},${samplePlane(
+    "a"
+  )},B)`,
+  // The incoming clip grows out of the center of the frame
+  growIn: `${scaleFromCenter("1-P")};if(${isInsideFrame},${samplePlane(
+    "b"
+  )},A)`,
+  // The incoming clip starts magnified and settles while it fades in
+  zoomOut: `${scaleFromCenter("1+P")};A*P+${samplePlane("b")}*(1-P)`,
+  // The incoming clip spins in a half turn while growing out of the center
+  rotate:
+    "st(2,max(1-P,0.001));st(3,P*PI);" +
+    "st(0,((X-W/2)*cos(ld(3))-(Y-H/2)*sin(ld(3)))/ld(2)+W/2);" +
+    "st(1,((X-W/2)*sin(ld(3))+(Y-H/2)*cos(ld(3)))/ld(2)+H/2);" +
+    `if(${isInsideFrame},${samplePlane("b")},A)`,
+};
+
+/**
+ * Every transition the script schema allows, mapped to an xfade transition or a custom xfade expression.
+ * @type {Object<string, TransitionDefinition>}
+ */
+const TRANSITIONS = {
+  fade: { xfade: "fade", duration: 0.5 },
+  dissolve: { xfade: "fadeblack", duration: 0.7 },
+  slideLeft: { xfade: "slideleft", duration: 0.5 },
+  slideRight: { xfade: "slideright", duration: 0.5 },
+  circleWipe: { xfade: "circleopen", duration: 0.6 },
+  pixelize: { xfade: "pixelize", duration: 0.6 },
+  panLeft: { xfade: "smoothleft", duration: 0.6 },
+  panRight: { xfade: "smoothright", duration: 0.6 },
+  directionalWipe: { xfade: "wipeleft", duration: 0.5 },
+  zoomIn: { xfade: "zoomin", duration: 0.6 },
+  zoomOut: { expr: CUSTOM_EXPRESSIONS.zoomOut, duration: 0.6 },
+  scaleUp: { expr: CUSTOM_EXPRESSIONS.growIn, duration: 0.6 },
+  scaleDown: { expr: CUSTOM_EXPRESSIONS.shrinkOut, duration: 0.6 },
+  rotate: { expr: CUSTOM_EXPRESSIONS.rotate, duration: 0.8 },
+};
+
+/**
+ * The transition used when a segment has none or an unknown one
+ */
+const DEFAULT_TRANSITION = "fade";
+
+/**
+ * Returns the definition of a transition, falling back to the default transition.
+ * @param {string} [name] - Name of the transition from the script.
+ * @returns {TransitionDefinition} The transition definition.
+ */
+const getTransition = (name) =>
+  TRANSITIONS[name] || TRANSITIONS[DEFAULT_TRANSITION];
+
+/**
+ * Returns the duration of the transition into a segment. The transition is the one picked by the previous
+ * segment, its duration comes from that segment when the script sets one and from the registry otherwise.
+ * @param {VideoSegment[]} segments - The script segments.
+ * @param {number} index - Index of the incoming segment, at least 1.
+ * @returns {number} The duration of the transition in seconds.
+ */
+const getTransitionDuration = (segments, index) => {
+  const previous = segments[index - 1];
+  const duration =
+    previous.transitionDuration ?? getTransition(previous.transition).duration;
+  // A transition may not eat more than half of either clip
+  return Math.min(duration, previous.duration / 2, segments[index].duration / 2);
+};
+
+/**
+ * Builds the options of the xfade filter for a transition.
+ * @param {string} [name] - Name of the transition from the script.
+ * @param {number} duration - Duration of the transition in seconds.
+ * @param {number} offset - Time in seconds at which the transition starts.
+ * @returns {string} The xfade filter with its options.
+ */
+const buildXfadeFilter = (name, duration, offset) => {
+  const transition = getTransition(name);
+  const type = transition.expr
+    ? `custom:expr='${transition.expr}'`
+    : transition.xfade;
+
+  return `xfade=transition=${type}:duration=${duration}:offset=${offset}`;
+};
+
+module.exports = {
+  TRANSITIONS,
+  DEFAULT_TRANSITION,
+  getTransition,
+  getTransitionDuration,
+  buildXfadeFilter,
+};
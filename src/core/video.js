@@ -14,18 +14,58 @@
  * @property {string} text - Text content to display in the segment.
  * @property {number} duration - Duration of the segment in seconds.
  * @property {string} [description] - Optional description to help find media assets for the segment.
- * @property {'fade' | 'slideLeft' | 'slideRight' | 'zoomIn' | 'zoomOut' | 'dissolve' | 'circleWipe' | 'pixelize'} [transition] - Optional transition effect between segments.
+ * @property {'fade' | 'slideLeft' | 'slideRight' | 'zoomIn' | 'zoomOut' | 'dissolve' | 'circleWipe' | 'pixelize' | 'panLeft' | 'panRight' | 'scaleUp' | 'scaleDown' | 'rotate' | 'directionalWipe'} [transition] - Optional transition effect between segments.
+ * @property {number} [transitionDuration] - Optional duration in seconds of the transition into the next segment.
  */
 
 // src/core/video.js
 
 const ffmpegPath = require("@ffmpeg-installer/ffmpeg").path;
 const ffmpeg = require("fluent-ffmpeg");
-const { createClient } = require("pexels");
 const path = require("path");
 const fs = require("fs");
 const { v4: uuidv4 } = require("uuid");
 const Logger = require("../utils/logger");
+const { getSegmentTimeline } = require("../utils/timeline");
+const { getTransitionDuration, buildXfadeFilter } = require("./transitions");
+const { rankVideoCandidates } = require("../utils/clipRanking");
+const { FIT_MODES, buildFitFilter } = require("../utils/fit");
+const {
+  SHORT_CLIP_STRATEGIES,
+  buildShortClipOptions,
+} = require("../utils/shortClips");
+const { buildSidechainFilter } = require("../utils/ducking");
+const {
+  getLoudnessTarget,
+  buildLoudnormFilter,
+  parseLoudnormStats,
+} = require("../utils/loudness");
+const { getNoiseLessConfig } = require("../utils");
+const { createMediaProvider } = require("../providers/media");
+const {
+  getSubtitleCues,
+  buildSrt,
+  buildVtt,
+} = require("../utils/subtitles");
+const {
+  getProviderCredit,
+  mergeCredits,
+  buildCreditsText,
+  buildCreditsCardText,
+} = require("../utils/credits");
+const {
+  CAPTION_STYLES,
+  AVERAGE_CHAR_WIDTH,
+  getWordTimings,
+  buildCaptionLayers,
+} = require("../utils/captions");
+const {
+  CHAR_WIDTHS,
+  getLanguage,
+  findFont,
+  splitWords,
+  getWordSeparator,
+} = require("../utils/languages");
 const tmp = require("tmp");
 require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
 
@@ -36,45 +76,80 @@ class VideoGenerator {
    * Creates an instance of VideoGenerator.
    *
    * @param {Object} config - Configuration for video generation.
-   * @param {string} config.pexelsKey - API key for the Pexels service (required).
+   * @param {string} [config.pexelsKey] - API key for the Pexels service (required by the pexels media provider).
+   * @param {string|Object} [config.mediaProvider] - Name of the media provider (pexels, local) or a custom provider instance. Defaults to pexels
+   * @param {string} [config.mediaDir] - Folder of clips searched by the local media provider.
    * @param {number} config.width - Width of the video in pixels.
    * @param {number} config.height - Height of the video in pixels.
    * @param {number} config.fps - Frames per second for the video.
    * @param {string} config.outputDir - Directory where the generated video and temporary files will be stored.
    * @param {number} config.fontSize - Size of the font in pixels.
    * @param {string} config.font - Path to the font file (provide absolute path to the font)
+   * @param {string} [config.language] - ISO 639-1 code of the language of the captions, which picks their font when none is given. Defaults to en
+   * @param {string} [config.captionStyle] - How the text is drawn: static, word or phrase. Defaults to static
+   * @param {string} [config.captionColor] - Color of the animated captions. Defaults to white
+   * @param {string} [config.captionHighlightColor] - Color of the active word in animated captions. Defaults to yellow
+   * @param {boolean} [config.softSubtitles] - Also embed the subtitles in the video as a mov_text stream. Defaults to false
+   * @param {string} [config.subtitleLanguage] - ISO 639-2 language code of the embedded subtitles. Defaults to the one of the language
+   * @param {'pad'|'crop'|'blur'} [config.fitMode] - How clips of another aspect ratio fill the frame: black bars, center crop or a blurred background. Defaults to pad
+   * @param {'loop'|'pingpong'|'slow'} [config.shortClipStrategy] - How clips shorter than their segment fill it: restarting, playing back and forth or slowing down. Defaults to loop
+   * @param {boolean} [config.creditsCard] - Append an end card crediting the footage and the music. Defaults to false
+   * @param {number} [config.creditsCardDuration] - Duration of the credits end card in seconds. Defaults to 4 seconds
+   * @param {string} [config.loudness] - Loudness preset of the final mix: youtube, tiktok, instagram, ebu or off. Defaults to off
+   * @param {MediaCache} [config.cache] - Disk cache for the Pexels searches and downloaded clips. Nothing is cached without it
    */
   constructor(config) {
     this.config = { ...VideoGenerator.DEFAULT_CONFIG, ...config };
     this.logger = new Logger();
     this.tempDir = path.join(this.config.outputDir, "temp");
 
-    if (!config.pexelsKey) {
+    if (this.config.fps <= 0 || this.config.fps > 60) {
+      throw new Error(`Invalid FPS value: ${this.config.fps}`);
+    }
+    if (!FIT_MODES.includes(this.config.fitMode)) {
       throw new Error(
-        "Pexels API key is required to generate media-based videos"
+        `Invalid fit mode "${this.config.fitMode}". Use one of: ${FIT_MODES.join(
+          ", "
+        )}`
       );
     }
-    if (this.config.fps <= 0 || this.config.fps > 60) {
-      throw new Error(`Invalid FPS value: ${this.config.fps}`);
+    if (!SHORT_CLIP_STRATEGIES.includes(this.config.shortClipStrategy)) {
+      throw new Error(
+        `Invalid short clip strategy "${
+          this.config.shortClipStrategy
+        }". Use one of: ${SHORT_CLIP_STRATEGIES.join(", ")}`
+      );
     }
-
-    if (config.pexelsKey) {
-      this.pexelsClient = createClient(config.pexelsKey);
+    if (!CAPTION_STYLES.includes(this.config.captionStyle)) {
+      throw new Error(
+        `Invalid caption style "${
+          this.config.captionStyle
+        }". Use one of: ${CAPTION_STYLES.join(", ")}`
+      );
     }
 
-    this.TRANSITION_DURATION = 0.5; // seconds
+    // Validate early so a typo does not surface after the segments have been rendered
+    getLoudnessTarget(this.config.loudness);
+    this.language = getLanguage(this.config.language);
+    this.config.subtitleLanguage ??= this.language.subtitleLanguage;
+    this.captionFont = config.font || this.findCaptionFont();
 
-    this.TRANSITION_MAPPING = {
-      fade: "fade",
-      dissolve: "fadeblack",
-
-      slideLeft: "slideleft",
-      slideRight: "slideright",
-      circleWipe: "circleopen",
-      pixelize: "pixelize",
-    };
+    this.mediaProvider = createMediaProvider(
+      this.config.mediaProvider,
+      getNoiseLessConfig({
+        apiKey: config.pexelsKey,
+        directory: config.mediaDir,
+        cache: config.cache,
+      })
+    );
 
     this.ffmpegBaseOptions = ["-hide_banner", "-loglevel error", "-y"];
+    // Videos of the media provider already used in the current project
+    this.usedVideoIds = new Set();
+    // Footage picked for every segment of the current project with its attribution, by segment id
+    this.assets = new Map();
+    // Footage a project file pins to its segments, by segment id
+    this.pinnedAssets = new Map();
 
     this.ensureDirectories();
   }
@@ -89,12 +164,39 @@ class VideoGenerator {
     fps: 30,
     outputDir: path.join(process.cwd(), "clip-creator-generated"),
     fontSize: 32,
+    captionStyle: "static",
+    captionColor: "white",
+    captionHighlightColor: "yellow",
+    softSubtitles: false,
+    language: "en",
+    mediaProvider: "pexels",
+    fitMode: "pad",
+    shortClipStrategy: "loop",
+    loudness: "off",
+    creditsCard: false,
+    creditsCardDuration: 4,
     font:
       process.env.NODE_ENV === "dev"
         ? path.resolve(__dirname, "../assets/fonts/OpenSans-Regular.ttf")
         : path.resolve(__dirname, "./assets/fonts/OpenSans-Regular.ttf"),
   };
 
+  /**
+   * Picks an installed font for the writing system of the language when the bundled one cannot render it.
+   *
+   * @returns {string} - Path to the font of the captions.
+   */
+  findCaptionFont() {
+    const { name, script } = this.language;
+    const font = findFont(script);
+    if (!font && script !== "latin" && script !== "cyrillic") {
+      this.logger.warn(
+        `No ${name} font found, captions may render as boxes. Install the Noto fonts or pass --font`
+      );
+    }
+    return font || this.config.font;
+  }
+
   /**
    * Ensures the required directories exist.
    */
@@ -106,22 +208,86 @@ class VideoGenerator {
     });
   }
 
+  /**
+   * Computes where every segment will sit in the final video once the transitions overlap them.
+   *
+   * @param {VideoSegment[]} segments - Array of video segments.
+   * @returns {{ entries: TimelineEntry[], totalDuration: number }} - The timeline of the video.
+   */
+  getSegmentTimeline(segments) {
+    return getSegmentTimeline(segments, (index) =>
+      getTransitionDuration(segments, index)
+    );
+  }
+
+  /**
+   * Appends the credits end card to the segments when it is enabled, so the timeline covers the whole video.
+   *
+   * @param {VideoSegment[]} segments - Array of video segments.
+   * @returns {VideoSegment[]} - The segments followed by the end card, or the segments themselves.
+   */
+  withCreditsCard(segments) {
+    return this.config.creditsCard
+      ? [
+          ...segments,
+          { id: "credits", duration: this.config.creditsCardDuration },
+        ]
+      : segments;
+  }
+
   /**
    * Generates a video with the given segments and audio.
    *
    * @param {VideoSegment[]} segments - Array of video segments.
    * @param {string} audioPath - Path to the background audio file.
-   * @returns {Promise<string>} - Path to the generated video.
+   * @param {Object} [options] - Additional tracks for the video.
+   * @param {string} [options.narrationPath] - Path to the narration track mixed over the background audio.
+   * @param {Object} [options.ducking] - Sidechain ducking of the background audio under the narration ({ amount, attack, release }).
+   * @param {NarrationTiming[]} [options.narrationTimings] - Timing of every narrated segment, used to time the captions.
+   * @param {Credit[]} [options.credits] - Attribution of the other assets of the video, such as the music.
+   * @param {FootageAsset[]} [options.assets] - Footage of a project file, used instead of searching for the segments it covers.
+   * @returns {Promise<{outputPath: string, loudness: LoudnessReport|null}>} - Path to the generated video and the measured
+   * loudness of its mix, null when it is not normalized.
    */
 
-  async generateVideo(segments, audioPath) {
+  async generateVideo(segments, audioPath, options = {}) {
     try {
+      this.usedVideoIds = new Set();
+      this.assets = new Map();
+      this.pinnedAssets = new Map(
+        (options.assets || []).map((asset) => [asset.segmentId, asset])
+      );
+      const timeline = this.getSegmentTimeline(segments).entries;
       const segmentPaths = await Promise.all(
-        segments.map((segment) => this.createSegment(segment))
+        segments.map((segment, index) => {
+          const narration = options.narrationTimings?.find(
+            ({ id }) => id === segment.id
+          );
+          return this.createSegment(
+            narration
+              ? {
+                  ...segment,
+                  narration: {
+                    offset: narration.start - timeline[index].start,
+                    duration: narration.duration,
+                  },
+                }
+              : segment
+          );
+        })
       );
+      const credits = mergeCredits([
+        ...segments
+          .map(({ id }) => this.assets.get(id)?.credit)
+          .filter(Boolean),
+        ...(options.credits || []),
+      ]);
+      if (this.config.creditsCard) {
+        segmentPaths.push(await this.createCreditsCard(credits));
+      }
       const withTransitions = await this.combineVideosWithTransitions(
         segmentPaths,
-        segments
+        this.withCreditsCard(segments)
       );
 
       const outputPath = path.join(
@@ -129,11 +295,30 @@ class VideoGenerator {
         `final_${uuidv4()}.mp4`
       );
 
-      await this.combineVideoAndAudio(audioPath, withTransitions, outputPath);
+      const { loudness } = await this.combineVideoAndAudio(
+        audioPath,
+        withTransitions,
+        outputPath,
+        getNoiseLessConfig({
+          narrationPath: options.narrationPath,
+          ducking: options.ducking,
+          loudness: this.config.loudness,
+        })
+      );
+
+      const subtitlePaths = this.writeSubtitles(
+        segments,
+        timeline,
+        outputPath
+      );
+      this.writeCredits(credits, outputPath);
+      if (this.config.softSubtitles) {
+        await this.muxSubtitles(outputPath, subtitlePaths.srt);
+      }
 
       await this.cleanup([...segmentPaths, withTransitions]);
 
-      return outputPath;
+      return { outputPath, loudness };
     } catch (error) {
       this.logger.error(`Failed to generate video: ${error.message}`);
       throw error;
@@ -152,61 +337,136 @@ class VideoGenerator {
     return this.createMediaSegment(segment, outputPath);
   }
 
+  /**
+   * Finds the best clip of the media provider for a segment. Every candidate of a search is ranked by aspect-ratio fit, resolution
+   * and duration, the search moves on to the next query only when the best candidate was already used in the project.
+   * Segments whose footage is pinned by a project file skip the search.
+   *
+   * @param {VideoSegment} segment - The segment details.
+   * @returns {Promise<{videoFile: Object, video: Object, query: string, score: number}>} - The chosen file, its video, the query that found it and its score, no score for pinned footage.
+   */
   async findSuitableVideo(segment) {
-    try {
-      const searchQueries = [
-        segment.description,
-        segment.text,
-        "background",
-        "nature",
-        "landscape",
-        "abstract",
-        "minimalist",
-      ];
+    const pinned = this.pinnedAssets.get(segment.id);
+    if (pinned) {
+      this.usedVideoIds.add(pinned.video.id);
+      this.assets.set(segment.id, pinned);
+      this.logger.info(
+        `Segment ${segment.id}: using ${pinned.provider} video ${pinned.video.id} of the project`
+      );
+      return {
+        videoFile: pinned.videoFile,
+        video: pinned.video,
+        query: pinned.query,
+      };
+    }
 
-      const searchOptions = {
-        size: "medium",
-        //For more choices and to avoid rate limits
+    const searchQueries = [
+      segment.description,
+      segment.text,
+      "background",
+      "nature",
+      "landscape",
+      "abstract",
+      "minimalist",
+    ];
 
-        per_page: 15,
+    const searchOptions = {
+      //For more choices and to avoid rate limits
+      perPage: 15,
 
-        orientation:
-          this.config.width >= this.config.height ? "landscape" : "portrait",
-      };
-      //TODO: Implement cache with redis to avoid monthly API quotas
-      for (const query of searchQueries) {
-        try {
-          const searchResults = await this.pexelsClient.videos.search({
-            query,
-            ...searchOptions,
-          });
-          //TODO Refine the logic here
-          if (searchResults.videos && searchResults.videos.length > 0) {
-            const videoFile = searchResults.videos[0].video_files.find(
-              (file) => file.quality === "hd"
-              // file.width === this.config.width &&
-              // file.height === this.config.height
-            );
+      orientation:
+        this.config.width >= this.config.height ? "landscape" : "portrait",
+    };
+    let fallback;
+    for (const query of searchQueries.filter(Boolean)) {
+      try {
+        const searchResults = await this.mediaProvider.search({
+          query,
+          ...searchOptions,
+        });
+        const [best] = rankVideoCandidates(searchResults.videos || [], {
+          width: this.config.width,
+          height: this.config.height,
+          duration: segment.duration,
+          usedVideoIds: this.usedVideoIds,
+        });
 
-            if (videoFile) {
-              return {
-                videoFile,
-                query: query,
-              };
-            }
-          }
-        } catch (error) {
-          this.logger.error(
-            `Search failed for query '${query}': ${error.message}`
-          );
+        if (best && (!best.breakdown.reused || !fallback)) {
+          fallback = { ...best, query };
+        }
+        if (best && !best.breakdown.reused) {
+          break;
         }
+      } catch (error) {
+        this.logger.error(
+          `Search failed for query '${query}': ${error.message}`
+        );
       }
-    } catch (error) {
-      this.logger.error(`Error while searching for query '${query}': ${error}`);
+    }
+
+    if (!fallback) {
       throw new Error(
         "No suitable media found after multiple searches. Please try again with different parameters."
       );
     }
+
+    // Claimed right after ranking, so segments searched in parallel see each other's picks
+    this.usedVideoIds.add(fallback.video.id);
+    const { video, videoFile, score, breakdown, query } = fallback;
+    this.assets.set(segment.id, {
+      segmentId: segment.id,
+      provider: this.mediaProvider.name,
+      query,
+      video: {
+        id: video.id,
+        width: video.width,
+        height: video.height,
+        duration: video.duration,
+      },
+      videoFile: {
+        id: videoFile.id,
+        link: videoFile.link,
+        width: videoFile.width,
+        height: videoFile.height,
+        quality: videoFile.quality,
+      },
+      credit: {
+        type: "footage",
+        ...getProviderCredit(this.mediaProvider, video),
+        segments: [segment.id],
+      },
+    });
+    const criteria = ["aspect", "resolution", "duration"]
+      .map((criterion) => `${criterion} ${breakdown[criterion].toFixed(2)}`)
+      .concat(breakdown.reused ? ["reused"] : [])
+      .join(", ");
+    this.logger.info(
+      `Segment ${segment.id}: picked ${this.mediaProvider.name} video ${video.id} ` +
+        `(${videoFile.width}x${videoFile.height}, ${video.duration}s) for '${query}' ` +
+        `with score ${score.toFixed(2)} (${criteria})`
+    );
+    return { videoFile, video, query, score };
+  }
+
+  /**
+   * Retrieves the duration of the video stream of a file.
+   *
+   * @param {string} filePath - Path to the video file.
+   * @returns {Promise<number>} - The duration of the video in seconds.
+   */
+  getVideoDuration(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        if (err) {
+          reject(err);
+        } else {
+          const videoStream = metadata.streams.find(
+            ({ codec_type }) => codec_type === "video"
+          );
+          resolve(Number(videoStream?.duration) || metadata.format.duration);
+        }
+      });
+    });
   }
 
   /**
@@ -218,91 +478,57 @@ class VideoGenerator {
    */
   async createMediaSegment(segment, outputPath) {
     try {
-      if (!this.pexelsClient) {
-        throw new Error("Pexels client not initialized");
-      }
-
       // Fetch video
-      const { videoFile } = await this.findSuitableVideo(segment);
+      const { videoFile, video } = await this.findSuitableVideo(segment);
+      const tempVideoFile = await this.mediaProvider.fetchVideo(videoFile);
 
-      const response = await fetch(videoFile.link);
-      if (!response.ok) {
-        throw new Error(
-          `Failed to download video. HTTP Status: ${response.status}`
+      // Providers round the durations they report (Pexels to the second), the probe gives the real length of the file
+      const clipDuration = await this.getVideoDuration(tempVideoFile.name).catch(
+        () => video.duration
+      );
+      const shortClip = buildShortClipOptions(
+        this.config.shortClipStrategy,
+        clipDuration,
+        segment.duration,
+        this.config.fps
+      );
+      if (clipDuration < segment.duration) {
+        this.logger.info(
+          `Segment ${segment.id}: the ${clipDuration}s clip is shorter than the segment, applying ${this.config.shortClipStrategy}`
         );
       }
 
-      // Create temporary video file
-      const tempVideoFile = tmp.fileSync({
-        postfix: ".mp4",
-        discardDescriptor: true,
-      });
-      if (!tempVideoFile.name) {
-        throw new Error("Failed to create temporary video file");
-      }
-
-      // Write video buffer to file
-      const buffer = await response.arrayBuffer();
-      fs.writeFileSync(tempVideoFile.name, Buffer.from(buffer));
-
-      const maxCharsPerLine = Math.floor(
-        this.config.width / (this.config.fontSize * 0.6)
-      ); // Estimate max chars per line
-
-      let processedText = segment.text;
-
-      if (processedText.length > maxCharsPerLine) {
-        const words = processedText.split(" ");
-        const mid = Math.ceil(words.length / 2);
-        processedText = `${words.slice(0, mid).join(" ")}\n${words
-          .slice(mid)
-          .join(" ")}`;
-      }
-
-      // Create text file
-      const textFile = tmp.fileSync({
-        postfix: ".txt",
-        discardDescriptor: true,
-      });
-      if (!textFile.name) {
-        throw new Error("Failed to create temporary text file");
+      let captionFilters, textFiles;
+      try {
+        ({ filters: captionFilters, textFiles } =
+          this.buildCaptionFilters(segment));
+      } catch (error) {
+        tempVideoFile.removeCallback();
+        throw error;
       }
+      const removeTempFiles = () => {
+        textFiles.forEach((textFile) => textFile.removeCallback());
+        tempVideoFile.removeCallback();
+      };
 
-      // Write formatted text to file as ffmpeg complains directly passing the text
-      fs.writeFileSync(textFile.name, processedText);
       return new Promise((resolve, reject) => {
         try {
-          // Resolve font path
-          const font = path.resolve(this.config.font);
-          if (!font) {
-            throw new Error(
-              "Font file not found. Please check your configuration."
-            );
-          }
-
-          const calculatedBoxBorderWidth = this.config.height * 0.025;
-
           // Run FFmpeg
           ffmpeg(tempVideoFile.name)
-            .inputOptions(this.ffmpegBaseOptions)
+            .inputOptions([
+              ...this.ffmpegBaseOptions,
+              ...shortClip.inputOptions,
+            ])
+            // Fit the clip before drawing the captions so they are laid out on the output frame
             .videoFilters([
-              {
-                filter: "drawtext",
-                options: {
-                  textfile: textFile.name,
-                  fontfile: font,
-                  fontsize: this.config.fontSize || 24,
-                  fontcolor: "black",
-                  box: 1,
-                  boxcolor: "white@0.9",
-                  boxborderw: calculatedBoxBorderWidth,
-                  x: "(w-text_w)/2",
-                  y: "(h-text_h)/2",
-                  borderw: 2,
-                  bordercolor: "black@0.2",
-                  enable: `between(t,0,${segment.duration})`,
-                },
-              },
+              ...shortClip.beforeFit,
+              buildFitFilter(
+                this.config.fitMode,
+                this.config.width,
+                this.config.height
+              ),
+              ...shortClip.afterFit,
+              ...captionFilters,
             ])
             .outputOptions([
               `-t ${segment.duration}`,
@@ -311,15 +537,13 @@ class VideoGenerator {
               "-crf 23",
             ])
             .on("end", () => {
-              textFile.removeCallback();
-              tempVideoFile.removeCallback();
+              removeTempFiles();
               resolve(outputPath);
             })
             .on("error", (err, _, stderr) => {
               this.logger.error(`Segmentation error: ${err}`);
               this.logger.error(`Ffmpeg error: ${stderr}`);
-              textFile.removeCallback();
-              tempVideoFile.removeCallback();
+              removeTempFiles();
               reject(new Error(`FFmpeg failed: ${err.message}`));
             })
             .save(outputPath);
@@ -334,6 +558,186 @@ class VideoGenerator {
     }
   }
 
+  /**
+   * Renders the credits end card: the credits centered on a black frame.
+   *
+   * @param {Credit[]} credits - The credits of the video.
+   * @returns {Promise<string>} - Path to the end card clip.
+   */
+  createCreditsCard(credits) {
+    const outputPath = path.join(this.tempDir, `credits_${uuidv4()}.mp4`);
+    const fontSize = Math.round((this.config.fontSize || 24) * 0.75);
+    const maxCharsPerLine = Math.floor(
+      (this.config.width * 0.9) / (fontSize * AVERAGE_CHAR_WIDTH)
+    );
+    const textFile = tmp.fileSync({ postfix: ".txt", discardDescriptor: true });
+    fs.writeFileSync(
+      textFile.name,
+      buildCreditsCardText(credits, maxCharsPerLine)
+    );
+
+    return new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(
+          `color=c=black:s=${this.config.width}x${this.config.height}:r=${this.config.fps}`
+        )
+        .inputFormat("lavfi")
+        .inputOptions(this.ffmpegBaseOptions)
+        .videoFilters([
+          {
+            filter: "drawtext",
+            options: {
+              textfile: textFile.name,
+              fontfile: path.resolve(this.captionFont),
+              fontsize: fontSize,
+              fontcolor: "white",
+              line_spacing: Math.round(fontSize / 2),
+              // Titles such as "100% Chill" are drawn as written, not as drawtext expressions
+              expansion: "none",
+              x: "(w-text_w)/2",
+              y: "(h-text_h)/2",
+            },
+          },
+        ])
+        .outputOptions([
+          `-t ${this.config.creditsCardDuration}`,
+          "-c:v libx264",
+          "-pix_fmt yuv420p",
+        ])
+        .on("end", () => {
+          textFile.removeCallback();
+          resolve(outputPath);
+        })
+        .on("error", (err) => {
+          this.logger.error(`Credits card error: ${err.message}`);
+          textFile.removeCallback();
+          reject(new Error(`FFmpeg failed: ${err.message}`));
+        })
+        .save(outputPath);
+    });
+  }
+
+  /**
+   * Builds the drawtext filters for the caption of a segment in the configured caption style.
+   *
+   * @param {VideoSegment} segment - The segment details, with the narration timing when the segment is narrated.
+   * @returns {{filters: Object[], textFiles: Object[]}} - The drawtext filters and the temporary text files they read.
+   */
+  buildCaptionFilters(segment) {
+    // Resolve font path
+    const font = path.resolve(this.captionFont);
+    if (!font) {
+      throw new Error("Font file not found. Please check your configuration.");
+    }
+
+    const fontSize = this.config.fontSize || 24;
+    const charWidth = CHAR_WIDTHS[this.language.script] ?? AVERAGE_CHAR_WIDTH;
+    const maxCharsPerLine = Math.floor(
+      this.config.width / (fontSize * charWidth)
+    ); // Estimate max chars per line
+    const separator = getWordSeparator(this.language.code);
+    const rtl = this.language.direction === "rtl";
+
+    const textFiles = [];
+    const writeTextFile = (text) => {
+      const textFile = tmp.fileSync({
+        postfix: ".txt",
+        discardDescriptor: true,
+      });
+      if (!textFile.name) {
+        throw new Error("Failed to create temporary text file");
+      }
+      textFiles.push(textFile);
+      // Write formatted text to file as ffmpeg complains directly passing the text
+      fs.writeFileSync(textFile.name, text);
+      return textFile.name;
+    };
+
+    if (this.config.captionStyle === "static") {
+      let processedText = segment.text;
+
+      if (processedText.length > maxCharsPerLine) {
+        const words = splitWords(processedText, this.language.code);
+        const mid = Math.ceil(words.length / 2);
+        processedText = `${words.slice(0, mid).join(separator)}\n${words
+          .slice(mid)
+          .join(separator)}`;
+      }
+
+      const calculatedBoxBorderWidth = this.config.height * 0.025;
+
+      return {
+        filters: [
+          {
+            filter: "drawtext",
+            options: {
+              textfile: writeTextFile(processedText),
+              fontfile: font,
+              fontsize: fontSize,
+              fontcolor: "black",
+              ...(rtl && { text_shaping: 1 }),
+              box: 1,
+              boxcolor: "white@0.9",
+              boxborderw: calculatedBoxBorderWidth,
+              x: "(w-text_w)/2",
+              y: "(h-text_h)/2",
+              borderw: 2,
+              bordercolor: "black@0.2",
+              enable: `between(t,0,${segment.duration})`,
+            },
+          },
+        ],
+        textFiles,
+      };
+    }
+
+    const layers = buildCaptionLayers(
+      getWordTimings(
+        segment.text,
+        segment.duration,
+        segment.narration,
+        this.language.code
+      ),
+      this.config.captionStyle,
+      segment.duration,
+      maxCharsPerLine,
+      separator
+    );
+
+    return {
+      filters: layers.map((layer) => ({
+        filter: "drawtext",
+        options: {
+          textfile: writeTextFile(layer.text),
+          fontfile: font,
+          fontsize: fontSize,
+          fontcolor: layer.highlighted
+            ? this.config.captionHighlightColor
+            : this.config.captionColor,
+          borderw: Math.max(2, Math.round(fontSize / 12)),
+          bordercolor: "black",
+          // Right-to-left text needs the bidi reordering and the Arabic joining of the shaping
+          ...(rtl && { text_shaping: 1 }),
+          // Layers of the same phrase share an estimated edge so the highlight lines up with the phrase,
+          // the right one for right-to-left text as it starts there
+          x: layer.anchor
+            ? rtl
+              ? `min(w-20,(w+${Math.round(
+                  layer.anchor.length * fontSize * charWidth
+                )})/2)-text_w`
+              : `max(20,(w-${Math.round(
+                  layer.anchor.length * fontSize * charWidth
+                )})/2)`
+            : "(w-text_w)/2",
+          // Subtracting the ascent pins the baseline, otherwise it moves with the tallest glyph of each layer
+          y: `h/2+${Math.round(fontSize / 3)}-ascent`,
+          enable: `between(t,${layer.start},${layer.end})`,
+        },
+      })),
+      textFiles,
+    };
+  }
+
   /**
    * Applies transitions between segments.
    *
@@ -366,16 +770,15 @@ class VideoGenerator {
       }
 
       const command = ffmpeg();
+      const { entries, totalDuration } = this.getSegmentTimeline(transitions);
       let filterString = "";
-      let accumulatedDuration = 0;
-      const transitionDuration = this.TRANSITION_DURATION;
       let previousStream;
 
       videoFiles.forEach((filePath, index) => {
         command.input(filePath);
         const duration = transitions[index].duration;
 
-        // Video processing chain
+        // Video processing chain, the segments are already fitted to the frame so the scale and pad only guard odd sizes
         filterString +=
           `[${index}:v]trim=duration=${duration},` +
           `fps=fps=${this.config.fps},` +
@@ -385,29 +788,18 @@ class VideoGenerator {
 
         if (index === 0) {
           previousStream = `vid${index}`;
-          accumulatedDuration = duration;
         } else {
-          // Handle missing transitions with fallback
-          const segmentTransition = transitions[index - 1].transition || "fade";
-          const transitionType =
-            this.TRANSITION_MAPPING[segmentTransition] || "fade";
-
-          let offset = accumulatedDuration - transitionDuration;
-          if (offset < 0) {
-            this.logger.warn(
-              `Negative offset clamped to 0 for segment ${index}`
-            );
-            offset = 0;
-          }
-
+          // The previous segment picks the transition into this one, missing and unknown ones fall back to fade
           filterString +=
             `[${previousStream}][vid${index}]` +
-            `xfade=transition=${transitionType}:` +
-            `duration=${transitionDuration}:` +
-            `offset=${offset}[xfade${index}]; `;
+            buildXfadeFilter(
+              transitions[index - 1].transition,
+              getTransitionDuration(transitions, index),
+              entries[index].start
+            ) +
+            `[xfade${index}]; `;
 
           previousStream = `xfade${index}`;
-          accumulatedDuration += duration - transitionDuration;
         }
       });
 
@@ -421,7 +813,7 @@ class VideoGenerator {
         command
           .complexFilter(filters, "outv")
           .outputOptions([
-            `-t ${accumulatedDuration}`,
+            `-t ${totalDuration}`,
             "-movflags +faststart",
             "-c:v libx264",
             `-r ${this.config.fps}`,
@@ -449,14 +841,26 @@ class VideoGenerator {
    * @param {string} audioPath - Path to the audio file.
    * @param {string} videoPath - Path to the video file.
    * @param {string} outputPath - Path to save the combined file.
-   * @returns {Promise<void>}
+   * @param {Object} [options] - Additional tracks for the video.
+   * @param {string} [options.narrationPath] - Path to a narration track mixed over the audio file.
+   * @param {Object} [options.ducking] - Sidechain ducking of the audio file under the narration ({ amount, attack, release }).
+   * @param {string} [options.loudness] - Loudness preset the final mix is normalized to, the mix is left as it is without it.
+   * @returns {Promise<{outputPath: string, loudness: LoudnessReport|null}>} - Path to the combined file and the measured
+   * loudness of its mix, null when it is not normalized.
    */
 
   async combineVideoAndAudio(
     audioPath,
     videoPath,
-    outputPath = path.join(process.cwd(), "output.mp4")
+    outputPath = path.join(process.cwd(), "output.mp4"),
+    options = {}
   ) {
+    const { narrationPath, ducking, loudness } = options;
+    const loudnessTarget = loudness && getLoudnessTarget(loudness);
+    // The mix is kept lossless until its loudness has been normalized
+    const mixPath = loudnessTarget
+      ? path.join(this.tempDir, `mix_${uuidv4()}.mkv`)
+      : outputPath;
     // Validate inputs
     const validatePath = (filePath, type) => {
       if (!filePath?.endsWith(type === "video" ? ".mp4" : ".mp3")) {
@@ -475,16 +879,17 @@ class VideoGenerator {
 
       validatePath(audioPath, "audio");
       validatePath(videoPath, "video");
+      narrationPath && validatePath(narrationPath, "audio");
 
-      return new Promise((resolve, reject) => {
-        ffmpeg()
+      await new Promise((resolve, reject) => {
+        const command = ffmpeg()
           .input(videoPath)
           .input(audioPath)
           .outputOptions([
             "-map 0:v", // Take video from first input
-            "-map 1:a", // Take audio from second input
+            narrationPath ? "-map [aout]" : "-map 1:a", // Take audio from second input or the narration mix
             "-c:v copy", // Copy video stream without re-encoding
-            "-c:a aac", // Encode audio to AAC format
+            loudnessTarget ? "-c:a pcm_s16le" : "-c:a aac", // Encode audio to AAC format, PCM until normalized
             "-shortest", // Match duration to shortest input
             "-movflags +faststart", // Optimize for web playback
           ])
@@ -498,14 +903,205 @@ class VideoGenerator {
                 [`FFmpeg error: ${err.message}`, `Stderr: ${stderr}`].join("\n")
               )
             );
-          })
-          .save(outputPath);
+          });
+
+        if (narrationPath) {
+          // The narration is padded with silence so the music keeps driving the length,
+          // amix halves every input so the volume filter restores the original levels
+          command
+            .input(narrationPath)
+            .complexFilter(
+              ducking
+                ? [
+                    "[2:a]apad,asplit=2[sidechain][voice]",
+                    `[1:a][sidechain]${buildSidechainFilter(ducking)}[music]`,
+                    "[music][voice]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]",
+                  ]
+                : [
+                    "[2:a]apad[voice]",
+                    "[1:a][voice]amix=inputs=2:duration=first:dropout_transition=0,volume=2[aout]",
+                  ]
+            );
+        }
+        command.save(mixPath);
       });
+
+      if (!loudnessTarget) {
+        return { outputPath, loudness: null };
+      }
+      const stats = await this.normalizeLoudness(
+        mixPath,
+        outputPath,
+        loudnessTarget
+      );
+      await fs.promises.unlink(mixPath);
+      return {
+        outputPath,
+        loudness: {
+          preset: loudness,
+          target: loudnessTarget,
+          integrated: stats.integrated,
+          truePeak: stats.truePeak,
+        },
+      };
     } catch (err) {
       throw new Error(`Combination failed: ${err.message}`);
     }
   }
 
+  /**
+   * Runs an FFmpeg pass with a loudnorm filter over the audio of a video and reads the printed stats.
+   *
+   * @param {string} inputPath - Path to the video.
+   * @param {string} filter - The loudnorm filter.
+   * @param {string[]} outputOptions - Output options of the pass.
+   * @param {string} output - Output of the pass.
+   * @param {'input'|'output'} side - Whether to read the measured input or the normalized output stats.
+   * @returns {Promise<LoudnessStats>} - The stats of the pass.
+   */
+  runLoudnormPass(inputPath, filter, outputOptions, output, side) {
+    return new Promise((resolve, reject) => {
+      const lines = [];
+      ffmpeg(inputPath)
+        .audioFilters(filter)
+        .outputOptions(outputOptions)
+        .output(output)
+        .on("stderr", (line) => lines.push(line))
+        .on("end", () => {
+          try {
+            resolve(parseLoudnormStats(lines, side));
+          } catch (error) {
+            reject(error);
+          }
+        })
+        .on("error", (err) => {
+          this.logger.error(`Error normalizing the loudness: ${err.message}`);
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Normalizes the audio of a video to a loudness target in two passes: the first measures the mix,
+   * the second applies a linear gain computed from the measurement.
+   *
+   * @param {string} inputPath - Path to the video with the mix.
+   * @param {string} outputPath - Path to the normalized video.
+   * @param {LoudnessTarget} target - The loudness target.
+   * @returns {Promise<LoudnessStats>} - The loudness of the normalized mix.
+   */
+  async normalizeLoudness(inputPath, outputPath, target) {
+    const measured = await this.runLoudnormPass(
+      inputPath,
+      buildLoudnormFilter(target),
+      ["-map 0:a", "-f null"],
+      "-",
+      "input"
+    );
+
+    // loudnorm works at 192 kHz, so the sample rate is brought back explicitly
+    return this.runLoudnormPass(
+      inputPath,
+      buildLoudnormFilter(target, measured),
+      [
+        "-map 0",
+        "-c:v copy",
+        "-c:s copy",
+        "-c:a aac",
+        "-ar 48000",
+        "-movflags +faststart",
+      ],
+      outputPath,
+      "output"
+    );
+  }
+
+  /**
+   * Writes SRT and WebVTT subtitle files next to the video, timed with the transition overlaps.
+   *
+   * @param {VideoSegment[]} segments - Array of video segments.
+   * @param {TimelineEntry[]} timeline - Position of every segment in the final video.
+   * @param {string} videoPath - Path to the rendered video.
+   * @returns {{srt: string, vtt: string}} - Paths to the subtitle files.
+   */
+  writeSubtitles(segments, timeline, videoPath) {
+    const cues = getSubtitleCues(segments, timeline);
+    const basePath = videoPath.replace(/\.mp4$/, "");
+    const subtitlePaths = { srt: `${basePath}.srt`, vtt: `${basePath}.vtt` };
+
+    fs.writeFileSync(subtitlePaths.srt, buildSrt(cues));
+    fs.writeFileSync(subtitlePaths.vtt, buildVtt(cues));
+    this.logger
+      .terminal()
+      .cyan(
+        `[INFO] 📝 Subtitles saved to ${subtitlePaths.srt} and ${subtitlePaths.vtt}\n`
+      );
+
+    return subtitlePaths;
+  }
+
+  /**
+   * Writes the credits manifest and a human-readable CREDITS.txt next to the video.
+   *
+   * @param {Credit[]} credits - The credits of the video.
+   * @param {string} videoPath - Path to the rendered video.
+   * @returns {{json: string, text: string}} - Paths to the credit files.
+   */
+  writeCredits(credits, videoPath) {
+    const basePath = videoPath.replace(/\.mp4$/, "");
+    const creditPaths = {
+      json: `${basePath}_credits.json`,
+      text: `${basePath}_CREDITS.txt`,
+    };
+    const videoName = path.basename(videoPath);
+
+    fs.writeFileSync(
+      creditPaths.json,
+      JSON.stringify({ video: videoName, credits }, null, 2)
+    );
+    fs.writeFileSync(creditPaths.text, buildCreditsText(credits, videoName));
+    this.logger
+      .terminal()
+      .cyan(`[INFO] 📜 Credits saved to ${creditPaths.text}\n`);
+
+    return creditPaths;
+  }
+
+  /**
+   * Embeds a subtitle file in the video as a soft mov_text stream that players can toggle.
+   *
+   * @param {string} videoPath - Path to the video, replaced by the subtitled video.
+   * @param {string} subtitlePath - Path to the SRT file.
+   * @returns {Promise<string>} - Path to the subtitled video.
+   */
+  muxSubtitles(videoPath, subtitlePath) {
+    const tempPath = path.join(this.tempDir, `subtitled_${uuidv4()}.mp4`);
+
+    return new Promise((resolve, reject) => {
+      ffmpeg()
+        .input(videoPath)
+        .input(subtitlePath)
+        .outputOptions([
+          "-map 0",
+          "-map 1",
+          "-c copy",
+          "-c:s mov_text",
+          `-metadata:s:s:0 language=${this.config.subtitleLanguage}`,
+          "-movflags +faststart",
+        ])
+        .on("end", () => {
+          fs.renameSync(tempPath, videoPath);
+          resolve(videoPath);
+        })
+        .on("error", (err, stdout, stderr) => {
+          this.logger.error(`Failed to embed subtitles: ${err.message}`);
+          reject(new Error(`Subtitle muxing failed: ${stderr || err.message}`));
+        })
+        .save(tempPath);
+    });
+  }
+
   /**
    * Cleans up temporary files.
    *
@@ -8,103 +8,251 @@
 const { AudioManager } = require("./core/audio.js");
 const { PromptGenerator } = require("./core/script.js");
 const { VideoGenerator } = require("./core/video.js");
+const { NarrationManager } = require("./core/narration.js");
+const { MediaCache } = require("./core/cache.js");
 
 const Logger = require("./utils/logger.js");
 const { getNoiseLessConfig } = require("./utils/index.js");
+const {
+  resolveDuckingMode,
+  getDuckingWindows,
+} = require("./utils/ducking.js");
+const {
+  getToolVersions,
+  getCachedPath,
+  buildProject,
+  writeProject,
+} = require("./core/project.js");
+const { readScript } = require("./utils/scriptFile.js");
+const { writeMetadata } = require("./core/metadata.js");
+const { getLanguage } = require("./utils/languages.js");
 
 const logger = new Logger();
 
-/** The core method for generating methods from CLI
- * @param {Object} config - Configuration for script generation
- * @param {number} config.duration - Total duration in seconds
- * @param {string} config.category - Video category/type
- * @param {string} config.tone - Desired narrative tone
- * @param {string} config.outputDir - Output directory
- * @param {number} config.volume - Audio volume (0-1)
- * @param {number} config.fadeInDuration - Audio fade-in duration in seconds
- * @param {number} config.fadeOutDuration - Audio fade-out
- * @param {string} config.topic - Main video topic/theme
- * @param {string[]} config.keyTerms - Key terms to include
- * @param {boolean} config.requireFactChecking - Fact verification flag
- * @param {string} config.groqApiKey - GROQ LLM API KEY
- * @param {string} config.pexelsApiKey - Pexels Open Source Media API KEY
- * @param {string} config.freeSoundApiKey - Free Sound Open Source Audio API KEY
+/**
+ * Checks the API keys of the media and music providers, local libraries need none.
+ * @param {Object} config - Configuration of the render.
+ * @returns {boolean} Whether the keys of the chosen providers are set.
+ */
+const hasProviderKeys = ({
+  freeSoundKey,
+  musicProvider,
+  pexelsKey,
+  mediaProvider,
+}) =>
+  !(
+    (!freeSoundKey && (musicProvider || "freesound") === "freesound") ||
+    (!pexelsKey && (mediaProvider || "pexels") === "pexels")
+  );
+
+/**
+ * Checks the API key of the LLM, OpenAI-compatible servers may need none.
+ * @param {Object} config - Configuration of the render.
+ * @returns {boolean} Whether the key of the chosen LLM provider is set.
  */
-const createVideo = async (config) => {
+const hasLLMKey = ({ groqKey, llmProvider }) =>
+  Boolean(groqKey) || (llmProvider || "groq") !== "groq";
+
+/**
+ * Creates the script generator from the LLM settings of a configuration.
+ * @param {Object} config - Configuration of the render, see createVideo.
+ * @returns {PromptGenerator} The script generator.
+ */
+const createPromptGenerator = ({
+  groqKey,
+  llmProvider,
+  llmBaseUrl,
+  llmKey,
+  llmModel,
+  llmTemperature,
+  llmMaxTokens,
+}) =>
+  new PromptGenerator(
+    (llmProvider || "groq") === "groq" ? groqKey : llmKey,
+    null,
+    getNoiseLessConfig({
+      provider: llmProvider,
+      baseUrl: llmBaseUrl,
+      model: llmModel,
+      temperature: llmTemperature,
+      maxTokens: llmMaxTokens,
+    })
+  );
+
+/**
+ * Creates the generators of a render from its configuration.
+ * @param {Object} config - Configuration of the render, see createVideo.
+ * @returns {{cache: MediaCache|undefined, audioGenerator: AudioManager, videoGenerator: VideoGenerator, narrationGenerator: NarrationManager|undefined, ducking: string}} The generators.
+ */
+const createGenerators = (config) => {
   const {
-    category,
-    tone,
-    topic,
-    duration,
-    keyTerms,
-    groqKey,
     pexelsKey,
+    mediaProvider,
+    mediaDir,
     freeSoundKey,
+    musicProvider,
+    musicDir,
+    minBpm,
+    maxBpm,
+    musicFill,
+    musicCrossfade,
+    musicExcerpt,
+    musicOffset,
     outputDir,
     volume,
     fadeInDuration,
     fadeOutDuration,
-    requireFactChecking,
     width,
     height,
     fps,
     font,
     fontSize,
+    language,
+    narration,
+    ttsProvider,
+    voice,
+    ttsModel,
+    duckMode,
+    duckAmount,
+    duckAttack,
+    duckRelease,
+    captionStyle,
+    softSubtitles,
+    fitMode,
+    shortClipStrategy,
+    loudness,
+    creditsCard,
+    creditsCardDuration,
+    noCache,
+    cacheDir,
+    cacheTtl,
+    cacheMaxSize,
   } = config;
 
-  if (!groqKey || !pexelsKey || !freeSoundKey) {
-    logger.error("Missing API keys. Please check your configuration");
-    process.exit(1);
-  }
-  if (!category || !tone) {
-    logger.error("Category or Tone Missing from the config");
-    process.exit(1);
-  }
-  const scriptGenerator = new PromptGenerator(groqKey);
+  const cache = noCache
+    ? undefined
+    : new MediaCache(
+        getNoiseLessConfig({ cacheDir, ttl: cacheTtl, maxSize: cacheMaxSize })
+      );
 
   const audioGenerator = new AudioManager(
     getNoiseLessConfig({
       freeSoundKey,
+      musicProvider,
+      musicDir,
+      minBpm,
+      maxBpm,
+      musicFill,
+      musicCrossfade,
+      musicExcerpt,
+      musicOffset,
       volume,
       fadeInDuration,
       fadeOutDuration,
       outputDir,
+      duckAmount,
+      duckAttack,
+      duckRelease,
+      cache,
     })
   );
   const videoGenerator = new VideoGenerator(
     getNoiseLessConfig({
       outputDir,
       pexelsKey,
+      mediaProvider,
+      mediaDir,
       width,
       height,
       font,
       fontSize,
+      language,
       fps,
+      captionStyle,
+      softSubtitles,
+      fitMode,
+      shortClipStrategy,
+      loudness,
+      creditsCard,
+      creditsCardDuration,
+      cache,
     })
   );
-  let generatedScriptSegments, generatedMusicPath, generatedVideoPath;
+  const narrationGenerator =
+    narration &&
+    new NarrationManager(
+      getNoiseLessConfig({
+        provider: ttsProvider,
+        // eSpeak reads the language of the script unless another voice is picked
+        voice:
+          voice ??
+          ((ttsProvider ?? "espeak") === "espeak"
+            ? getLanguage(language).voice
+            : undefined),
+        model: ttsModel,
+        outputDir,
+      })
+    );
+  // Validate early so a typo does not surface after the script has been generated
+  const ducking = resolveDuckingMode(duckMode, Boolean(narrationGenerator));
+
+  return {
+    cache,
+    audioGenerator,
+    videoGenerator,
+    narrationGenerator,
+    ducking,
+  };
+};
+
+/**
+ * Renders a script into a video and writes the project file of the render next to it.
+ * @param {Object} config - Configuration of the render, see createVideo.
+ * @param {Object} generators - The generators of the render, see createGenerators.
+ * @param {{segments: VideoSegment[]}} script - The validated script.
+ * @param {{footage?: FootageAsset[], music?: MusicSelection|null}} [assets] - Footage and music of a project file, searched for when missing.
+ * @returns {Promise<{videoPath: string, projectPath: string, loudness: LoudnessReport|null}>} The summary of the render: paths to
+ * the generated video and its project file, and the measured loudness of the mix, null when it is not normalized.
+ */
+const renderScript = async (config, generators, script, assets = {}) => {
+  const { category, duckAmount, duckAttack, duckRelease } = config;
+  const { cache, audioGenerator, videoGenerator, narrationGenerator, ducking } =
+    generators;
+  let generatedMusicPath, generatedNarration, generatedVideo;
+
+  if (narrationGenerator) {
+    await logger.runWithLoader(
+      async () => {
+        const { segments } = script;
+        generatedNarration = await narrationGenerator.generateNarration(
+          segments,
+          videoGenerator.getSegmentTimeline(segments).entries
+        );
+      },
+      "Narration Generation",
+      15000
+    );
+  }
   await logger.runWithLoader(
     async () => {
-      generatedScriptSegments = await scriptGenerator.generateScript(
+      generatedMusicPath = await audioGenerator.generateMusic(
         getNoiseLessConfig({
-          duration,
-          tone,
-          topic,
           category,
-          keyTerms,
-          requireFactChecking,
+          duration: videoGenerator.getSegmentTimeline(
+            videoGenerator.withCreditsCard(script.segments)
+          ).totalDuration,
+          duckWindows:
+            ducking === "envelope"
+              ? getDuckingWindows(
+                  videoGenerator.getSegmentTimeline(script.segments).entries,
+                  generatedNarration?.timings
+                )
+              : [],
+          tracks: assets.music?.tracks,
+          offset: assets.music?.offset,
         })
       );
     },
-    "Script Generation",
-    10000
-  );
-  await logger.runWithLoader(
-    async () => {
-      generatedMusicPath = await audioGenerator.generateMusic({
-        category,
-      });
-    },
     "Audio Generation",
     40000
   );
@@ -116,15 +264,298 @@ const createVideo = async (config) => {
           "[INFO] 🎥 Searching Pexels for video assets and adding text overlays...\n"
         );
 
-      generatedVideoPath = await videoGenerator.generateVideo(
-        generatedScriptSegments.segments,
-        generatedMusicPath
+      generatedVideo = await videoGenerator.generateVideo(
+        script.segments,
+        generatedMusicPath,
+        getNoiseLessConfig({
+          narrationPath: generatedNarration?.path,
+          narrationTimings: generatedNarration?.timings,
+          credits: audioGenerator.credits,
+          assets: assets.footage,
+          ducking:
+            ducking === "sidechain"
+              ? getNoiseLessConfig({
+                  amount: duckAmount,
+                  attack: duckAttack,
+                  release: duckRelease,
+                })
+              : undefined,
+        })
       );
     },
     "Video Generation",
     100000
   );
+  const { outputPath: generatedVideoPath, loudness } = generatedVideo;
+
+  const { selection } = audioGenerator;
+  const projectPath = writeProject(
+    buildProject({
+      config,
+      script,
+      footage: [...videoGenerator.assets.values()].map((asset) => ({
+        ...asset,
+        cachedPath: getCachedPath(
+          cache,
+          asset.provider,
+          asset.videoFile.id,
+          ".mp4",
+          asset.videoFile.link
+        ),
+      })),
+      music: selection && {
+        ...selection,
+        cachedPaths: selection.tracks.map((track) =>
+          getCachedPath(cache, selection.provider, track.id, ".mp3", track.path)
+        ),
+      },
+      videoPath: generatedVideoPath,
+      loudness,
+      versions: await getToolVersions(),
+    }),
+    generatedVideoPath
+  );
+  logger.terminal().cyan(`[INFO] 🗂️ Project file written to ${projectPath}\n`);
+
+  // The cache is pruned once the segments are rendered, as they read their clips from it
+  if (cache) {
+    try {
+      cache.prune();
+    } catch (error) {
+      logger.warn(`Failed to prune the cache: ${error.message}`);
+    }
+  }
+
+  return { videoPath: generatedVideoPath, projectPath, loudness };
+};
+
+/**
+ * Generates and validates the script of a video with the LLM, without rendering it.
+ * @param {Object} config - Configuration for script generation
+ * @param {number} config.duration - Total duration in seconds
+ * @param {string} config.category - Video category/type
+ * @param {string} config.tone - Desired narrative tone
+ * @param {string} config.topic - Main video topic/theme
+ * @param {string[]} config.keyTerms - Key terms to include
+ * @param {boolean} config.requireFactChecking - Fact verification flag
+ * @param {string} config.groqKey - GROQ LLM API KEY
+ * @param {string} config.llmProvider - Where the script is generated: groq or openai (any OpenAI-compatible server)
+ * @param {string} config.llmBaseUrl - Base URL of the OpenAI-compatible server
+ * @param {string} config.llmKey - API key of the OpenAI-compatible server
+ * @param {string} config.llmModel - Model generating the script
+ * @param {number} config.llmTemperature - Sampling temperature of the model
+ * @param {number} config.llmMaxTokens - Maximum tokens of the script
+ * @param {string} config.language - ISO 639-1 code of the language of the script
+ * @returns {Promise<{segments: VideoSegment[]}>} The validated script.
+ */
+const createScript = async (config) => {
+  const {
+    category,
+    tone,
+    topic,
+    duration,
+    keyTerms,
+    requireFactChecking,
+    language,
+  } = config;
+
+  const scriptGenerator = createPromptGenerator(config);
+  return scriptGenerator.generateScript(
+    getNoiseLessConfig({
+      duration,
+      tone,
+      topic,
+      category,
+      keyTerms,
+      requireFactChecking,
+      language,
+    })
+  );
+};
+
+/**
+ * Regenerates a single segment of a script with the LLM, keeping the rest of the script.
+ * @param {Object} config - Configuration the script was generated with, see createScript
+ * @param {{segments: VideoSegment[]}} script - The script
+ * @param {number} segmentId - Id of the segment to regenerate
+ * @returns {Promise<{segments: VideoSegment[]}>} The script with the regenerated segment.
+ */
+const regenerateSegment = (config, script, segmentId) => {
+  const { category, tone, topic, keyTerms, language } = config;
+
+  return createPromptGenerator(config).regenerateSegment(
+    script,
+    segmentId,
+    getNoiseLessConfig({ category, tone, topic, keyTerms, language })
+  );
+};
+
+/**
+ * Generates the publishing metadata of a rendered video and writes it next to it. A failure is logged
+ * without failing the render, the video being ready by then.
+ * @param {Object} config - Configuration the script was generated with, see createScript
+ * @param {{segments: VideoSegment[]}} script - The script of the video
+ * @param {string} videoPath - Path to the rendered video
+ * @returns {Promise<string|undefined>} Path to the metadata file, undefined when it could not be generated
+ */
+const createMetadata = async (config, script, videoPath) => {
+  const { category, tone, topic, keyTerms, language } = config;
+  try {
+    let metadata;
+    await logger.runWithLoader(
+      async () => {
+        metadata = await createPromptGenerator(config).generateMetadata(
+          script,
+          getNoiseLessConfig({ category, tone, topic, keyTerms, language })
+        );
+      },
+      "Metadata Generation",
+      10000
+    );
+    const metadataPath = writeMetadata(metadata, videoPath);
+    logger
+      .terminal()
+      .cyan(`[INFO] 🏷️  Publishing metadata written to ${metadataPath}\n`);
+    return metadataPath;
+  } catch (error) {
+    logger.error(
+      `Failed to generate the publishing metadata: ${error.message}`
+    );
+    return undefined;
+  }
+};
+
+/** The core method for generating methods from CLI
+ * @param {Object} config - Configuration for script generation
+ * @param {number} config.duration - Total duration in seconds
+ * @param {string} config.category - Video category/type
+ * @param {string} config.tone - Desired narrative tone
+ * @param {string} config.script - Path to a script file (JSON, YAML or Markdown) rendered instead of generating one with the LLM
+ * @param {string} config.outputDir - Output directory
+ * @param {number} config.volume - Audio volume (0-1)
+ * @param {number} config.fadeInDuration - Audio fade-in duration in seconds
+ * @param {number} config.fadeOutDuration - Audio fade-out
+ * @param {string} config.topic - Main video topic/theme
+ * @param {string[]} config.keyTerms - Key terms to include
+ * @param {boolean} config.requireFactChecking - Fact verification flag
+ * @param {string} config.language - ISO 639-1 code of the language of the script, captions and narration
+ * @param {string} config.groqApiKey - GROQ LLM API KEY
+ * @param {string} config.llmProvider - Where the script is generated: groq or openai (any OpenAI-compatible server)
+ * @param {string} config.llmBaseUrl - Base URL of the OpenAI-compatible server
+ * @param {string} config.llmKey - API key of the OpenAI-compatible server
+ * @param {string} config.llmModel - Model generating the script
+ * @param {number} config.llmTemperature - Sampling temperature of the model
+ * @param {number} config.llmMaxTokens - Maximum tokens of the script
+ * @param {boolean} config.metadata - Write a title, description, hashtags and thumbnail text for every platform next to the video
+ * @param {string} config.pexelsApiKey - Pexels Open Source Media API KEY
+ * @param {string} config.mediaProvider - Where the footage comes from: pexels or local
+ * @param {string} config.mediaDir - Folder of clips used by the local media provider
+ * @param {string} config.freeSoundApiKey - Free Sound Open Source Audio API KEY
+ * @param {string} config.musicProvider - Where the music comes from: freesound or local
+ * @param {string} config.musicDir - Folder of tracks used by the local music provider
+ * @param {number} config.minBpm - Minimum tempo of the music
+ * @param {number} config.maxBpm - Maximum tempo of the music
+ * @param {string} config.musicFill - How the music fills a video longer than the track: loop or chain
+ * @param {number} config.musicCrossfade - Crossfade between the looped or chained tracks in seconds
+ * @param {string} config.musicExcerpt - Which part of a track longer than the video is used: energy, phrase or start
+ * @param {number} config.musicOffset - Where the music starts in the track in seconds
+ * @param {string} config.loudness - Loudness preset of the final mix: youtube, tiktok, instagram, ebu or off
+ * @param {boolean} config.creditsCard - Append an end card crediting the footage and the music
+ * @param {number} config.creditsCardDuration - Duration of the credits end card in seconds
+ * @param {boolean} config.narration - Speak the text of every segment over the music
+ * @param {string} config.ttsProvider - Text-to-speech provider used for the narration
+ * @param {string} config.voice - Voice used by the text-to-speech provider
+ * @param {string} config.ttsModel - Voice model used by the text-to-speech provider
+ * @param {string} config.captionStyle - How the text is drawn: static, word or phrase
+ * @param {boolean} config.softSubtitles - Embed the subtitles in the video as a toggleable stream
+ * @param {string} config.fitMode - How clips of another aspect ratio fill the frame: pad, crop or blur
+ * @param {string} config.shortClipStrategy - How clips shorter than their segment fill it: loop, pingpong or slow
+ * @param {string} config.duckMode - How the music dips under narration or text: auto, envelope, sidechain or off
+ * @param {number} config.duckAmount - How far the music dips in dB
+ * @param {number} config.duckAttack - How long the music takes to dip in seconds
+ * @param {number} config.duckRelease - How long the music takes to come back up in seconds
+ * @param {boolean} config.noCache - Skip the disk cache of the Pexels and FreeSound searches and downloads
+ * @param {string} config.cacheDir - Directory of the disk cache
+ * @param {number} config.cacheTtl - Days after which cached entries expire
+ * @param {number} config.cacheMaxSize - Size of the disk cache in MB
+ * @param {Object} [hooks] - Steps of the caller run during the creation
+ * @param {function({segments: VideoSegment[]}): Promise<{segments: VideoSegment[]}>} [hooks.reviewScript] - Reviews the script
+ * before the assets are searched, resolving with the script to render
+ * @returns {Promise<{videoPath: string, projectPath: string, loudness: LoudnessReport|null, metadataPath?: string}>} The summary
+ * of the run, see renderScript, with the path to the publishing metadata when it is written
+ */
+const createVideo = async (config, hooks = {}) => {
+  const { category, tone, script, metadata } = config;
+
+  if (
+    (!hasLLMKey(config) && (!script || metadata)) ||
+    !hasProviderKeys(config)
+  ) {
+    logger.error("Missing API keys. Please check your configuration");
+    process.exit(1);
+  }
+  if (!category || (!tone && !script)) {
+    logger.error("Category or Tone Missing from the config");
+    process.exit(1);
+  }
+  const generators = createGenerators(config);
+  let generatedScriptSegments;
+  if (script) {
+    generatedScriptSegments = readScript(script);
+    logger.terminal().cyan(`[INFO] ✍️  Rendering the script of ${script}\n`);
+  } else {
+    await logger.runWithLoader(
+      async () => {
+        generatedScriptSegments = await createScript(config);
+      },
+      "Script Generation",
+      10000
+    );
+  }
+  if (hooks.reviewScript) {
+    generatedScriptSegments = await hooks.reviewScript(generatedScriptSegments);
+  }
+
+  const summary = await renderScript(
+    config,
+    generators,
+    generatedScriptSegments
+  );
+  if (metadata) {
+    summary.metadataPath = await createMetadata(
+      config,
+      generatedScriptSegments,
+      summary.videoPath
+    );
+  }
+  return summary;
+};
 
-  return generatedVideoPath;
+/**
+ * Renders the video of a project file again. The script, footage and music of the project are reused,
+ * so the LLM is not called and the providers are only asked for the files missing from the cache.
+ * @param {Object} project - The project, see readProject.
+ * @param {Object} [overrides] - Settings replacing the ones of the project, such as the API keys or the output directory.
+ * @returns {Promise<{videoPath: string, projectPath: string, loudness: LoudnessReport|null}>} The summary of the render, see renderScript.
+ */
+const renderProject = async (project, overrides = {}) => {
+  const config = { ...project.config, ...overrides };
+
+  if (!hasProviderKeys(config)) {
+    logger.error("Missing API keys. Please check your configuration");
+    process.exit(1);
+  }
+
+  return renderScript(
+    config,
+    createGenerators(config),
+    project.script,
+    project.assets
+  );
+};
+module.exports = {
+  createScript,
+  regenerateSegment,
+  createVideo,
+  renderProject,
 };
-module.exports = { createVideo };
@@ -0,0 +1,141 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const fs = require("fs");
+const { getLicenseName } = require("../../utils/credits");
+const { promisify } = require("util");
+const { Stream } = require("stream");
+
+const pipeline = promisify(Stream.pipeline);
+
+class FreeSoundProvider {
+  /**
+   * Music provider searching and downloading track previews from FreeSound.
+   * @param {Object} config - Configuration for the provider.
+   * @param {string} config.apiKey - API key for accessing the FreeSound API.
+   * @param {MediaCache} [config.cache] - Disk cache for the searches and previews. Nothing is cached without it
+   * @throws {Error} If the API key is not provided.
+   */
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error("FreeSound API key is required");
+    }
+    this.config = config;
+    this.name = "freesound";
+  }
+
+  /**
+   * URL of the FreeSound text search.
+   * @static
+   */
+  static API_URL = "https://freesound.org/apiv2/search/text/";
+
+  /**
+   * Searches FreeSound for tracks, serving repeated searches from the cache.
+   * @param {Object} params - The search parameters.
+   * @param {string} params.query - The mood terms to search for.
+   * @param {number} params.minDuration - Minimum duration of the tracks in seconds.
+   * @param {number} [params.minBpm] - Minimum tempo of the tracks.
+   * @param {number} [params.maxBpm] - Maximum tempo of the tracks.
+   * @returns {Promise<Object[]>} The tracks, best rated first.
+   * @throws {Error} If the request fails.
+   */
+  async search({ query, minDuration, minBpm, maxBpm }) {
+    const filters = [`duration:[${minDuration} TO *]`];
+    if (minBpm || maxBpm) {
+      filters.push(`ac_tempo:[${minBpm || "*"} TO ${maxBpm || "*"}]`);
+    }
+    const searchParams = {
+      query,
+      filter: filters.join(" "),
+      sort: "rating_desc",
+      fields: "id,name,previews,duration,username,url,license,ac_analysis",
+    };
+
+    const cachedData = this.config.cache?.getSearch("freesound", searchParams);
+    if (cachedData) {
+      return cachedData.results;
+    }
+
+    const searchResponse = await fetch(
+      `${FreeSoundProvider.API_URL}?${new URLSearchParams(searchParams)}`,
+      {
+        headers: {
+          Authorization: `Token ${this.config.apiKey}`, // ✅ Correct way to send the token
+        },
+      }
+    );
+
+    if (!searchResponse.ok) {
+      throw new Error(`API request failed: ${searchResponse.status}`);
+    }
+
+    const data = await searchResponse.json();
+    const results = (data.results || []).map((track) => ({
+      ...track,
+      bpm: track.ac_analysis?.ac_tempo,
+    }));
+    if (results.length > 0) {
+      this.config.cache?.setSearch("freesound", searchParams, { results });
+    }
+    return results;
+  }
+
+  /**
+   * Returns the attribution of a FreeSound track.
+   * @param {Object} track - The FreeSound track.
+   * @returns {Object} The credit of the track.
+   */
+  getCredit(track) {
+    return {
+      source: "freesound",
+      id: track.id,
+      title: track.name,
+      author: track.username,
+      authorUrl: `https://freesound.org/people/${encodeURIComponent(
+        track.username
+      )}/`,
+      url: track.url,
+      license: getLicenseName(track.license),
+      licenseUrl: track.license,
+    };
+  }
+
+  /**
+   * Downloads the preview of a track, or points to the cached copy when it was downloaded before.
+   * @param {Object} track - The FreeSound track.
+   * @param {string} outputPath - Path to download the preview to.
+   * @returns {Promise<string>} Path to the audio of the track.
+   */
+  async fetchTrack(track, outputPath) {
+    const cachedPath = this.config.cache?.getMedia(
+      "freesound",
+      track.id,
+      ".mp3"
+    );
+    if (cachedPath) {
+      return cachedPath;
+    }
+
+    // Download the audio
+    const audioResponse = await fetch(track.previews["preview-lq-mp3"]);
+    if (!audioResponse.ok) {
+      throw new Error(`Audio download failed: ${audioResponse.status}`);
+    }
+
+    if (!audioResponse.body) {
+      throw new Error("Audio response body is empty or undefined.");
+    }
+
+    await pipeline(audioResponse.body, fs.createWriteStream(outputPath));
+    this.config.cache?.setMedia("freesound", track.id, ".mp3", outputPath);
+    return outputPath;
+  }
+}
+
+module.exports = { FreeSoundProvider };
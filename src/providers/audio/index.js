@@ -0,0 +1,45 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { FreeSoundProvider } = require("./freesound");
+const { LocalMusicProvider } = require("./local");
+
+/**
+ * Music providers available by name. A provider is any object exposing a `name`,
+ * `search({ query, minDuration, minBpm, maxBpm }): Promise<Object[]>` returning tracks with an `id`, a `name`,
+ * a `username` and a `duration`, and `fetchTrack(track, outputPath): Promise<string>` returning the path of the audio.
+ * An optional `getCredit(track)` returns the attribution of a track for the credits.
+ */
+const MUSIC_PROVIDERS = {
+  freesound: FreeSoundProvider,
+  local: LocalMusicProvider,
+};
+
+/**
+ * Returns a music provider instance
+ * @param {string|Object} provider - Name of a registered provider or a custom provider instance
+ * @param {Object} [config] - Configuration passed to the provider constructor
+ * @returns {Object} The provider instance
+ * @throws {Error} If the provider is unknown
+ */
+const createMusicProvider = (provider = "freesound", config = {}) => {
+  if (typeof provider === "object" && typeof provider.search === "function") {
+    return provider;
+  }
+  const Provider = MUSIC_PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(
+      `Unknown music provider "${provider}". Available providers: ${Object.keys(
+        MUSIC_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return new Provider(config);
+};
+
+module.exports = { MUSIC_PROVIDERS, createMusicProvider };
@@ -0,0 +1,174 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} LocalTrack
+ * @property {string} id - Path of the track relative to the library folder.
+ * @property {string} path - Absolute path of the track.
+ * @property {string} name - Title of the track, the file name without sidecar title.
+ * @property {string} username - Artist of the track.
+ * @property {Set<string>} nameWords - Words of the file name and folders of the track.
+ * @property {Set<string>} tagWords - Words of the mood tags of the sidecar file.
+ * @property {number} [duration] - Duration of the track in seconds.
+ * @property {number} [bpm] - Tempo of the track.
+ * @property {string} [author] - Artist of the track from the sidecar file.
+ * @property {string} [url] - Source page of the track from the sidecar file.
+ * @property {string} [license] - License of the track from the sidecar file.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const ffmpeg = require("fluent-ffmpeg");
+const {
+  getWords,
+  listFiles,
+  readSidecar,
+  scoreWords,
+} = require("../../utils/library");
+
+class LocalMusicProvider {
+  /**
+   * Music provider picking tracks from a folder of licensed music, for offline renders.
+   * A track can have a JSON sidecar file with the same name (track.mp3 and track.json) holding mood `tags`
+   * (the terms of AudioManager.CATEGORY_MAPPINGS, e.g. "calm", "ambient", "upbeat"), a `title`, an `artist`,
+   * its `bpm`, its `duration` (probed otherwise) and its `url` and `license` for the credits.
+   * @param {Object} config - Configuration for the provider.
+   * @param {string} config.directory - Path to the folder of tracks, searched recursively.
+   * @param {string[]} [config.extensions] - Extensions of the tracks. Defaults to mp3, wav, ogg, m4a, aac and flac
+   * @throws {Error} If the folder is not provided.
+   */
+  constructor(config = {}) {
+    if (!config.directory) {
+      throw new Error("A music folder is required by the local music provider");
+    }
+    this.config = { ...LocalMusicProvider.DEFAULT_CONFIG, ...config };
+    this.name = "local";
+    this.library = null;
+  }
+
+  /**
+   * Default configuration for the LocalMusicProvider.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    extensions: [".mp3", ".wav", ".ogg", ".m4a", ".aac", ".flac"],
+  };
+
+  /**
+   * Indexes the tracks of the folder and their sidecar files, once per provider.
+   * @returns {LocalTrack[]} The tracks of the library.
+   * @throws {Error} If the folder does not exist.
+   */
+  loadLibrary() {
+    if (this.library) {
+      return this.library;
+    }
+
+    const directory = path.resolve(this.config.directory);
+    if (!fs.existsSync(directory)) {
+      throw new Error(`Music folder not found: ${directory}`);
+    }
+
+    this.library = listFiles(directory, this.config.extensions).map((file) => {
+      const trackPath = path.join(directory, file);
+      const sidecar = readSidecar(trackPath);
+
+      return {
+        id: file,
+        path: trackPath,
+        name: sidecar.title || path.basename(file, path.extname(file)),
+        username: sidecar.artist || "local library",
+        nameWords: new Set(getWords(file.replace(/\.[^.]+$/, ""))),
+        tagWords: new Set(getWords((sidecar.tags || []).join(" "))),
+        duration: sidecar.duration,
+        bpm: sidecar.bpm,
+        author: sidecar.artist,
+        url: sidecar.url,
+        license: sidecar.license,
+      };
+    });
+
+    return this.library;
+  }
+
+  /**
+   * Fills the duration of a track without sidecar duration from its file.
+   * @param {LocalTrack} track - The track.
+   * @returns {Promise<LocalTrack>} The track, unchanged when the file cannot be probed.
+   */
+  probeTrack(track) {
+    if (track.duration) {
+      return Promise.resolve(track);
+    }
+
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(track.path, (err, metadata) => {
+        if (!err) {
+          track.duration = metadata.format.duration;
+        }
+        resolve(track);
+      });
+    });
+  }
+
+  /**
+   * Searches the folder for tracks matching the mood terms, long enough and within the tempo range.
+   * Tracks without tempo metadata are kept after the ones known to be in range.
+   * @param {Object} params - The search parameters.
+   * @param {string} params.query - The mood terms to search for.
+   * @param {number} params.minDuration - Minimum duration of the tracks in seconds.
+   * @param {number} [params.minBpm] - Minimum tempo of the tracks.
+   * @param {number} [params.maxBpm] - Maximum tempo of the tracks.
+   * @returns {Promise<LocalTrack[]>} The matching tracks, best matches first.
+   */
+  async search({ query, minDuration, minBpm, maxBpm }) {
+    const queryWords = [...new Set(getWords(query))];
+    const matches = this.loadLibrary()
+      .map((track) => ({ track, score: scoreWords(track, queryWords) }))
+      .filter(
+        ({ track, score }) =>
+          score > 0 &&
+          (!track.bpm ||
+            (track.bpm >= (minBpm || 0) && track.bpm <= (maxBpm || Infinity)))
+      );
+
+    const tracks = await Promise.all(
+      matches.map(async ({ track, score }) => ({
+        track: await this.probeTrack(track),
+        // Tempo is only a tie breaker when a range is asked for
+        score: score + (track.bpm && (minBpm || maxBpm) ? 0.5 : 0),
+      }))
+    );
+    return tracks
+      .filter(({ track }) => !track.duration || track.duration >= minDuration)
+      .sort((a, b) => b.score - a.score)
+      .map(({ track }) => track);
+  }
+
+  /**
+   * Returns the attribution of a track, from its sidecar file.
+   * @param {LocalTrack} track - The track from the search.
+   * @returns {Object} The credit of the track.
+   */
+  getCredit(track) {
+    const { id, name, author, url, license } = track;
+    return { source: "local", id, title: name, author, url, license };
+  }
+
+  /**
+   * Returns the track in place, local tracks are never copied.
+   * @param {LocalTrack} track - The track from the search.
+   * @returns {Promise<string>} Path to the audio of the track.
+   */
+  async fetchTrack(track) {
+    return track.path;
+  }
+}
+
+module.exports = { LocalMusicProvider };
@@ -0,0 +1,35 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { Groq } = require("groq-sdk");
+
+class GroqProvider {
+  /**
+   * LLM provider generating the scripts with the Groq cloud.
+   * @param {Object} config - Configuration for the provider.
+   * @param {string} config.apiKey - API key for the Groq service.
+   * @throws {Error} If the API key is not provided.
+   */
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error("GROQ API key is required to generate scripts with Groq");
+    }
+    this.name = "groq";
+    this.defaultModel = GroqProvider.DEFAULT_MODEL;
+    this.chat = new Groq({ apiKey: config.apiKey, timeout: 30000 }).chat;
+  }
+
+  /**
+   * Model used when none is configured.
+   * @static
+   * @type {string}
+   */
+  static DEFAULT_MODEL = "llama3-70b-8192";
+}
+
+module.exports = { GroqProvider };
@@ -0,0 +1,43 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { GroqProvider } = require("./groq");
+const { OpenAICompatibleProvider } = require("./openai");
+
+/**
+ * LLM providers available by name. A provider is any object exposing a `name`, a `defaultModel` and
+ * `chat.completions.create(params): Promise<completion>` taking and returning chat completions in the shape of the Groq SDK.
+ */
+const LLM_PROVIDERS = {
+  groq: GroqProvider,
+  openai: OpenAICompatibleProvider,
+};
+
+/**
+ * Returns an LLM provider instance
+ * @param {string|Object} provider - Name of a registered provider or a custom provider instance
+ * @param {Object} [config] - Configuration passed to the provider constructor
+ * @returns {Object} The provider instance
+ * @throws {Error} If the provider is unknown
+ */
+const createLLMProvider = (provider = "groq", config = {}) => {
+  if (provider && typeof provider.chat?.completions?.create === "function") {
+    return provider;
+  }
+  const Provider = LLM_PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider "${provider}". Available providers: ${Object.keys(
+        LLM_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return new Provider(config);
+};
+
+module.exports = { LLM_PROVIDERS, createLLMProvider };
@@ -0,0 +1,82 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+class OpenAICompatibleProvider {
+  /**
+   * LLM provider generating the scripts with any server exposing the OpenAI chat completions API,
+   * such as OpenAI itself or a local Ollama or llama.cpp server for offline runs.
+   * @param {Object} [config] - Configuration for the provider.
+   * @param {string} [config.baseUrl] - Base URL of the API, up to `/v1`. Defaults to a local Ollama server
+   * @param {string} [config.apiKey] - API key sent as a bearer token. Local servers need none
+   * @param {number} [config.timeout] - Timeout of a completion in milliseconds
+   */
+  constructor(config = {}) {
+    this.config = { ...OpenAICompatibleProvider.DEFAULT_CONFIG, ...config };
+    this.name = "openai";
+    this.defaultModel = OpenAICompatibleProvider.DEFAULT_MODEL;
+    this.chat = {
+      completions: { create: (params) => this.createCompletion(params) },
+    };
+  }
+
+  /**
+   * Default configuration for the OpenAICompatibleProvider.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    baseUrl: "http://localhost:11434/v1",
+    // Local models on a CPU can take minutes to answer
+    timeout: 300000,
+  };
+
+  /**
+   * Model used when none is configured, the name Ollama gives to Llama 3.
+   * @static
+   * @type {string}
+   */
+  static DEFAULT_MODEL = "llama3";
+
+  /**
+   * Requests a chat completion.
+   * @param {Object} params - Parameters in the shape of the Groq SDK, `max_completion_tokens` being sent as `max_tokens`
+   * which more servers understand.
+   * @returns {Promise<{choices: {message: {content: string}}[]}>} The completion.
+   * @throws {Error} If the server cannot be reached or answers with an error status, the message starting with the status.
+   */
+  async createCompletion({ max_completion_tokens, stop, ...params }) {
+    const url = `${this.config.baseUrl.replace(/\/+$/, "")}/chat/completions`;
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(this.config.apiKey && {
+            Authorization: `Bearer ${this.config.apiKey}`,
+          }),
+        },
+        body: JSON.stringify({
+          ...params,
+          ...(max_completion_tokens && { max_tokens: max_completion_tokens }),
+          ...(stop && { stop }),
+        }),
+        signal: AbortSignal.timeout(this.config.timeout),
+      });
+    } catch (error) {
+      throw new Error(`Failed to reach ${url}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw new Error(`${response.status} ${(await response.text()).trim()}`);
+    }
+    return response.json();
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,45 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { PexelsProvider } = require("./pexels");
+const { LocalMediaProvider } = require("./local");
+
+/**
+ * Media providers available by name. A provider is any object exposing a `name`,
+ * `search({ query, orientation, perPage }): Promise<{ videos }>` returning videos in the shape of the
+ * Pexels API and `fetchVideo(videoFile): Promise<{ name, removeCallback }>` returning a local path.
+ * An optional `getCredit(video)` returns the attribution of a video for the credits.
+ */
+const MEDIA_PROVIDERS = {
+  pexels: PexelsProvider,
+  local: LocalMediaProvider,
+};
+
+/**
+ * Returns a media provider instance
+ * @param {string|Object} provider - Name of a registered provider or a custom provider instance
+ * @param {Object} [config] - Configuration passed to the provider constructor
+ * @returns {Object} The provider instance
+ * @throws {Error} If the provider is unknown
+ */
+const createMediaProvider = (provider = "pexels", config = {}) => {
+  if (typeof provider === "object" && typeof provider.search === "function") {
+    return provider;
+  }
+  const Provider = MEDIA_PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(
+      `Unknown media provider "${provider}". Available providers: ${Object.keys(
+        MEDIA_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return new Provider(config);
+};
+
+module.exports = { MEDIA_PROVIDERS, createMediaProvider };
@@ -0,0 +1,187 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} LocalClip
+ * @property {string} id - Path of the clip relative to the library folder.
+ * @property {string} path - Absolute path of the clip.
+ * @property {Set<string>} nameWords - Words of the file name and folders of the clip.
+ * @property {Set<string>} tagWords - Words of the tags and description of the sidecar file.
+ * @property {number} [width] - Width of the clip in pixels.
+ * @property {number} [height] - Height of the clip in pixels.
+ * @property {number} [duration] - Duration of the clip in seconds.
+ * @property {string} [title] - Title of the clip from the sidecar file.
+ * @property {string} [author] - Author of the clip from the sidecar file.
+ * @property {string} [url] - Source page of the clip from the sidecar file.
+ * @property {string} [license] - License of the clip from the sidecar file.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const ffmpeg = require("fluent-ffmpeg");
+const {
+  getWords,
+  listFiles,
+  readSidecar,
+  scoreWords,
+} = require("../../utils/library");
+
+class LocalMediaProvider {
+  /**
+   * Media provider matching segments against a folder of clips, for offline renders with your own footage.
+   * A clip can have a JSON sidecar file with the same name (clip.mp4 and clip.json) holding
+   * `tags`, a `description`, its `width`, `height` and `duration` and its `title`, `author`, `url` and `license`
+   * for the credits. Missing sizes and durations are probed.
+   * @param {Object} config - Configuration for the provider.
+   * @param {string} config.directory - Path to the folder of clips, searched recursively.
+   * @param {string[]} [config.extensions] - Extensions of the clips. Defaults to mp4, mov, m4v, webm and mkv
+   * @throws {Error} If the folder is not provided.
+   */
+  constructor(config = {}) {
+    if (!config.directory) {
+      throw new Error("A media folder is required by the local media provider");
+    }
+    this.config = { ...LocalMediaProvider.DEFAULT_CONFIG, ...config };
+    this.name = "local";
+    this.library = null;
+  }
+
+  /**
+   * Default configuration for the LocalMediaProvider.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    extensions: [".mp4", ".mov", ".m4v", ".webm", ".mkv"],
+  };
+
+  /**
+   * Indexes the clips of the folder and their sidecar files, once per provider.
+   * @returns {LocalClip[]} The clips of the library.
+   * @throws {Error} If the folder does not exist.
+   */
+  loadLibrary() {
+    if (this.library) {
+      return this.library;
+    }
+
+    const directory = path.resolve(this.config.directory);
+    if (!fs.existsSync(directory)) {
+      throw new Error(`Media folder not found: ${directory}`);
+    }
+
+    this.library = listFiles(directory, this.config.extensions).map((file) => {
+      const clipPath = path.join(directory, file);
+      const sidecar = readSidecar(clipPath);
+
+      return {
+        id: file,
+        path: clipPath,
+        nameWords: new Set(getWords(file.replace(/\.[^.]+$/, ""))),
+        tagWords: new Set(
+          getWords([...(sidecar.tags || []), sidecar.description].join(" "))
+        ),
+        width: sidecar.width,
+        height: sidecar.height,
+        duration: sidecar.duration,
+        title: sidecar.title,
+        author: sidecar.author,
+        url: sidecar.url,
+        license: sidecar.license,
+      };
+    });
+
+    return this.library;
+  }
+
+  /**
+   * Fills the size and duration of a clip without sidecar metadata from its file.
+   * @param {LocalClip} clip - The clip.
+   * @returns {Promise<LocalClip>} The clip, unchanged when the file cannot be probed.
+   */
+  probeClip(clip) {
+    if (clip.width && clip.height && clip.duration) {
+      return Promise.resolve(clip);
+    }
+
+    return new Promise((resolve) => {
+      ffmpeg.ffprobe(clip.path, (err, metadata) => {
+        const videoStream = metadata?.streams.find(
+          ({ codec_type }) => codec_type === "video"
+        );
+        if (!err && videoStream) {
+          clip.width = clip.width ?? videoStream.width;
+          clip.height = clip.height ?? videoStream.height;
+          clip.duration =
+            clip.duration ??
+            (Number(videoStream.duration) || metadata.format.duration);
+        }
+        resolve(clip);
+      });
+    });
+  }
+
+  /**
+   * Searches the folder for clips matching a query, in the shape of a Pexels search response.
+   * @param {Object} params - The search parameters.
+   * @param {string} params.query - The search query.
+   * @param {number} params.perPage - Number of videos to return.
+   * @returns {Promise<{videos: Object[]}>} The matching clips, best matches first.
+   */
+  async search({ query, perPage }) {
+    const queryWords = [...new Set(getWords(query))];
+    const matches = this.loadLibrary()
+      .map((clip) => ({ clip, score: scoreWords(clip, queryWords) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, perPage);
+
+    const clips = await Promise.all(
+      matches.map(({ clip }) => this.probeClip(clip))
+    );
+    return {
+      videos: clips.map((clip) => ({
+        id: clip.id,
+        width: clip.width,
+        height: clip.height,
+        duration: clip.duration,
+        clip,
+        video_files: [
+          {
+            id: clip.id,
+            quality: "local",
+            width: clip.width,
+            height: clip.height,
+            link: clip.path,
+          },
+        ],
+      })),
+    };
+  }
+
+  /**
+   * Returns the attribution of a clip, from its sidecar file.
+   * @param {Object} video - The clip from the search.
+   * @returns {Object} The credit of the clip.
+   */
+  getCredit(video) {
+    const { id, title, author, url, license } = video.clip;
+    return { source: "local", id, title: title || id, author, url, license };
+  }
+
+  /**
+   * Returns the clip in place, local clips are never copied.
+   * @param {Object} videoFile - The video file from the search.
+   * @returns {Promise<{name: string, removeCallback: function(): void}>} The path of the clip.
+   */
+  async fetchVideo(videoFile) {
+    return { name: videoFile.link, removeCallback: () => {} };
+  }
+}
+
+module.exports = { LocalMediaProvider };
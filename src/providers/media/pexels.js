@@ -0,0 +1,122 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const fs = require("fs");
+const tmp = require("tmp");
+const { createClient } = require("pexels");
+
+class PexelsProvider {
+  /**
+   * Media provider searching and downloading stock footage from Pexels.
+   * @param {Object} config - Configuration for the provider.
+   * @param {string} config.apiKey - API key for the Pexels service.
+   * @param {MediaCache} [config.cache] - Disk cache for the searches and downloaded clips. Nothing is cached without it
+   * @throws {Error} If the API key is not provided.
+   */
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error(
+        "Pexels API key is required to generate media-based videos"
+      );
+    }
+    this.config = config;
+    this.name = "pexels";
+    this.client = createClient(config.apiKey);
+  }
+
+  /**
+   * Searches Pexels for videos, serving repeated searches from the cache to spare the monthly API quota.
+   * @param {Object} params - The search parameters.
+   * @param {string} params.query - The search query.
+   * @param {'landscape'|'portrait'} params.orientation - Orientation of the output video.
+   * @param {number} params.perPage - Number of videos to return.
+   * @returns {Promise<{videos: Object[]}>} The Pexels search response.
+   */
+  async search({ query, orientation, perPage }) {
+    const searchParams = {
+      query,
+      size: "medium",
+      per_page: perPage,
+      orientation,
+    };
+    const cachedResults = this.config.cache?.getSearch("pexels", searchParams);
+    if (cachedResults) {
+      return cachedResults;
+    }
+
+    const searchResults = await this.client.videos.search(searchParams);
+    if (searchResults.videos) {
+      this.config.cache?.setSearch("pexels", searchParams, searchResults);
+    }
+    return searchResults;
+  }
+
+  /**
+   * Returns the attribution of a Pexels video.
+   * @param {Object} video - The Pexels video.
+   * @returns {Object} The credit of the video.
+   */
+  getCredit(video) {
+    return {
+      source: "pexels",
+      id: video.id,
+      title: `Pexels video ${video.id}`,
+      author: video.user?.name,
+      authorUrl: video.user?.url,
+      url: video.url,
+      license: "Pexels License",
+      licenseUrl: "https://www.pexels.com/license/",
+    };
+  }
+
+  /**
+   * Downloads a Pexels video file to a temporary file, or points to the cached copy when it was downloaded before.
+   * @param {Object} videoFile - The Pexels video file.
+   * @returns {Promise<{name: string, removeCallback: function(): void}>} The path of the video and a callback removing the temporary download.
+   */
+  async fetchVideo(videoFile) {
+    const cachedPath = this.config.cache?.getMedia(
+      "pexels",
+      videoFile.id,
+      ".mp4"
+    );
+    if (cachedPath) {
+      return { name: cachedPath, removeCallback: () => {} };
+    }
+
+    const response = await fetch(videoFile.link);
+    if (!response.ok) {
+      throw new Error(
+        `Failed to download video. HTTP Status: ${response.status}`
+      );
+    }
+
+    // Create temporary video file
+    const tempVideoFile = tmp.fileSync({
+      postfix: ".mp4",
+      discardDescriptor: true,
+    });
+    if (!tempVideoFile.name) {
+      throw new Error("Failed to create temporary video file");
+    }
+
+    // Write video buffer to file
+    const buffer = await response.arrayBuffer();
+    fs.writeFileSync(tempVideoFile.name, Buffer.from(buffer));
+    this.config.cache?.setMedia(
+      "pexels",
+      videoFile.id,
+      ".mp4",
+      tempVideoFile.name
+    );
+
+    return tempVideoFile;
+  }
+}
+
+module.exports = { PexelsProvider };
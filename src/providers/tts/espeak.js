@@ -0,0 +1,57 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { runProcess } = require("../../utils");
+
+class EspeakProvider {
+  /**
+   * Text-to-speech provider backed by the local espeak-ng (or espeak) binary. Works fully offline.
+   * @param {Object} [config] - Configuration for the provider.
+   * @param {string} [config.binary] - Name or path of the espeak binary. Defaults to espeak-ng
+   * @param {string} [config.voice] - The espeak voice to use. Defaults to en
+   * @param {number} [config.speed] - Speaking rate in words per minute. Defaults to 165
+   */
+  constructor(config = {}) {
+    this.config = { ...EspeakProvider.DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Default configuration for the EspeakProvider.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    binary: "espeak-ng",
+    voice: "en",
+    speed: 165,
+  };
+
+  /**
+   * Synthesizes the text into a wav file.
+   * @param {string} text - Text to speak.
+   * @param {string} outputPath - Path of the wav file to write.
+   * @returns {Promise<string>} Path to the synthesized wav file.
+   */
+  async synthesize(text, outputPath) {
+    await runProcess(
+      this.config.binary,
+      [
+        "-v",
+        this.config.voice,
+        "-s",
+        String(this.config.speed),
+        "-w",
+        outputPath,
+        "--stdin",
+      ],
+      { input: text }
+    );
+    return outputPath;
+  }
+}
+
+module.exports = { EspeakProvider };
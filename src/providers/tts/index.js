@@ -0,0 +1,43 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { EspeakProvider } = require("./espeak");
+const { PiperProvider } = require("./piper");
+
+/**
+ * Text-to-speech providers available by name. A provider is any object exposing
+ * `synthesize(text, outputPath): Promise<string>` that writes a wav file.
+ */
+const TTS_PROVIDERS = {
+  espeak: EspeakProvider,
+  piper: PiperProvider,
+};
+
+/**
+ * Returns a text-to-speech provider instance
+ * @param {string|Object} provider - Name of a registered provider or a custom provider instance
+ * @param {Object} [config] - Configuration passed to the provider constructor
+ * @returns {Object} The provider instance
+ * @throws {Error} If the provider is unknown
+ */
+const createTTSProvider = (provider = "espeak", config = {}) => {
+  if (provider && typeof provider.synthesize === "function") {
+    return provider;
+  }
+  const Provider = TTS_PROVIDERS[provider];
+  if (!Provider) {
+    throw new Error(
+      `Unknown TTS provider "${provider}". Available providers: ${Object.keys(
+        TTS_PROVIDERS
+      ).join(", ")}`
+    );
+  }
+  return new Provider(config);
+};
+
+module.exports = { TTS_PROVIDERS, createTTSProvider };
@@ -0,0 +1,60 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const { runProcess } = require("../../utils");
+
+class PiperProvider {
+  /**
+   * Text-to-speech provider backed by a local piper binary and an onnx voice model. Works fully offline.
+   * @param {Object} config - Configuration for the provider.
+   * @param {string} config.model - Path to the piper voice model (.onnx).
+   * @param {string} [config.binary] - Name or path of the piper binary. Defaults to piper
+   * @param {number} [config.speed] - Speaking rate multiplier, 1 being the natural rate of the model.
+   * @throws {Error} If the voice model is not provided.
+   */
+  constructor(config = {}) {
+    if (!config.model) {
+      throw new Error("A piper voice model (.onnx) is required");
+    }
+    this.config = { ...PiperProvider.DEFAULT_CONFIG, ...config };
+  }
+
+  /**
+   * Default configuration for the PiperProvider.
+   * @static
+   */
+  static DEFAULT_CONFIG = {
+    binary: "piper",
+    speed: 1,
+  };
+
+  /**
+   * Synthesizes the text into a wav file.
+   * @param {string} text - Text to speak.
+   * @param {string} outputPath - Path of the wav file to write.
+   * @returns {Promise<string>} Path to the synthesized wav file.
+   */
+  async synthesize(text, outputPath) {
+    await runProcess(
+      this.config.binary,
+      [
+        "--model",
+        this.config.model,
+        "--output_file",
+        outputPath,
+        // Piper expresses speed as the length of each phoneme
+        "--length_scale",
+        String(1 / this.config.speed),
+      ],
+      { input: text }
+    );
+    return outputPath;
+  }
+}
+
+module.exports = { PiperProvider };
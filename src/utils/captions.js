@@ -0,0 +1,180 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+const { splitWords } = require("./languages");
+
+/**
+ * @typedef {Object} WordTiming
+ * @property {string} word - The word.
+ * @property {number} start - Time in seconds, relative to the start of the segment, at which the word becomes active.
+ * @property {number} end - Time in seconds, relative to the start of the segment, at which the word stops being active.
+ */
+
+/**
+ * @typedef {Object} CaptionLayer
+ * @property {string} text - Text drawn by the layer.
+ * @property {number} start - Time in seconds, relative to the start of the segment, at which the layer appears.
+ * @property {number} end - Time in seconds, relative to the start of the segment, at which the layer disappears.
+ * @property {boolean} highlighted - Whether the layer is drawn in the highlight color.
+ * @property {string} [anchor] - Full phrase the layer is aligned to. Layers sharing an anchor start at the same x position.
+ */
+
+/**
+ * Caption styles.
+ * static: the whole text in a box for the whole segment
+ * word: one word at a time, the active word highlighted
+ * phrase: short phrases revealed one after another with the active word highlighted (karaoke)
+ */
+const CAPTION_STYLES = ["static", "word", "phrase"];
+
+/**
+ * Average glyph width relative to the font size, used to estimate how much text fits on a line
+ */
+const AVERAGE_CHAR_WIDTH = 0.6;
+
+/**
+ * Splits the segment text into timed words. Words are spread over the narration, weighted by their
+ * length, when the segment is narrated and evenly over the segment duration otherwise.
+ * @param {string} text - Text of the segment.
+ * @param {number} duration - Duration of the segment in seconds.
+ * @param {{offset: number, duration: number}} [narration] - When the narration starts within the segment and how long it lasts.
+ * @param {string} [language] - ISO 639-1 code of the language of the text, which decides how it splits into words. Defaults to en
+ * @returns {WordTiming[]} The timed words.
+ */
+const getWordTimings = (text, duration, narration, language) => {
+  const words = splitWords(text, language);
+  if (!words.length) return [];
+
+  if (narration) {
+    // Longer words take longer to say, the extra character accounts for the pause between words
+    const weights = words.map((word) => word.length + 1);
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    let cursor = narration.offset;
+    return words.map((word, index) => {
+      const start = cursor;
+      cursor += (narration.duration * weights[index]) / totalWeight;
+      return { word, start, end: Math.min(cursor, duration) };
+    });
+  }
+
+  const step = duration / words.length;
+  return words.map((word, index) => ({
+    word,
+    start: index * step,
+    end: (index + 1) * step,
+  }));
+};
+
+/**
+ * Groups timed words into phrases that fit on a single line.
+ * @param {WordTiming[]} wordTimings - The timed words.
+ * @param {number} maxChars - Maximum number of characters of a phrase.
+ * @param {number} [maxWords] - Maximum number of words of a phrase. Defaults to 4
+ * @param {string} [separator] - Text between the words, nothing for the languages without spaces. Defaults to a space
+ * @returns {WordTiming[][]} The phrases.
+ */
+const groupPhrases = (wordTimings, maxChars, maxWords = 4, separator = " ") =>
+  wordTimings.reduce((phrases, wordTiming) => {
+    const current = phrases[phrases.length - 1];
+    const currentText = current?.map(({ word }) => word).join(separator);
+    if (
+      current &&
+      current.length < maxWords &&
+      `${currentText}${separator}${wordTiming.word}`.length <= maxChars
+    ) {
+      current.push(wordTiming);
+    } else {
+      phrases.push([wordTiming]);
+    }
+    return phrases;
+  }, []);
+
+/**
+ * Builds the text layers drawn for an animated caption. Every word stays active until the next one starts
+ * so the caption never flickers, the last one until the end of the segment.
+ *
+ * In the phrase style the active word is highlighted by drawing, on top of the phrase, the phrase up to and
+ * including the active word in the highlight color and then the words before it in the base color again.
+ * All three layers start at the same position, the right edge for right-to-left text, so the highlight lines up
+ * without measuring the glyphs.
+ * @param {WordTiming[]} wordTimings - The timed words.
+ * @param {string} style - One of the animated CAPTION_STYLES.
+ * @param {number} duration - Duration of the segment in seconds.
+ * @param {number} maxChars - Maximum number of characters on a line.
+ * @param {string} [separator] - Text between the words, nothing for the languages without spaces. Defaults to a space
+ * @returns {CaptionLayer[]} The layers to draw.
+ */
+const buildCaptionLayers = (
+  wordTimings,
+  style,
+  duration,
+  maxChars,
+  separator = " "
+) => {
+  const activeUntil = (index) =>
+    index < wordTimings.length - 1 ? wordTimings[index + 1].start : duration;
+
+  if (style === "word") {
+    return wordTimings.map(({ word, start }, index) => ({
+      text: word,
+      start: index === 0 ? 0 : start,
+      end: activeUntil(index),
+      highlighted: true,
+    }));
+  }
+
+  const layers = [];
+  let wordIndex = 0;
+  const phrases = groupPhrases(wordTimings, maxChars, 4, separator);
+  phrases.forEach((phrase, phraseIndex) => {
+    const anchor = phrase.map(({ word }) => word).join(separator);
+    const phraseStart = phraseIndex === 0 ? 0 : phrase[0].start;
+    const phraseEnd = activeUntil(wordIndex + phrase.length - 1);
+
+    layers.push({
+      text: anchor,
+      start: phraseStart,
+      end: phraseEnd,
+      highlighted: false,
+      anchor,
+    });
+
+    phrase.forEach(({ start }, index) => {
+      const words = phrase.map(({ word }) => word);
+      const window = {
+        start: index === 0 ? phraseStart : start,
+        end: activeUntil(wordIndex + index),
+        anchor,
+      };
+      layers.push({
+        ...window,
+        text: words.slice(0, index + 1).join(separator),
+        highlighted: true,
+      });
+      if (index > 0) {
+        layers.push({
+          ...window,
+          text: words.slice(0, index).join(separator),
+          highlighted: false,
+        });
+      }
+    });
+    wordIndex += phrase.length;
+  });
+
+  return layers;
+};
+
+module.exports = {
+  CAPTION_STYLES,
+  AVERAGE_CHAR_WIDTH,
+  getWordTimings,
+  groupPhrases,
+  buildCaptionLayers,
+};
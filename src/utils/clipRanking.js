@@ -0,0 +1,125 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} RankedClip
+ * @property {Object} video - The Pexels video.
+ * @property {Object} videoFile - The best file of the video for the target frame.
+ * @property {number} score - Weighted score between 0 and 1, reused videos are penalized.
+ * @property {{aspect: number, resolution: number, duration: number, reused: boolean}} breakdown - The criteria behind the score.
+ */
+
+/**
+ * Weights of the ranking criteria, they add up to 1
+ */
+const RANKING_WEIGHTS = {
+  aspect: 0.4,
+  resolution: 0.3,
+  duration: 0.3,
+};
+
+/**
+ * Factor applied to the score of a video already used in the project
+ */
+const REUSE_PENALTY = 0.25;
+
+/**
+ * Scores how close the aspect ratio of a file is to the target frame, 1 being the same ratio.
+ * @param {number} width - Width of the file.
+ * @param {number} height - Height of the file.
+ * @param {{width: number, height: number}} target - The target frame.
+ * @returns {number} The score between 0 and 1, 0.5 when the file has no dimensions.
+ */
+const scoreAspect = (width, height, target) => {
+  if (!width || !height) {
+    return 0.5;
+  }
+  const ratio = width / height;
+  const targetRatio = target.width / target.height;
+  return Math.min(ratio, targetRatio) / Math.max(ratio, targetRatio);
+};
+
+/**
+ * Scores how close the resolution of a file is to the target frame. Files that need upscaling lose
+ * what they miss, larger files lose a little per doubling as they are slower to download and encode.
+ * @param {number} width - Width of the file.
+ * @param {number} height - Height of the file.
+ * @param {{width: number, height: number}} target - The target frame.
+ * @returns {number} The score between 0 and 1, 0.5 when the file has no dimensions.
+ */
+const scoreResolution = (width, height, target) => {
+  if (!width || !height) {
+    return 0.5;
+  }
+  // How much of the target frame the file covers once scaled to fit it
+  const coverage = Math.max(width / target.width, height / target.height);
+  return coverage < 1 ? coverage : 1 / (1 + Math.log2(coverage) / 4);
+};
+
+/**
+ * Scores whether a video lasts the whole segment, shorter videos lose what they miss.
+ * @param {number} [videoDuration] - Duration of the video in seconds.
+ * @param {number} segmentDuration - Duration of the segment in seconds.
+ * @returns {number} The score between 0 and 1, 0.5 when the video has no duration.
+ */
+const scoreDuration = (videoDuration, segmentDuration) => {
+  if (!videoDuration) {
+    return 0.5;
+  }
+  return Math.min(1, videoDuration / segmentDuration);
+};
+
+/**
+ * Ranks every file of every video of a Pexels search for a segment, keeping the best file of each video.
+ * @param {Object[]} videos - The videos of the Pexels search.
+ * @param {Object} target - What the clip is for.
+ * @param {number} target.width - Width of the output video.
+ * @param {number} target.height - Height of the output video.
+ * @param {number} target.duration - Duration of the segment in seconds.
+ * @param {Set<number>} [target.usedVideoIds] - Ids of the videos already used in the project.
+ * @returns {RankedClip[]} The videos from the best to the worst.
+ */
+const rankVideoCandidates = (videos, target) =>
+  videos
+    .map((video) => {
+      const reused = Boolean(target.usedVideoIds?.has(video.id));
+      const duration = scoreDuration(video.duration, target.duration);
+
+      return (video.video_files || [])
+        .filter((file) => file.link)
+        .map((videoFile) => {
+          const width = videoFile.width ?? video.width;
+          const height = videoFile.height ?? video.height;
+          const breakdown = {
+            aspect: scoreAspect(width, height, target),
+            resolution: scoreResolution(width, height, target),
+            duration,
+            reused,
+          };
+          const score =
+            (breakdown.aspect * RANKING_WEIGHTS.aspect +
+              breakdown.resolution * RANKING_WEIGHTS.resolution +
+              breakdown.duration * RANKING_WEIGHTS.duration) *
+            (reused ? REUSE_PENALTY : 1);
+
+          return { video, videoFile, score, breakdown };
+        })
+        .sort((a, b) => b.score - a.score)[0];
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+
+module.exports = {
+  RANKING_WEIGHTS,
+  REUSE_PENALTY,
+  scoreAspect,
+  scoreResolution,
+  scoreDuration,
+  rankVideoCandidates,
+};
@@ -0,0 +1,198 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} Credit
+ * @property {'footage'|'music'} type - What the asset is used for.
+ * @property {string} source - The provider of the asset (e.g. pexels, freesound, local).
+ * @property {string|number} id - Id of the asset at the provider.
+ * @property {string} title - Title of the asset.
+ * @property {string} [author] - Author of the asset.
+ * @property {string} [authorUrl] - Page of the author.
+ * @property {string} [url] - Page of the asset.
+ * @property {string} [license] - Name of the license.
+ * @property {string} [licenseUrl] - Text of the license.
+ * @property {number[]} [segments] - Ids of the segments showing the footage.
+ */
+
+/**
+ * Creative Commons licenses, keyed by the path of their URL, as FreeSound reports licenses by URL.
+ */
+const LICENSE_NAMES = [
+  ["publicdomain/zero", "CC0 1.0"],
+  ["licenses/by-nc", "CC BY-NC"],
+  ["licenses/sampling+", "Sampling+"],
+  ["licenses/by", "CC BY"],
+];
+
+/**
+ * Names a license from its URL.
+ * @param {string} [licenseUrl] - URL of the license.
+ * @returns {string|undefined} The name of the license with its version when the URL has one, the URL otherwise.
+ */
+const getLicenseName = (licenseUrl) => {
+  if (!licenseUrl) {
+    return undefined;
+  }
+  const known = LICENSE_NAMES.find(([key]) => licenseUrl.includes(key));
+  if (!known) {
+    return licenseUrl;
+  }
+  const version = licenseUrl.match(/\/(\d\.\d)\/?$/);
+  return version && !known[1].includes(version[1])
+    ? `${known[1]} ${version[1]}`
+    : known[1];
+};
+
+/**
+ * Returns the credit of an asset from its provider. Custom providers without getCredit are credited by name.
+ * @param {Object} provider - The media or music provider.
+ * @param {Object} item - The video or track picked from the provider.
+ * @returns {Omit<Credit, 'type'>} The credit of the asset.
+ */
+const getProviderCredit = (provider, item) =>
+  typeof provider.getCredit === "function"
+    ? provider.getCredit(item)
+    : {
+        source: provider.name,
+        id: item.id,
+        title: item.name || String(item.id),
+        author: item.username || item.user?.name,
+        url: item.url,
+      };
+
+/**
+ * Merges the credits of assets used more than once, collecting the segments of the footage.
+ * @param {Credit[]} credits - The credits in the order the assets were used.
+ * @returns {Credit[]} One credit per asset.
+ */
+const mergeCredits = (credits) => {
+  const merged = new Map();
+
+  credits.forEach((credit) => {
+    const key = `${credit.type}:${credit.source}:${credit.id}`;
+    const existing = merged.get(key);
+    if (existing) {
+      existing.segments = [
+        ...(existing.segments || []),
+        ...(credit.segments || []),
+      ];
+    } else {
+      merged.set(key, { ...credit });
+    }
+  });
+
+  return [...merged.values()];
+};
+
+/**
+ * Formats a credit on one line, e.g. `"Morning" by Studio (CC BY 4.0)`.
+ * @param {Credit} credit - The credit.
+ * @returns {string} The line.
+ */
+const formatCredit = (credit) =>
+  [
+    `"${credit.title}"`,
+    credit.author && `by ${credit.author}`,
+    credit.license && `(${credit.license})`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Builds the human-readable CREDITS.txt of a video.
+ * @param {Credit[]} credits - The credits of the video.
+ * @param {string} videoName - File name of the video.
+ * @returns {string} The text of the file.
+ */
+const buildCreditsText = (credits, videoName) => {
+  const sections = [
+    ["Music", credits.filter(({ type }) => type === "music")],
+    ["Footage", credits.filter(({ type }) => type === "footage")],
+  ].filter(([, sectionCredits]) => sectionCredits.length);
+
+  return [
+    `Credits for ${videoName}`,
+    ...sections.map(([title, sectionCredits]) =>
+      [
+        "",
+        title,
+        ...sectionCredits.map((credit) =>
+          [
+            `- ${formatCredit(credit)} from ${credit.source}`,
+            credit.segments?.length &&
+              `  Segments: ${credit.segments.join(", ")}`,
+            credit.url && `  Source: ${credit.url}`,
+            credit.authorUrl && `  Author: ${credit.authorUrl}`,
+            credit.licenseUrl && `  License: ${credit.licenseUrl}`,
+          ]
+            .filter(Boolean)
+            .join("\n")
+        ),
+      ].join("\n")
+    ),
+    "",
+  ].join("\n");
+};
+
+/**
+ * Wraps a line at word boundaries.
+ * @param {string} line - The line.
+ * @param {number} maxChars - Maximum characters per line.
+ * @returns {string[]} The wrapped lines.
+ */
+const wrapLine = (line, maxChars) =>
+  line.split(" ").reduce((lines, word) => {
+    const last = lines[lines.length - 1];
+    if (last && `${last} ${word}`.length <= maxChars) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word);
+    }
+    return lines;
+  }, []);
+
+/**
+ * Builds the text of the credits end card: the music tracks and the footage authors per source.
+ * @param {Credit[]} credits - The credits of the video.
+ * @param {number} [maxChars] - Maximum characters per line of the card. Defaults to 40
+ * @returns {string} The text of the card.
+ */
+const buildCreditsCardText = (credits, maxChars = 40) => {
+  const music = credits
+    .filter(({ type }) => type === "music")
+    .map(formatCredit);
+  const footageBySource = credits
+    .filter(({ type }) => type === "footage")
+    .reduce((sources, credit) => {
+      const authors = sources.get(credit.source) || new Set();
+      authors.add(credit.author || credit.title);
+      return sources.set(credit.source, authors);
+    }, new Map());
+  const footage = [...footageBySource].map(
+    ([source, authors]) => `${[...authors].join(", ")} on ${source}`
+  );
+
+  return [
+    "Credits",
+    ...(music.length ? ["", "Music", ...music] : []),
+    ...(footage.length ? ["", "Footage", ...footage] : []),
+  ]
+    .flatMap((line) => (line ? wrapLine(line, maxChars) : [line]))
+    .join("\n");
+};
+
+module.exports = {
+  getLicenseName,
+  getProviderCredit,
+  mergeCredits,
+  formatCredit,
+  buildCreditsText,
+  buildCreditsCardText,
+};
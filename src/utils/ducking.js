@@ -0,0 +1,130 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * Ducking modes for the music bed.
+ * auto: sidechain under a narration track, otherwise no ducking
+ * envelope: keyframed volume envelope under the narration or the on-screen text of every segment
+ * sidechain: compressor on the music driven by the narration track
+ * off: flat music volume
+ */
+const DUCKING_MODES = ["auto", "envelope", "sidechain", "off"];
+
+/**
+ * Default ducking settings. Amount is in dB, attack and release in seconds.
+ */
+const DUCKING_DEFAULTS = {
+  mode: "auto",
+  amount: 10,
+  attack: 0.3,
+  release: 0.6,
+};
+
+// Speech usually peaks about this many dB above the sidechain threshold
+const SIDECHAIN_HEADROOM = 24;
+
+/**
+ * Resolves the ducking mode that can actually be applied
+ * @param {string} mode One of DUCKING_MODES
+ * @param {boolean} hasNarration Whether a narration track is mixed over the music
+ * @returns {string} envelope, sidechain or off
+ * @throws {Error} For unknown modes
+ */
+const resolveDuckingMode = (mode = DUCKING_DEFAULTS.mode, hasNarration) => {
+  if (!DUCKING_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid ducking mode "${mode}". Use one of: ${DUCKING_MODES.join(", ")}`
+    );
+  }
+  if (mode === "auto") return hasNarration ? "sidechain" : "off";
+  // Without a voice there is nothing to drive the compressor
+  if (mode === "sidechain" && !hasNarration) return "envelope";
+  return mode;
+};
+
+/**
+ * Returns the windows during which the music should be ducked. The narration is used when present,
+ * otherwise the part of every segment that is on screen on its own so the music comes back up during transitions.
+ * @param {TimelineEntry[]} timeline Position of every segment in the final video
+ * @param {NarrationTiming[]} [narrationTimings] Timing of every spoken segment
+ * @returns {Array<{start: number, end: number}>} The ducking windows in seconds
+ */
+const getDuckingWindows = (timeline, narrationTimings) => {
+  if (narrationTimings?.length) {
+    return narrationTimings.map(({ start, duration }) => ({
+      start,
+      end: start + duration,
+    }));
+  }
+  return timeline.map((entry, index) => ({
+    start: index === 0 ? entry.start : timeline[index - 1].end,
+    end: index === timeline.length - 1 ? entry.end : timeline[index + 1].start,
+  }));
+};
+
+/**
+ * Builds a volume filter that dips the music during every window, ramping down over the attack
+ * before the window starts and back up over the release after it ends.
+ * @param {Array<{start: number, end: number}>} windows The ducking windows in seconds
+ * @param {Object} [options]
+ * @param {number} [options.amount] Gain reduction in dB
+ * @param {number} [options.attack] Ramp down duration in seconds
+ * @param {number} [options.release] Ramp up duration in seconds
+ * @returns {string|null} The FFmpeg volume filter or null when there is nothing to duck
+ */
+const buildDuckingEnvelope = (windows, options = {}) => {
+  const { amount, attack, release } = { ...DUCKING_DEFAULTS, ...options };
+  if (!windows.length || amount <= 0) return null;
+
+  const depth = 1 - Math.pow(10, -amount / 20);
+  // Avoid dividing by zero for instant ramps
+  const attackTime = Math.max(attack, 0.01);
+  const releaseTime = Math.max(release, 0.01);
+
+  const envelope = windows
+    .map(
+      ({ start, end }) =>
+        `min(clip((t-(${start - attackTime}))/${attackTime},0,1),` +
+        `clip((${end + releaseTime}-t)/${releaseTime},0,1))`
+    )
+    .reduce((accumulated, window) => `max(${accumulated},${window})`);
+
+  return `volume='1-${depth.toFixed(4)}*${envelope}':eval=frame`;
+};
+
+/**
+ * Builds a sidechain compressor that ducks the music by roughly the requested amount while the voice is speaking.
+ * @param {Object} [options]
+ * @param {number} [options.amount] Gain reduction in dB
+ * @param {number} [options.attack] Attack in seconds
+ * @param {number} [options.release] Release in seconds
+ * @returns {string} The FFmpeg sidechaincompress filter
+ */
+const buildSidechainFilter = (options = {}) => {
+  const { amount, attack, release } = { ...DUCKING_DEFAULTS, ...options };
+  const ratio = Math.min(
+    20,
+    1 / Math.max(1 - amount / SIDECHAIN_HEADROOM, 0.05)
+  );
+
+  return (
+    `sidechaincompress=threshold=0.03:ratio=${ratio.toFixed(2)}:` +
+    `attack=${Math.min(Math.max(attack * 1000, 0.01), 2000)}:` +
+    `release=${Math.min(Math.max(release * 1000, 0.01), 9000)}`
+  );
+};
+
+module.exports = {
+  DUCKING_MODES,
+  DUCKING_DEFAULTS,
+  resolveDuckingMode,
+  getDuckingWindows,
+  buildDuckingEnvelope,
+  buildSidechainFilter,
+};
@@ -0,0 +1,50 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * How a clip fills a frame of another aspect ratio:
+ * pad letterboxes it with black bars, crop covers the frame and cuts the overflow around the center
+ * and blur puts the fitted clip in front of a blurred copy covering the frame.
+ */
+const FIT_MODES = ["pad", "crop", "blur"];
+
+/**
+ * Builds the filter chain fitting a clip into the output frame. The chain has a single input and a single
+ * output, so it can lead the -vf filters of a clip.
+ * @param {'pad'|'crop'|'blur'} mode - The fit mode.
+ * @param {number} width - Width of the output frame.
+ * @param {number} height - Height of the output frame.
+ * @param {number} [blurRadius] - Radius of the background blur. Defaults to 20
+ * @returns {string} The filter chain.
+ * @throws {Error} If the fit mode is unknown.
+ */
+const buildFitFilter = (mode, width, height, blurRadius = 20) => {
+  const contain = `scale=w=${width}:h=${height}:force_original_aspect_ratio=decrease`;
+  const cover = `scale=w=${width}:h=${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+
+  switch (mode) {
+    case "pad":
+      return `${contain},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1`;
+    case "crop":
+      return `${cover},setsar=1`;
+    case "blur":
+      return (
+        "split[fitbackground][fitforeground];" +
+        `[fitbackground]${cover},boxblur=${blurRadius}:2[fitblurred];` +
+        `[fitforeground]${contain}[fitted];` +
+        "[fitblurred][fitted]overlay=(W-w)/2:(H-h)/2,setsar=1"
+      );
+    default:
+      throw new Error(
+        `Invalid fit mode "${mode}". Use one of: ${FIT_MODES.join(", ")}`
+      );
+  }
+};
+
+module.exports = { FIT_MODES, buildFitFilter };
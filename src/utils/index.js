@@ -7,6 +7,7 @@
  */
 
 const { Command } = require("commander");
+const { spawn } = require("child_process");
 
 /**
  * A method to clean objects of udnefined and null properties
@@ -31,4 +32,55 @@ const copyCommandOptions = (sourceCommand, targetCommand) => {
   });
   return targetCommand;
 };
-module.exports = { getNoiseLessConfig, copyCommandOptions };
+/**
+ * Runs an external binary and resolves with its output once it exits successfully
+ * @param {string} command The binary to execute
+ * @param {string[]} args Arguments passed to the binary
+ * @param {Object} [options]
+ * @param {string} [options.input] Text written to the stdin of the process
+ * @returns {Promise<{stdout: string, stderr: string}>} The output of the process
+ */
+const runProcess = (command, args = [], options = {}) =>
+  new Promise((resolve, reject) => {
+    const childProcess = spawn(command, args, {
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+    let stdout = "";
+    let stderr = "";
+
+    childProcess.stdout.on("data", (data) => (stdout += data.toString()));
+    childProcess.stderr.on("data", (data) => (stderr += data.toString()));
+    childProcess.on("error", (error) =>
+      reject(new Error(`Failed to start ${command}: ${error.message}`))
+    );
+    childProcess.on("close", (code) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(
+          new Error(`${command} exited with code ${code}: ${stderr.trim()}`)
+        );
+      }
+    });
+
+    if (options.input !== undefined) {
+      childProcess.stdin.write(options.input);
+    }
+    childProcess.stdin.end();
+  });
+/**
+ * Lists the issues of a failed Zod validation on one line
+ * @param {z.ZodError} error The validation error
+ * @returns {string} The path and message of every issue, e.g. `segments.0.text String must contain at least 10 character(s)`
+ */
+const formatSchemaIssues = (error) =>
+  error.issues
+    .map((issue) => `${issue.path.join(".")} ${issue.message}`.trim())
+    .join(", ");
+
+module.exports = {
+  getNoiseLessConfig,
+  copyCommandOptions,
+  runProcess,
+  formatSchemaIssues,
+};
@@ -0,0 +1,139 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * Keeps the content of a Markdown code fence, which models wrap their JSON in even in JSON mode.
+ * @param {string} text - The answer of the model.
+ * @returns {string} The content of the first fence, or the text without a fence.
+ */
+const stripCodeFences = (text) => {
+  const fence = text.match(/```[a-z]*\s*([\s\S]*?)```/i);
+  return fence ? fence[1] : text;
+};
+
+/**
+ * Drops the prose around the JSON object of an answer.
+ * @param {string} text - The answer of the model.
+ * @returns {string} The text from its first `{` to its last `}`.
+ */
+const extractObject = (text) => {
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+};
+
+/**
+ * Removes the commas before a closing brace or bracket, leaving the strings untouched.
+ * @param {string} text - The JSON.
+ * @returns {string} The JSON without trailing commas.
+ */
+const removeTrailingCommas = (text) => {
+  let output = "";
+  let inString = false;
+  let escaped = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === ",") {
+      const next = text.slice(index + 1).match(/^\s*(.)/);
+      if (next && (next[1] === "}" || next[1] === "]")) {
+        continue;
+      }
+    }
+    output += char;
+  }
+  return output;
+};
+
+/**
+ * Parses the JSON answer of a model, repairing the trivial syntax errors first when it does not parse:
+ * a wrapping code fence, prose around the object and trailing commas.
+ * @param {string} content - The answer of the model.
+ * @returns {*} The parsed JSON.
+ * @throws {SyntaxError} The error of the original answer when the repaired one does not parse either.
+ */
+const parseModelJSON = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    try {
+      return JSON.parse(
+        removeTrailingCommas(extractObject(stripCodeFences(content)))
+      );
+    } catch {
+      throw error;
+    }
+  }
+};
+
+/**
+ * Counts the single-character edits turning a string into another.
+ * @param {string} a - A string.
+ * @param {string} b - Another string.
+ * @returns {number} The Levenshtein distance.
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Finds the allowed value closest to one a model made up, ignoring case and separators.
+ * A partial name ("wipe", "zoom") goes to the closest value containing it.
+ * @param {string} value - The value of the model.
+ * @param {string[]} options - The allowed values.
+ * @returns {string} The closest allowed value.
+ */
+const findClosestValue = (value, options) => {
+  const normalize = (text) =>
+    String(text)
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  const target = normalize(value);
+  const partial = options.filter((option) => {
+    const candidate = normalize(option);
+    return target && (candidate.includes(target) || target.includes(candidate));
+  });
+
+  return (partial.length > 0 ? partial : options)
+    .map((option) => ({
+      option,
+      distance: getEditDistance(target, normalize(option)),
+    }))
+    .reduce((closest, candidate) =>
+      candidate.distance < closest.distance ? candidate : closest
+    ).option;
+};
+
+module.exports = {
+  removeTrailingCommas,
+  parseModelJSON,
+  findClosestValue,
+};
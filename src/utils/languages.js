@@ -0,0 +1,211 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} Language
+ * @property {string} code - ISO 639-1 code of the language.
+ * @property {string} name - English name of the language, used in the prompts.
+ * @property {string} script - Writing system, which decides the font of the captions.
+ * @property {'ltr'|'rtl'} direction - Direction of the text.
+ * @property {boolean} spaced - Whether words are separated by spaces. Captions split the other languages with Intl.Segmenter
+ * @property {string} subtitleLanguage - ISO 639-2 code of the embedded subtitles.
+ * @property {string} voice - eSpeak voice of the narration.
+ */
+
+const fs = require("fs");
+
+/**
+ * Languages scripts can be written in, by ISO 639-1 code.
+ */
+const LANGUAGES = {
+  en: {
+    name: "English",
+    script: "latin",
+    subtitleLanguage: "eng",
+    voice: "en-us",
+  },
+  es: {
+    name: "Spanish",
+    script: "latin",
+    subtitleLanguage: "spa",
+    voice: "es",
+  },
+  fr: { name: "French", script: "latin", subtitleLanguage: "fra", voice: "fr" },
+  de: { name: "German", script: "latin", subtitleLanguage: "deu", voice: "de" },
+  it: {
+    name: "Italian",
+    script: "latin",
+    subtitleLanguage: "ita",
+    voice: "it",
+  },
+  pt: {
+    name: "Portuguese",
+    script: "latin",
+    subtitleLanguage: "por",
+    voice: "pt",
+  },
+  ru: {
+    name: "Russian",
+    script: "cyrillic",
+    subtitleLanguage: "rus",
+    voice: "ru",
+  },
+  hi: {
+    name: "Hindi",
+    script: "devanagari",
+    subtitleLanguage: "hin",
+    voice: "hi",
+  },
+  ar: {
+    name: "Arabic",
+    script: "arabic",
+    direction: "rtl",
+    subtitleLanguage: "ara",
+    voice: "ar",
+  },
+  he: {
+    name: "Hebrew",
+    script: "hebrew",
+    direction: "rtl",
+    subtitleLanguage: "heb",
+    voice: "he",
+  },
+  ja: {
+    name: "Japanese",
+    script: "cjk",
+    spaced: false,
+    subtitleLanguage: "jpn",
+    voice: "ja",
+  },
+  zh: {
+    name: "Chinese",
+    script: "cjk",
+    spaced: false,
+    subtitleLanguage: "zho",
+    voice: "cmn",
+  },
+  ko: { name: "Korean", script: "cjk", subtitleLanguage: "kor", voice: "ko" },
+};
+
+/**
+ * Fonts tried in order for the writing systems the bundled Open Sans cannot render, on Linux, macOS and Windows.
+ * Latin and Cyrillic use the bundled font.
+ */
+const FONT_FALLBACKS = {
+  devanagari: [
+    "/usr/share/fonts/truetype/noto/NotoSansDevanagari-Regular.ttf",
+    "/usr/share/fonts/noto/NotoSansDevanagari-Regular.ttf",
+    "/usr/share/fonts/google-noto/NotoSansDevanagari-Regular.ttf",
+    "/System/Library/Fonts/Kohinoor.ttc",
+    "C:\\Windows\\Fonts\\Nirmala.ttf",
+  ],
+  arabic: [
+    "/usr/share/fonts/truetype/noto/NotoSansArabic-Regular.ttf",
+    "/usr/share/fonts/truetype/noto/NotoNaskhArabic-Regular.ttf",
+    "/usr/share/fonts/noto/NotoSansArabic-Regular.ttf",
+    "/usr/share/fonts/google-noto/NotoSansArabic-Regular.ttf",
+    "/System/Library/Fonts/GeezaPro.ttc",
+    "C:\\Windows\\Fonts\\arial.ttf",
+  ],
+  hebrew: [
+    "/usr/share/fonts/truetype/noto/NotoSansHebrew-Regular.ttf",
+    "/usr/share/fonts/noto/NotoSansHebrew-Regular.ttf",
+    "/usr/share/fonts/google-noto/NotoSansHebrew-Regular.ttf",
+    "/System/Library/Fonts/ArialHB.ttc",
+    "C:\\Windows\\Fonts\\arial.ttf",
+  ],
+  cjk: [
+    "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc",
+    "/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc",
+    "/usr/share/fonts/google-noto-cjk/NotoSansCJK-Regular.ttc",
+    "/System/Library/Fonts/Hiragino Sans GB.ttc",
+    "C:\\Windows\\Fonts\\msyh.ttc",
+  ],
+};
+
+/**
+ * Average glyph width relative to the font size of the writing systems wider than Latin, used to estimate
+ * how much text fits on a line
+ */
+const CHAR_WIDTHS = {
+  cjk: 1,
+};
+
+/**
+ * Returns a language by code.
+ * @param {string} [code] - ISO 639-1 code of the language. Defaults to en
+ * @returns {Language} The language.
+ * @throws {Error} If the language is not supported.
+ */
+const getLanguage = (code) => {
+  const key = (code || "en").toLowerCase();
+  const language = LANGUAGES[key];
+  if (!language) {
+    throw new Error(
+      `Unsupported language "${code}". Use one of: ${Object.keys(
+        LANGUAGES
+      ).join(", ")}`
+    );
+  }
+  return { direction: "ltr", spaced: true, ...language, code: key };
+};
+
+/**
+ * Finds an installed font for a writing system the bundled font cannot render.
+ * @param {string} script - The writing system.
+ * @returns {string|null} Path of the first installed fallback, null when the bundled font renders it or none is installed.
+ */
+const findFont = (script) =>
+  (FONT_FALLBACKS[script] || []).find((fontPath) => fs.existsSync(fontPath)) ||
+  null;
+
+/**
+ * Splits a text into words, with Intl.Segmenter for the languages that do not separate words with spaces.
+ * Punctuation stays with the word before it.
+ * @param {string} text - The text.
+ * @param {string} [code] - ISO 639-1 code of the language. Defaults to en
+ * @returns {string[]} The words.
+ */
+const splitWords = (text, code) => {
+  const language = getLanguage(code);
+  if (language.spaced) {
+    return text.split(/\s+/).filter(Boolean);
+  }
+
+  const segmenter = new Intl.Segmenter(language.code, { granularity: "word" });
+  return [...segmenter.segment(text)].reduce((words, segment) => {
+    const value = segment.segment.trim();
+    if (!value) {
+      return words;
+    }
+    if (!segment.isWordLike && words.length > 0) {
+      words[words.length - 1] += value;
+    } else {
+      words.push(value);
+    }
+    return words;
+  }, []);
+};
+
+/**
+ * Returns the text put between the words of a language when they are joined back.
+ * @param {string} [code] - ISO 639-1 code of the language. Defaults to en
+ * @returns {string} A space, or nothing for the languages without spaces.
+ */
+const getWordSeparator = (code) => (getLanguage(code).spaced ? " " : "");
+
+module.exports = {
+  LANGUAGES,
+  FONT_FALLBACKS,
+  CHAR_WIDTHS,
+  getLanguage,
+  findFont,
+  splitWords,
+  getWordSeparator,
+};
@@ -0,0 +1,107 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+const path = require("path");
+const fs = require("fs");
+
+/**
+ * Words too common to tell library files apart
+ */
+const STOP_WORDS = new Set([
+  "the",
+  "and",
+  "for",
+  "with",
+  "from",
+  "this",
+  "that",
+  "are",
+  "was",
+  "were",
+  "its",
+  "into",
+  "over",
+  "about",
+  "your",
+  "their",
+  "has",
+  "have",
+  "can",
+  "will",
+  "than",
+  "more",
+]);
+
+/**
+ * Splits a text into lowercase words, dropping short and common words and plural endings.
+ * @param {string} text - The text to split.
+ * @returns {string[]} The words.
+ */
+const getWords = (text = "") =>
+  text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= 3 && !STOP_WORDS.has(word))
+    .map((word) => (word.length > 3 ? word.replace(/s$/, "") : word));
+
+/**
+ * Lists the files of a folder and its subfolders with one of the given extensions.
+ * @param {string} directory - The folder.
+ * @param {string[]} extensions - The extensions to keep, including the dot.
+ * @param {string} [prefix] - Path of the folder relative to the root of the walk.
+ * @returns {string[]} Paths of the files relative to the root of the walk.
+ */
+const listFiles = (directory, extensions, prefix = "") =>
+  fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const relativePath = path.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      return listFiles(
+        path.join(directory, entry.name),
+        extensions,
+        relativePath
+      );
+    }
+    return extensions.includes(path.extname(entry.name).toLowerCase())
+      ? [relativePath]
+      : [];
+  });
+
+/**
+ * Reads the JSON sidecar file of a library file, named like the file with a .json extension.
+ * @param {string} filePath - Path of the library file.
+ * @returns {Object} The sidecar metadata, empty when the file has no sidecar.
+ * @throws {Error} If the sidecar is not valid JSON.
+ */
+const readSidecar = (filePath) => {
+  const sidecarPath = filePath.replace(/\.[^.]+$/, ".json");
+  if (!fs.existsSync(sidecarPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(sidecarPath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Invalid sidecar file ${sidecarPath}: ${error.message}`);
+  }
+};
+
+/**
+ * Scores how well a library file matches the words of a query, tag matches weighing twice as much as file name matches.
+ * @param {{tagWords: Set<string>, nameWords: Set<string>}} entry - The words of the library file.
+ * @param {string[]} queryWords - The words of the query.
+ * @returns {number} The score, 0 when no word matches.
+ */
+const scoreWords = (entry, queryWords) =>
+  queryWords.reduce(
+    (score, word) =>
+      score +
+      (entry.tagWords.has(word) ? 2 : 0) +
+      (entry.nameWords.has(word) ? 1 : 0),
+    0
+  );
+
+module.exports = { getWords, listFiles, readSidecar, scoreWords };
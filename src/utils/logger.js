@@ -7,12 +7,28 @@
  */
 "use strict";
 
-const term = require("terminal-kit").terminal;
+const termkit = require("terminal-kit");
+
+let term = termkit.terminal;
 
 const figlet = require("figlet");
 const { LEGIBLE_FONTS } = require("../config");
 
 class Logger {
+  /**
+   * Writes the logs of every logger to stderr from now on, so a command can print its result alone on stdout.
+   * @static
+   */
+  static useStderr() {
+    term = termkit.createTerminal({
+      stdin: process.stdin,
+      stdout: process.stderr,
+      stderr: process.stderr,
+      generic: termkit.guessTerminal().generic || "unknown",
+      isTTY: Boolean(process.stderr.isTTY),
+    });
+  }
+
   getTimestamp() {
     const now = new Date();
     return now.toISOString().replace("T", " ").replace("Z", "");
@@ -0,0 +1,136 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} LoudnessTarget
+ * @property {number} integrated - Integrated loudness in LUFS.
+ * @property {number} truePeak - Maximum true peak in dBTP.
+ * @property {number} range - Loudness range in LU.
+ */
+
+/**
+ * @typedef {Object} LoudnessStats
+ * @property {number} integrated - Integrated loudness in LUFS.
+ * @property {number} truePeak - True peak in dBTP.
+ * @property {number} range - Loudness range in LU.
+ * @property {number} threshold - Gating threshold in LUFS.
+ * @property {number} offset - Gain offset of the normalization in dB.
+ */
+
+/**
+ * @typedef {Object} LoudnessReport
+ * @property {string} preset - Name of the preset the mix was normalized to.
+ * @property {LoudnessTarget} target - The target of the preset.
+ * @property {number} integrated - Measured integrated loudness of the final mix in LUFS.
+ * @property {number} truePeak - Measured true peak of the final mix in dBTP.
+ */
+
+/**
+ * Loudness targets of the platforms. YouTube, TikTok and Instagram all turn down mixes louder than about -14 LUFS,
+ * the short-form presets keep a narrower range for phone speakers. ebu is the EBU R128 broadcast target.
+ * @type {Object<string, LoudnessTarget>}
+ */
+const LOUDNESS_PRESETS = {
+  youtube: { integrated: -14, truePeak: -1, range: 11 },
+  tiktok: { integrated: -14, truePeak: -1, range: 7 },
+  instagram: { integrated: -14, truePeak: -1, range: 7 },
+  ebu: { integrated: -23, truePeak: -1, range: 7 },
+};
+
+/**
+ * Returns the target of a loudness preset.
+ * @param {string} preset - Name of the preset, or off.
+ * @returns {LoudnessTarget|null} The target, null when the normalization is off.
+ * @throws {Error} If the preset is unknown.
+ */
+const getLoudnessTarget = (preset) => {
+  if (preset === "off") {
+    return null;
+  }
+  const target = LOUDNESS_PRESETS[preset];
+  if (!target) {
+    throw new Error(
+      `Invalid loudness preset "${preset}". Use one of: ${[
+        ...Object.keys(LOUDNESS_PRESETS),
+        "off",
+      ].join(", ")}`
+    );
+  }
+  return target;
+};
+
+/**
+ * Builds the loudnorm filter of a pass. The first pass only measures, the second one applies the measured values
+ * so the gain is linear whenever the range allows it. Silent mixes, measured at -inf, fall back to a single pass.
+ * @param {LoudnessTarget} target - The loudness target.
+ * @param {LoudnessStats} [measured] - The stats of the first pass.
+ * @returns {string} The loudnorm filter.
+ */
+const buildLoudnormFilter = (target, measured) => {
+  const filter = `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.range}`;
+  const values = measured && [
+    measured.integrated,
+    measured.truePeak,
+    measured.range,
+    measured.threshold,
+    measured.offset,
+  ];
+
+  if (!values || !values.every(Number.isFinite)) {
+    return `${filter}:print_format=json`;
+  }
+  return (
+    `${filter}:measured_I=${measured.integrated}:measured_TP=${measured.truePeak}` +
+    `:measured_LRA=${measured.range}:measured_thresh=${measured.threshold}` +
+    `:offset=${measured.offset}:linear=true:print_format=json`
+  );
+};
+
+/**
+ * Reads the stats printed by loudnorm from the FFmpeg log.
+ * @param {string[]} lines - Lines of the FFmpeg log.
+ * @param {'input'|'output'} [side] - Whether to read the measured input or the normalized output. Defaults to input
+ * @returns {LoudnessStats} The stats.
+ * @throws {Error} If the log has no loudnorm stats.
+ */
+const parseLoudnormStats = (lines, side = "input") => {
+  const match = lines.join("\n").match(/\{[^{}]*"input_i"[^{}]*\}/);
+  if (!match) {
+    throw new Error("No loudness stats in the FFmpeg output");
+  }
+
+  const stats = JSON.parse(match[0]);
+  return {
+    integrated: Number(stats[`${side}_i`]),
+    truePeak: Number(stats[`${side}_tp`]),
+    range: Number(stats[`${side}_lra`]),
+    threshold: Number(stats[`${side}_thresh`]),
+    offset: Number(stats.target_offset),
+  };
+};
+
+/**
+ * Describes the measured loudness of a final mix against its target, for the summary of a run.
+ * @param {LoudnessReport} report - The loudness of the final mix.
+ * @returns {string} The description, e.g. `-14.1 LUFS integrated, -1.2 dBTP true peak (youtube target: -14 LUFS, -1 dBTP)`
+ */
+const formatLoudnessReport = ({ preset, target, integrated, truePeak }) =>
+  `${integrated.toFixed(1)} LUFS integrated, ${truePeak.toFixed(
+    1
+  )} dBTP true peak (${preset} target: ${target.integrated} LUFS, ${
+    target.truePeak
+  } dBTP)`;
+
+module.exports = {
+  LOUDNESS_PRESETS,
+  getLoudnessTarget,
+  buildLoudnormFilter,
+  parseLoudnormStats,
+  formatLoudnessReport,
+};
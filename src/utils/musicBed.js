@@ -0,0 +1,75 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * How the music fills a video longer than the track:
+ * loop repeats the track and chain plays other tracks of the search after it, both crossfading between the pieces.
+ */
+const MUSIC_FILL_MODES = ["loop", "chain"];
+
+/**
+ * Clamps the crossfade so it never takes more than half of the shortest piece.
+ * @param {number[]} durations - Durations of the tracks in seconds.
+ * @param {number} crossfade - The wanted crossfade in seconds.
+ * @returns {number} The crossfade in seconds.
+ */
+const getCrossfadeDuration = (durations, crossfade) =>
+  Math.max(
+    0,
+    Math.min(crossfade, ...durations.map((duration) => duration / 2))
+  );
+
+/**
+ * Plans the order of the pieces of a music bed covering the target duration, cycling through the tracks.
+ * @param {number[]} durations - Durations of the tracks in seconds, in the order they play.
+ * @param {number} targetDuration - Duration of the video in seconds.
+ * @param {number} crossfade - Overlap between two pieces in seconds.
+ * @returns {number[]} Indexes of the tracks, a single index when the first track covers the video.
+ */
+const planMusicBed = (durations, targetDuration, crossfade) => {
+  const overlap = getCrossfadeDuration(durations, crossfade);
+  const plan = [0];
+  let covered = durations[0];
+
+  while (covered < targetDuration) {
+    const index = plan.length % durations.length;
+    plan.push(index);
+    covered += durations[index] - overlap;
+  }
+  return plan;
+};
+
+/**
+ * Builds the complex filter chaining the inputs with crossfades. The inputs are resampled to a common format
+ * first, as tracks from different sources rarely share one.
+ * @param {number} count - Number of inputs of the command.
+ * @param {number} crossfade - Duration of every crossfade in seconds.
+ * @returns {string[]} The filters, ending with the [music] label.
+ */
+const buildCrossfadeFilter = (count, crossfade) => {
+  const formats = Array.from(
+    { length: count },
+    (_, index) =>
+      `[${index}:a]aformat=sample_rates=44100:channel_layouts=stereo[bed${index}]`
+  );
+  const crossfades = Array.from({ length: count - 1 }, (_, index) => {
+    const previous = index === 0 ? "[bed0]" : `[bedmix${index}]`;
+    const output = index === count - 2 ? "[music]" : `[bedmix${index + 1}]`;
+    return `${previous}[bed${index + 1}]acrossfade=d=${crossfade}:c1=tri:c2=tri${output}`;
+  });
+
+  return [...formats, ...crossfades];
+};
+
+module.exports = {
+  MUSIC_FILL_MODES,
+  getCrossfadeDuration,
+  planMusicBed,
+  buildCrossfadeFilter,
+};
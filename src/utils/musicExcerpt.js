@@ -0,0 +1,113 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} EnergyLevel
+ * @property {number} time - Start of the window in seconds.
+ * @property {number} level - RMS level of the window in dB, -Infinity for silence.
+ */
+
+/**
+ * Which part of a track longer than the video is used:
+ * energy picks the loudest excerpt, phrase the loudest one ending on a dip of the music and start the beginning.
+ */
+const MUSIC_EXCERPT_MODES = ["energy", "phrase", "start"];
+
+/**
+ * Length of the analysis windows in seconds.
+ */
+const ENERGY_WINDOW = 1;
+
+/**
+ * Builds the audio filters printing the RMS level of every analysis window to the FFmpeg log.
+ * @returns {string[]} The audio filters.
+ */
+const buildEnergyFilters = () => [
+  "aresample=44100",
+  `asetnsamples=n=${44100 * ENERGY_WINDOW}`,
+  "astats=metadata=1:reset=1",
+  "ametadata=print:key=lavfi.astats.Overall.RMS_level",
+];
+
+/**
+ * Reads the levels printed by the energy filters from the FFmpeg log.
+ * @param {string[]} lines - Lines of the FFmpeg log.
+ * @returns {EnergyLevel[]} The level of every window, in order.
+ */
+const parseEnergyLevels = (lines) => {
+  const levels = [];
+  let time = null;
+
+  lines.forEach((line) => {
+    const frame = line.match(/pts_time:([\d.]+)/);
+    const level = line.match(/lavfi\.astats\.Overall\.RMS_level=(\S+)/);
+    if (frame) {
+      time = Number(frame[1]);
+    } else if (level && time !== null) {
+      const value = Number(level[1]);
+      levels.push({ time, level: Number.isNaN(value) ? -Infinity : value });
+      time = null;
+    }
+  });
+
+  return levels;
+};
+
+/**
+ * Finds where the excerpt of a track should start. Levels are averaged as power, so a loud chorus
+ * outweighs a long stretch of moderate verse.
+ * @param {EnergyLevel[]} levels - The levels of the track.
+ * @param {number} duration - Duration of the excerpt in seconds.
+ * @param {'energy'|'phrase'|'start'} [mode] - How the excerpt is chosen. Defaults to energy
+ * @returns {number} Offset of the excerpt in seconds, 0 when the track is not longer than the excerpt.
+ * @throws {Error} If the mode is unknown.
+ */
+const findBestExcerpt = (levels, duration, mode = "energy") => {
+  if (!MUSIC_EXCERPT_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid music excerpt mode "${mode}". Use one of: ${MUSIC_EXCERPT_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const windowCount = Math.ceil(duration / ENERGY_WINDOW);
+  if (mode === "start" || levels.length <= windowCount) {
+    return 0;
+  }
+
+  const powers = levels.map(({ level }) => Math.pow(10, level / 10));
+  const candidates = [];
+  let sum = powers.slice(0, windowCount).reduce((a, b) => a + b, 0);
+  for (let start = 0; start + windowCount <= powers.length; start++) {
+    if (start > 0) {
+      sum += powers[start + windowCount - 1] - powers[start - 1];
+    }
+    candidates.push({ start, energy: sum / windowCount });
+  }
+
+  // A phrase ends where the music dips, the window after the excerpt being at least 3 dB quieter than its last one
+  const endsOnPhrase = ({ start }) => {
+    const end = start + windowCount;
+    return end === powers.length || powers[end] <= powers[end - 1] / 2;
+  };
+  const phrases = mode === "phrase" ? candidates.filter(endsOnPhrase) : [];
+
+  const best = (phrases.length ? phrases : candidates).reduce((a, b) =>
+    b.energy > a.energy ? b : a
+  );
+  return levels[best.start].time;
+};
+
+module.exports = {
+  MUSIC_EXCERPT_MODES,
+  buildEnergyFilters,
+  parseEnergyLevels,
+  findBestExcerpt,
+};
@@ -0,0 +1,95 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+const { SegmentSchema } = require("../core/script");
+const { formatSchemaIssues } = require("./index");
+
+/**
+ * Transitions a segment can use, in the order of the script schema.
+ */
+const TRANSITIONS = SegmentSchema.shape.transition.options;
+
+/**
+ * Numbers the segments in their order, as the ids give the order of the timeline and the captions.
+ * @param {VideoSegment[]} segments - The segments.
+ * @returns {VideoSegment[]} The renumbered segments.
+ */
+const renumberSegments = (segments) =>
+  segments.map((segment, index) => ({ ...segment, id: index + 1 }));
+
+/**
+ * Changes fields of a segment, validated against the segment schema.
+ * @param {VideoSegment[]} segments - The segments.
+ * @param {number} index - Position of the segment.
+ * @param {Partial<VideoSegment>} changes - The new values of the fields.
+ * @returns {VideoSegment[]} The segments with the updated one.
+ * @throws {Error} If the updated segment is not valid.
+ */
+const updateSegment = (segments, index, changes) => {
+  const result = SegmentSchema.safeParse({ ...segments[index], ...changes });
+  if (!result.success) {
+    throw new Error(`Invalid segment: ${formatSchemaIssues(result.error)}`);
+  }
+  return segments.map((segment, position) =>
+    position === index ? result.data : segment
+  );
+};
+
+/**
+ * Moves a segment up or down the script.
+ * @param {VideoSegment[]} segments - The segments.
+ * @param {number} index - Position of the segment.
+ * @param {number} offset - How many positions it moves, negative to move it up.
+ * @returns {VideoSegment[]} The renumbered segments, unchanged when the segment would leave the script.
+ */
+const moveSegment = (segments, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= segments.length) {
+    return segments;
+  }
+  const moved = [...segments];
+  moved.splice(target, 0, ...moved.splice(index, 1));
+  return renumberSegments(moved);
+};
+
+/**
+ * Inserts a copy of a segment right after it.
+ * @param {VideoSegment[]} segments - The segments.
+ * @param {number} index - Position of the segment.
+ * @returns {VideoSegment[]} The renumbered segments.
+ */
+const duplicateSegment = (segments, index) =>
+  renumberSegments([
+    ...segments.slice(0, index + 1),
+    { ...segments[index] },
+    ...segments.slice(index + 1),
+  ]);
+
+/**
+ * Removes a segment from the script.
+ * @param {VideoSegment[]} segments - The segments.
+ * @param {number} index - Position of the segment.
+ * @returns {VideoSegment[]} The renumbered segments.
+ * @throws {Error} If it is the last segment of the script.
+ */
+const deleteSegment = (segments, index) => {
+  if (segments.length <= 1) {
+    throw new Error("A script needs at least one segment");
+  }
+  return renumberSegments(segments.filter((_, position) => position !== index));
+};
+
+module.exports = {
+  TRANSITIONS,
+  renumberSegments,
+  updateSegment,
+  moveSegment,
+  duplicateSegment,
+  deleteSegment,
+};
@@ -0,0 +1,187 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { ScriptSchema } = require("../core/script");
+const { formatSchemaIssues } = require("./index");
+
+/**
+ * Formats a script can be saved in and read from, so writers can review and edit it before the render.
+ */
+const SCRIPT_FORMATS = ["json", "yaml", "md"];
+
+/**
+ * Extensions of the script files, by format.
+ */
+const SCRIPT_EXTENSIONS = {
+  json: [".json"],
+  yaml: [".yaml", ".yml"],
+  md: [".md", ".markdown"],
+};
+
+/**
+ * Fields of a segment listed under its text in the Markdown format, by label.
+ */
+const MARKDOWN_FIELDS = [
+  ["Duration", "duration", Number],
+  ["Description", "description", String],
+  ["Transition", "transition", String],
+  ["Transition duration", "transitionDuration", Number],
+];
+
+/**
+ * Returns the format of a script file from its extension.
+ * @param {string} filePath - Path to the script file.
+ * @returns {'json'|'yaml'|'md'} The format, json for unknown extensions.
+ */
+const getScriptFormat = (filePath) => {
+  const extension = path.extname(filePath).toLowerCase();
+  return (
+    SCRIPT_FORMATS.find((format) =>
+      SCRIPT_EXTENSIONS[format].includes(extension)
+    ) || "json"
+  );
+};
+
+/**
+ * Checks the format of a script.
+ * @param {string} format - The format.
+ * @throws {Error} If the format is unknown.
+ */
+const validateScriptFormat = (format) => {
+  if (!SCRIPT_FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid script format "${format}". Use one of: ${SCRIPT_FORMATS.join(
+        ", "
+      )}`
+    );
+  }
+};
+
+/**
+ * Formats a script as Markdown, one section per segment with its text and then its fields.
+ * @param {{segments: VideoSegment[]}} script - The script.
+ * @returns {string} The Markdown.
+ */
+const toMarkdown = (script) =>
+  [
+    "# Script",
+    ...script.segments.map((segment) =>
+      [
+        "",
+        `## Segment ${segment.id}`,
+        "",
+        segment.text,
+        "",
+        ...MARKDOWN_FIELDS.filter(([, key]) => segment[key] !== undefined).map(
+          ([label, key]) => `- ${label}: ${segment[key]}`
+        ),
+      ].join("\n")
+    ),
+    "",
+  ].join("\n");
+
+/**
+ * Reads a script formatted by toMarkdown. Lines of the text are joined, so writers can wrap it.
+ * @param {string} content - The Markdown.
+ * @returns {{segments: Object[]}} The script, not validated yet.
+ */
+const fromMarkdown = (content) => {
+  const sections = content.split(/^##\s+Segment\s+/im).slice(1);
+  return {
+    segments: sections.map((section) => {
+      const [heading, ...lines] = section.split(/\r?\n/);
+      const segment = { id: Number(heading.trim()) };
+      const text = [];
+
+      lines.forEach((line) => {
+        const field = line.match(/^\s*[-*]\s+([^:]+):\s*(.*)$/);
+        const known =
+          field &&
+          MARKDOWN_FIELDS.find(
+            ([label]) => label.toLowerCase() === field[1].trim().toLowerCase()
+          );
+        if (known) {
+          segment[known[1]] = known[2](field[2].trim());
+        } else if (line.trim()) {
+          text.push(line.trim());
+        }
+      });
+
+      return { ...segment, text: text.join(" ") };
+    }),
+  };
+};
+
+/**
+ * Formats a script.
+ * @param {{segments: VideoSegment[]}} script - The validated script.
+ * @param {'json'|'yaml'|'md'} [format] - The format. Defaults to json
+ * @returns {string} The formatted script.
+ * @throws {Error} If the format is unknown.
+ */
+const formatScript = (script, format = "json") => {
+  validateScriptFormat(format);
+  switch (format) {
+    case "yaml":
+      return yaml.safeDump(script, { lineWidth: -1 });
+    case "md":
+      return toMarkdown(script);
+    default:
+      return `${JSON.stringify(script, null, 2)}\n`;
+  }
+};
+
+/**
+ * Parses and validates a formatted script.
+ * @param {string} content - The formatted script.
+ * @param {'json'|'yaml'|'md'} [format] - The format. Defaults to json
+ * @returns {{segments: VideoSegment[]}} The validated script.
+ * @throws {Error} If the script cannot be parsed or does not match the script schema.
+ */
+const parseScript = (content, format = "json") => {
+  validateScriptFormat(format);
+  let parsed;
+  try {
+    parsed =
+      format === "yaml"
+        ? yaml.safeLoad(content)
+        : format === "md"
+          ? fromMarkdown(content)
+          : JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid script: ${error.message}`);
+  }
+
+  const result = ScriptSchema.safeParse(parsed);
+  if (!result.success) {
+    throw new Error(`Invalid script: ${formatSchemaIssues(result.error)}`);
+  }
+  return result.data;
+};
+
+/**
+ * Reads and validates a script file, its format given by its extension.
+ * @param {string} filePath - Path to the script file.
+ * @returns {{segments: VideoSegment[]}} The validated script.
+ * @throws {Error} If the file cannot be read or is not a valid script.
+ */
+const readScript = (filePath) =>
+  parseScript(fs.readFileSync(filePath, "utf-8"), getScriptFormat(filePath));
+
+module.exports = {
+  SCRIPT_FORMATS,
+  getScriptFormat,
+  validateScriptFormat,
+  formatScript,
+  parseScript,
+  readScript,
+};
@@ -0,0 +1,73 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * How a clip shorter than its segment fills the segment:
+ * loop restarts it, pingpong plays it forward then backward and slow stretches it to the segment length.
+ */
+const SHORT_CLIP_STRATEGIES = ["loop", "pingpong", "slow"];
+
+/**
+ * Builds the FFmpeg options filling a segment with a clip shorter than the segment.
+ * The filters are split around the fit filter: the frame rate and the slow down apply to the source frames and
+ * the ping-pong to the fitted frames, as reversing buffers the whole clip in memory.
+ * @param {'loop'|'pingpong'|'slow'} strategy - The strategy for short clips.
+ * @param {number} [clipDuration] - Duration of the source clip in seconds, unknown durations are left as they are.
+ * @param {number} segmentDuration - Duration of the segment in seconds.
+ * @param {number} fps - Frames per second of the output video.
+ * @returns {{inputOptions: string[], beforeFit: string[], afterFit: string[]}} The input options and the filters around the fit filter.
+ * @throws {Error} If the strategy is unknown.
+ */
+const buildShortClipOptions = (
+  strategy,
+  clipDuration,
+  segmentDuration,
+  fps
+) => {
+  if (!SHORT_CLIP_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Invalid short clip strategy "${strategy}". Use one of: ${SHORT_CLIP_STRATEGIES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const options = { inputOptions: [], beforeFit: [], afterFit: [] };
+  if (!clipDuration || clipDuration >= segmentDuration) {
+    return options;
+  }
+
+  switch (strategy) {
+    case "loop":
+      options.inputOptions.push("-stream_loop -1");
+      break;
+    case "pingpong": {
+      // One forward and backward cycle repeated by the loop filter until the output is cut at the segment length.
+      // The cycle leaves out the frames doubled at the turns, so a clip with a frame less than expected still loops
+      const cycleFrames = 2 * Math.floor(clipDuration * fps) - 2;
+      options.beforeFit.push(`fps=${fps}`);
+      options.afterFit.push(
+        "split[pingforward][pingbackward];" +
+          "[pingbackward]reverse[pingreversed];" +
+          "[pingforward][pingreversed]concat=n=2:v=1:a=0," +
+          `loop=loop=-1:size=${cycleFrames}:start=0`
+      );
+      break;
+    }
+    case "slow":
+      options.beforeFit.push(
+        `setpts=${(segmentDuration / clipDuration).toFixed(4)}*PTS`
+      );
+      break;
+  }
+
+  return options;
+};
+
+module.exports = { SHORT_CLIP_STRATEGIES, buildShortClipOptions };
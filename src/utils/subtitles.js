@@ -0,0 +1,85 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} SubtitleCue
+ * @property {number} index - 1 based position of the cue.
+ * @property {number} start - Time in seconds at which the cue appears.
+ * @property {number} end - Time in seconds at which the cue disappears.
+ * @property {string} text - Text of the cue.
+ */
+
+/**
+ * Builds one cue per segment. A cue ends when the next segment starts fading in so cues never overlap.
+ * @param {VideoSegment[]} segments - The script segments.
+ * @param {TimelineEntry[]} timeline - Position of every segment in the final video.
+ * @returns {SubtitleCue[]} The subtitle cues.
+ */
+const getSubtitleCues = (segments, timeline) =>
+  segments.map((segment, index) => ({
+    index: index + 1,
+    start: timeline[index].start,
+    end:
+      index < timeline.length - 1
+        ? timeline[index + 1].start
+        : timeline[index].end,
+    text: segment.text.trim(),
+  }));
+
+/**
+ * Formats seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds.
+ * @param {string} separator - Separator between seconds and milliseconds, "," for SRT and "." for WebVTT.
+ * @returns {string} The timestamp as HH:MM:SS,mmm
+ */
+const formatTimestamp = (seconds, separator) => {
+  const totalMilliseconds = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(totalMilliseconds / 3600000);
+  const minutes = Math.floor((totalMilliseconds % 3600000) / 60000);
+  const secs = Math.floor((totalMilliseconds % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(
+    totalMilliseconds % 1000,
+    3
+  )}`;
+};
+
+/**
+ * Serializes cues in the SubRip (.srt) format
+ * @param {SubtitleCue[]} cues - The subtitle cues.
+ * @returns {string} The SRT document.
+ */
+const buildSrt = (cues) =>
+  cues
+    .map(
+      (cue) =>
+        `${cue.index}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(
+          cue.end,
+          ","
+        )}\n${cue.text}\n`
+    )
+    .join("\n");
+
+/**
+ * Serializes cues in the WebVTT (.vtt) format
+ * @param {SubtitleCue[]} cues - The subtitle cues.
+ * @returns {string} The WebVTT document.
+ */
+const buildVtt = (cues) =>
+  `WEBVTT\n\n${cues
+    .map(
+      (cue) =>
+        `${cue.index}\n${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(
+          cue.end,
+          "."
+        )}\n${cue.text}\n`
+    )
+    .join("\n")}`;
+
+module.exports = { getSubtitleCues, formatTimestamp, buildSrt, buildVtt };
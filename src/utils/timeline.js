@@ -0,0 +1,55 @@
+/**
+ * @remarks
+ * This project is open source under the MIT license.
+ * Contributions, improvements, and usage are welcome.
+ *
+ * For professional inquiries or hiring me, please visit [my LinkedIn](https://www.linkedin.com/in/jerrythejsguy/).
+ */
+"use strict";
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {number} id - Id of the script segment.
+ * @property {number} index - Position of the segment in the script.
+ * @property {number} start - Time in seconds at which the segment starts in the final video.
+ * @property {number} end - Time in seconds at which the segment ends in the final video.
+ * @property {number} duration - Duration of the segment in seconds.
+ */
+
+/**
+ * Computes where every segment sits on the final timeline. Consecutive segments overlap
+ * by the duration of the xfade between them, exactly like VideoGenerator.combineVideosWithTransitions.
+ * @param {Object[]} segments - Script segments with their durations.
+ * @param {number|Function} transitionDuration - Fixed transition duration in seconds or a
+ * function receiving the index of the incoming segment and returning its transition duration.
+ * @returns {{ entries: TimelineEntry[], totalDuration: number }} The timeline of the video.
+ */
+const getSegmentTimeline = (segments, transitionDuration = 0) => {
+  const getTransitionDuration =
+    typeof transitionDuration === "function"
+      ? transitionDuration
+      : () => transitionDuration;
+
+  const entries = [];
+  segments.forEach((segment, index) => {
+    const start =
+      index === 0
+        ? 0
+        : Math.max(0, entries[index - 1].end - getTransitionDuration(index));
+
+    entries.push({
+      id: segment.id,
+      index,
+      start,
+      end: start + segment.duration,
+      duration: segment.duration,
+    });
+  });
+
+  return {
+    entries,
+    totalDuration: entries.length ? entries[entries.length - 1].end : 0,
+  };
+};
+
+module.exports = { getSegmentTimeline };
@@ -10,9 +10,11 @@ const cors = require("cors");
 const { spawn } = require("child_process");
 const path = require("path");
 const Logger = require("../utils/logger");
+const { LLM_PROVIDERS } = require("../providers/llm");
 const app = express();
 const logger = new Logger();
 const fs = require("fs");
+const tmp = require("tmp");
 require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
 
 app.use(cors());
@@ -24,23 +26,53 @@ app.get("/api/create-video", (req, res) => {
   res.setHeader("Cache-Control", "no-cache");
   res.setHeader("Connection", "keep-alive");
   const config = JSON.parse(decodeURIComponent(req.query.config || "{}"));
+  const llmConfigError = getLLMConfigError(config);
+  if (llmConfigError) {
+    res.write(
+      `data: ${JSON.stringify({ type: "error", message: llmConfigError })}\n\n`
+    );
+    return res.end();
+  }
 
-  // Convert config object to CLI arguments
+  // Convert config object to CLI arguments, passed as they are as the CLI runs without a shell
   const args = ["create"];
   if (config.freeSoundKey) args.push("--freeSoundKey", config.freeSoundKey);
   if (config.groqKey) args.push("--groqKey", config.groqKey);
+  if (config.llmProvider) args.push("--llmProvider", config.llmProvider);
+  if (config.llmBaseUrl) args.push("--llmBaseUrl", config.llmBaseUrl);
+  if (config.llmKey) args.push("--llmKey", config.llmKey);
+  if (config.llmModel) args.push("--llmModel", config.llmModel);
+  if (config.llmTemperature !== undefined)
+    args.push("--llmTemperature", config.llmTemperature);
+  if (config.llmMaxTokens) args.push("--llmMaxTokens", config.llmMaxTokens);
   if (config.pexelsKey) args.push("--pexelsKey", config.pexelsKey);
-  if (config.category) args.push("--category", `"${config.category}"`);
-  if (config.tone) args.push("--tone", `"${config.tone}"`);
-  if (config.topic) args.push("--topic", `"${config.topic}"`);
+  if (config.musicProvider) args.push("--musicProvider", config.musicProvider);
+  if (config.musicDir) args.push("--musicDir", config.musicDir);
+  if (config.minBpm) args.push("--minBpm", config.minBpm);
+  if (config.maxBpm) args.push("--maxBpm", config.maxBpm);
+  if (config.mediaProvider) args.push("--mediaProvider", config.mediaProvider);
+  if (config.mediaDir) args.push("--mediaDir", config.mediaDir);
+  if (config.category) args.push("--category", config.category);
+  if (config.tone) args.push("--tone", config.tone);
+  if (config.topic) args.push("--topic", config.topic);
   if (config.duration) args.push("--duration", config.duration);
   if (config.keyTerms && Array.isArray(config.keyTerms)) {
-    args.push("--keyTerms", `"${config.keyTerms.join(",")}"`);
+    args.push("--keyTerms", config.keyTerms.join(","));
   }
   if (config.requireFactChecking) args.push("--requireFactChecking");
+  if (config.language) args.push("--language", config.language);
   if (config.outputDir) args.push("--outputDir", config.outputDir);
   if (config.fontSize) args.push("--fontSize", config.fontSize);
   if (config.font) args.push("--font", config.font);
+  if (config.captionStyle) args.push("--captionStyle", config.captionStyle);
+  if (config.softSubtitles) args.push("--softSubtitles");
+  if (config.creditsCard) args.push("--creditsCard");
+  if (config.metadata) args.push("--metadata");
+  if (config.creditsCardDuration)
+    args.push("--creditsCardDuration", config.creditsCardDuration);
+  if (config.fitMode) args.push("--fitMode", config.fitMode);
+  if (config.shortClipStrategy)
+    args.push("--shortClipStrategy", config.shortClipStrategy);
   if (config.fps) args.push("--fps", config.fps);
   if (config.height) args.push("--height", config.height);
   if (config.width) args.push("--width", config.width);
@@ -49,6 +81,25 @@ app.get("/api/create-video", (req, res) => {
     args.push("--fadeInDuration", config.fadeInDuration);
   if (config.fadeOutDuration)
     args.push("--fadeOutDuration", config.fadeOutDuration);
+  if (config.musicFill) args.push("--musicFill", config.musicFill);
+  if (config.musicCrossfade)
+    args.push("--musicCrossfade", config.musicCrossfade);
+  if (config.musicExcerpt) args.push("--musicExcerpt", config.musicExcerpt);
+  if (config.musicOffset !== undefined)
+    args.push("--musicOffset", config.musicOffset);
+  if (config.loudness) args.push("--loudness", config.loudness);
+  if (config.narration) args.push("--narration");
+  if (config.ttsProvider) args.push("--ttsProvider", config.ttsProvider);
+  if (config.voice) args.push("--voice", config.voice);
+  if (config.ttsModel) args.push("--ttsModel", config.ttsModel);
+  if (config.duckMode) args.push("--duckMode", config.duckMode);
+  if (config.duckAmount) args.push("--duckAmount", config.duckAmount);
+  if (config.duckAttack) args.push("--duckAttack", config.duckAttack);
+  if (config.duckRelease) args.push("--duckRelease", config.duckRelease);
+  if (config.noCache) args.push("--noCache");
+  if (config.cacheDir) args.push("--cacheDir", config.cacheDir);
+  if (config.cacheTtl) args.push("--cacheTtl", config.cacheTtl);
+  if (config.cacheMaxSize) args.push("--cacheMaxSize", config.cacheMaxSize);
 
   const cliPath = path.resolve(
     __dirname,
@@ -62,10 +113,7 @@ app.get("/api/create-video", (req, res) => {
     );
   }, 25000);
   // Spawn CLI process
-  const cliProcess = spawn("node", [cliPath, ...args, "--webRunner"], {
-    stdio: "pipe",
-    shell: true,
-  });
+  const cliProcess = spawnCLI([...args, "--webRunner"]);
 
   let output = "";
   let error = "";
@@ -123,6 +171,97 @@ app.get("/api/create-video", (req, res) => {
   });
 });
 
+// Regenerates one segment of a script through the script command, the other segments being its context
+app.post("/api/regenerate-segment", (req, res) => {
+  const { config = {}, script, segmentId } = req.body;
+  if (!script || !Number.isInteger(segmentId)) {
+    return res
+      .status(400)
+      .json({ error: "A script and the id of the segment are required" });
+  }
+  const llmConfigError = getLLMConfigError(config);
+  if (llmConfigError) {
+    return res.status(400).json({ error: llmConfigError });
+  }
+
+  const scriptFile = tmp.fileSync({ postfix: ".json" });
+  fs.writeFileSync(scriptFile.name, JSON.stringify(script));
+
+  // The values of the request are passed as they are, the CLI runs without a shell to interpret them
+  const args = [
+    "script",
+    "--script",
+    scriptFile.name,
+    "--regenerate",
+    segmentId,
+    "--format",
+    "json",
+  ];
+  if (config.groqKey) args.push("--groqKey", config.groqKey);
+  if (config.llmProvider) args.push("--llmProvider", config.llmProvider);
+  if (config.llmBaseUrl) args.push("--llmBaseUrl", config.llmBaseUrl);
+  if (config.llmKey) args.push("--llmKey", config.llmKey);
+  if (config.llmModel) args.push("--llmModel", config.llmModel);
+  if (config.llmTemperature !== undefined)
+    args.push("--llmTemperature", config.llmTemperature);
+  if (config.llmMaxTokens) args.push("--llmMaxTokens", config.llmMaxTokens);
+  if (config.category) args.push("--category", config.category);
+  if (config.tone) args.push("--tone", config.tone);
+  if (config.topic) args.push("--topic", config.topic);
+  if (config.keyTerms && Array.isArray(config.keyTerms)) {
+    args.push("--keyTerms", config.keyTerms.join(","));
+  }
+  if (config.language) args.push("--language", config.language);
+
+  const cliProcess = spawnCLI(args);
+
+  let output = "";
+  let errorOutput = "";
+  const respond = (status, body) => {
+    clearTimeout(timeout);
+    scriptFile.removeCallback();
+    if (!res.headersSent) {
+      res.status(status).json(body);
+    }
+  };
+
+  cliProcess.stdout.on("data", (data) => {
+    output += data.toString();
+  });
+  cliProcess.stderr.on("data", (data) => {
+    errorOutput += data.toString();
+  });
+
+  // Timeout protection
+  const timeout = setTimeout(() => {
+    cliProcess.kill();
+    logger.error("Segment regeneration timed out");
+    respond(504, { error: "Segment regeneration timed out" });
+  }, 300000); // 5 minutes timeout
+
+  cliProcess.on("close", (code) => {
+    if (code !== 0) {
+      const message = errorOutput.match(/Error: (.+)/)?.[1];
+      logger.error(`Segment regeneration failed: ${message || errorOutput}`);
+      return respond(500, {
+        error: message || "Failed to regenerate the segment",
+      });
+    }
+    // The script command prints only the script on stdout
+    try {
+      respond(200, { data: JSON.parse(output) });
+    } catch (error) {
+      logger.error(`Invalid regenerated script: ${error.message}`);
+      respond(500, { error: "Failed to read the regenerated script" });
+    }
+  });
+
+  cliProcess.on("error", (err) => {
+    logger.error(`Process error: ${err.message}`);
+    respond(500, { error: "Failed to start CLI process" });
+  });
+});
+
 // Updated route to serve video files with custom output directory support
 app.get("/api/video/:filepath", (req, res) => {
   const videoPath = path.resolve(req.params.filepath);
@@ -239,6 +378,54 @@ function getResponseFromCLI(command, res) {
   });
 }
 
+/**
+ * Checks the LLM options of a request before they reach the CLI.
+ * @param {Object} config - The configuration of the request.
+ * @returns {string|undefined} Why the options are invalid, undefined when they are valid.
+ */
+function getLLMConfigError(config) {
+  if (
+    config.llmProvider &&
+    !Object.keys(LLM_PROVIDERS).includes(config.llmProvider)
+  ) {
+    return `Unknown LLM provider "${config.llmProvider}". Use one of: ${Object.keys(
+      LLM_PROVIDERS
+    ).join(", ")}`;
+  }
+  if (config.llmBaseUrl) {
+    let protocol;
+    try {
+      protocol = new URL(config.llmBaseUrl).protocol;
+    } catch {
+      protocol = undefined;
+    }
+    if (protocol !== "http:" && protocol !== "https:") {
+      return `Invalid LLM base URL "${config.llmBaseUrl}"`;
+    }
+  }
+  const invalidNumber = ["llmTemperature", "llmMaxTokens"].find(
+    (key) =>
+      config[key] !== undefined &&
+      (typeof config[key] === "object" || !Number.isFinite(Number(config[key])))
+  );
+  if (invalidNumber) {
+    return `Invalid ${invalidNumber} "${config[invalidNumber]}"`;
+  }
+}
+
+/**
+ * Runs a command of the CLI without a shell, so the arguments reach it as they are and are never interpreted.
+ * @param {Array<string|number>} args - The command and its options.
+ * @returns {import("child_process").ChildProcess} The CLI process.
+ */
+function spawnCLI(args) {
+  const cliPath = path.resolve(
+    __dirname,
+    process.env.NODE_ENV === "dev" ? "../../bin/cli.js" : "cli.js"
+  );
+  return spawn("node", [cliPath, ...args.map(String)], { stdio: "pipe" });
+}
+
 const initializeServer = (port) => {
   app.listen(port || 3003);
 };
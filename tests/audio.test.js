@@ -68,6 +68,25 @@ describe("AudioManager", () => {
     expect(() => new AudioManager({})).toThrow("FreeSound API key is required");
   });
 
+  test("should throw error if the music fill mode is unknown", () => {
+    expect(
+      () => new AudioManager({ freeSoundKey: "key", musicFill: "repeat" })
+    ).toThrow('Invalid music fill mode "repeat"');
+  });
+
+  test("should throw error if the music offset is negative", () => {
+    expect(
+      () => new AudioManager({ freeSoundKey: "key", musicOffset: -5 })
+    ).toThrow('Invalid music offset "-5"');
+    expect(
+      () => new AudioManager({ freeSoundKey: "key", musicOffset: NaN })
+    ).toThrow('Invalid music offset "NaN"');
+    expect(
+      new AudioManager({ freeSoundKey: "key", musicOffset: 0 }).config
+        .musicOffset
+    ).toBe(0);
+  });
+
   test("should create output directory if it does not exist", () => {
     expect(fs.mkdirSync).toHaveBeenCalledWith(expect.any(String), {
       recursive: true,
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { MediaCache } = require("../src/core/cache");
+
+jest.mock("../src/utils/logger");
+
+describe("MediaCache", () => {
+  let cacheDir;
+  let cache;
+
+  const backdate = (entryPath, days) => {
+    const time = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    fs.utimesSync(entryPath, time, time);
+  };
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-cache-"));
+    cache = new MediaCache({ cacheDir, ttl: 7, maxSize: 1 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  test("keys searches by their parameters regardless of their order", () => {
+    cache.setSearch("pexels", { query: "ocean", orientation: "portrait" }, {
+      videos: [{ id: 1 }],
+    });
+
+    expect(
+      cache.getSearch("pexels", { orientation: "portrait", query: "ocean" })
+    ).toEqual({ videos: [{ id: 1 }] });
+    expect(
+      cache.getSearch("pexels", { query: "ocean", orientation: "landscape" })
+    ).toBeNull();
+  });
+
+  test("stores media by provider id and drops expired entries", () => {
+    const sourcePath = path.join(cacheDir, "download.mp4");
+    fs.writeFileSync(sourcePath, "video");
+    cache.setMedia("pexels", 42, ".mp4", sourcePath);
+
+    const cachedPath = cache.getMedia("pexels", 42, ".mp4");
+    expect(fs.readFileSync(cachedPath, "utf-8")).toBe("video");
+
+    backdate(cachedPath, 8);
+    expect(cache.getMedia("pexels", 42, ".mp4")).toBeNull();
+    expect(fs.existsSync(cachedPath)).toBe(false);
+  });
+
+  test("evicts the least recently used entries above the size limit", () => {
+    const sourcePath = path.join(cacheDir, "download.mp3");
+    fs.writeFileSync(sourcePath, Buffer.alloc(400 * 1024));
+    cache.setMedia("freesound", 1, ".mp3", sourcePath);
+    cache.setMedia("freesound", 2, ".mp3", sourcePath);
+    backdate(cache.getEntryPath("media", "freesound", 1, ".mp3"), 1);
+    cache.setMedia("freesound", 3, ".mp3", sourcePath);
+
+    // Writes never evict, a clip handed out to a segment stays until the render is done
+    expect(cache.getStats().entries).toBe(3);
+    expect(cache.prune().removed).toBe(1);
+    expect(cache.getMedia("freesound", 1, ".mp3")).toBeNull();
+    expect(cache.getMedia("freesound", 2, ".mp3")).not.toBeNull();
+    expect(cache.getMedia("freesound", 3, ".mp3")).not.toBeNull();
+  });
+
+  test("reports stats per provider and clears every entry", () => {
+    cache.setSearch("pexels", { query: "city" }, { videos: [] });
+    cache.setSearch("freesound", { query: "calm" }, { results: [] });
+
+    const stats = cache.getStats();
+    expect(stats.entries).toBe(2);
+    expect(Object.keys(stats.groups).sort()).toEqual([
+      "searches/freesound",
+      "searches/pexels",
+    ]);
+
+    expect(cache.clear().removed).toBe(2);
+    expect(cache.getStats().entries).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+const {
+  getWordTimings,
+  groupPhrases,
+  buildCaptionLayers,
+} = require("../src/utils/captions");
+
+describe("Animated captions", () => {
+  test("splits the segment duration evenly without a narration", () => {
+    expect(getWordTimings("One two three four", 4)).toEqual([
+      { word: "One", start: 0, end: 1 },
+      { word: "two", start: 1, end: 2 },
+      { word: "three", start: 2, end: 3 },
+      { word: "four", start: 3, end: 4 },
+    ]);
+  });
+
+  test("follows the narration weighted by word length", () => {
+    const timings = getWordTimings("a bbb", 5, { offset: 1, duration: 3 });
+    expect(timings[0]).toEqual({ word: "a", start: 1, end: 2 });
+    expect(timings[1]).toEqual({ word: "bbb", start: 2, end: 4 });
+  });
+
+  test("groups words into phrases that fit on a line", () => {
+    const timings = getWordTimings("one two three four five six", 6);
+    const phrases = groupPhrases(timings, 13);
+    expect(
+      phrases.map((phrase) => phrase.map(({ word }) => word).join(" "))
+    ).toEqual(["one two three", "four five six"]);
+  });
+
+  test("splits and joins the words of languages without spaces", () => {
+    const text = "東京は日本の首都です。";
+    const timings = getWordTimings(text, 4, undefined, "ja");
+    expect(timings.length).toBeGreaterThan(1);
+
+    const phrases = groupPhrases(timings, 6, 4, "").map((phrase) =>
+      phrase.map(({ word }) => word).join("")
+    );
+    expect(phrases).toEqual(["東京は日本の", "首都です。"]);
+    expect(
+      buildCaptionLayers(timings, "phrase", 4, 6, "").map(({ text }) => text)
+    ).toContain("東京は日本");
+  });
+
+  test("shows one highlighted word at a time in the word style", () => {
+    const layers = buildCaptionLayers(
+      getWordTimings("Hello big world", 3),
+      "word",
+      3,
+      30
+    );
+    expect(layers).toEqual([
+      { text: "Hello", start: 0, end: 1, highlighted: true },
+      { text: "big", start: 1, end: 2, highlighted: true },
+      { text: "world", start: 2, end: 3, highlighted: true },
+    ]);
+  });
+
+  test("highlights the active word of the phrase in the phrase style", () => {
+    const layers = buildCaptionLayers(
+      getWordTimings("Hello big world", 3),
+      "phrase",
+      3,
+      30
+    );
+    const anchor = "Hello big world";
+    expect(layers).toEqual([
+      { text: anchor, start: 0, end: 3, highlighted: false, anchor },
+      { text: "Hello", start: 0, end: 1, highlighted: true, anchor },
+      { text: "Hello big", start: 1, end: 2, highlighted: true, anchor },
+      { text: "Hello", start: 1, end: 2, highlighted: false, anchor },
+      { text: anchor, start: 2, end: 3, highlighted: true, anchor },
+      { text: "Hello big", start: 2, end: 3, highlighted: false, anchor },
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+const {
+  scoreAspect,
+  scoreResolution,
+  rankVideoCandidates,
+} = require("../src/utils/clipRanking");
+
+describe("Clip ranking", () => {
+  const target = { width: 720, height: 1280, duration: 5 };
+  const portraitHd = { id: 11, width: 720, height: 1280, link: "portrait-hd" };
+  const portrait4k = { id: 12, width: 2160, height: 3840, link: "portrait-4k" };
+  const landscapeHd = { id: 21, width: 1280, height: 720, link: "landscape" };
+
+  test("prefers the target aspect ratio", () => {
+    expect(scoreAspect(720, 1280, target)).toBe(1);
+    expect(scoreAspect(1280, 720, target)).toBeCloseTo(0.32, 2);
+  });
+
+  test("penalizes upscaling more than oversized files", () => {
+    expect(scoreResolution(720, 1280, target)).toBe(1);
+    expect(scoreResolution(360, 640, target)).toBe(0.5);
+    expect(scoreResolution(2160, 3840, target)).toBeGreaterThan(0.7);
+  });
+
+  test("keeps the best file of every video and ranks the videos", () => {
+    const ranked = rankVideoCandidates(
+      [
+        { id: 2, duration: 20, video_files: [landscapeHd] },
+        { id: 1, duration: 20, video_files: [portrait4k, portraitHd] },
+      ],
+      target
+    );
+
+    expect(ranked.map(({ video }) => video.id)).toEqual([1, 2]);
+    expect(ranked[0].videoFile).toBe(portraitHd);
+    expect(ranked[0].score).toBe(1);
+  });
+
+  test("ranks clips shorter than the segment and reused videos lower", () => {
+    const ranked = rankVideoCandidates(
+      [
+        { id: 1, duration: 20, video_files: [portraitHd] },
+        { id: 2, duration: 2, video_files: [portraitHd] },
+        { id: 3, duration: 20, video_files: [portraitHd] },
+      ],
+      { ...target, usedVideoIds: new Set([1]) }
+    );
+
+    expect(ranked.map(({ video }) => video.id)).toEqual([3, 2, 1]);
+    expect(ranked[2].breakdown.reused).toBe(true);
+  });
+});
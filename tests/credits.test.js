@@ -0,0 +1,121 @@
+const {
+  getLicenseName,
+  getProviderCredit,
+  mergeCredits,
+  buildCreditsText,
+  buildCreditsCardText,
+} = require("../src/utils/credits");
+
+const music = {
+  type: "music",
+  source: "freesound",
+  id: 42,
+  title: "Morning",
+  author: "studio",
+  url: "https://freesound.org/s/42/",
+  license: "CC BY 4.0",
+  licenseUrl: "http://creativecommons.org/licenses/by/4.0/",
+};
+const footage = (id, author, segment) => ({
+  type: "footage",
+  source: "pexels",
+  id,
+  title: `Pexels video ${id}`,
+  author,
+  url: `https://www.pexels.com/video/${id}/`,
+  license: "Pexels License",
+  segments: [segment],
+});
+
+describe("Credits", () => {
+  test("names Creative Commons licenses from their URL", () => {
+    expect(
+      getLicenseName("http://creativecommons.org/publicdomain/zero/1.0/")
+    ).toBe("CC0 1.0");
+    expect(getLicenseName("http://creativecommons.org/licenses/by/4.0/")).toBe(
+      "CC BY 4.0"
+    );
+    expect(
+      getLicenseName("http://creativecommons.org/licenses/by-nc/3.0/")
+    ).toBe("CC BY-NC 3.0");
+    expect(getLicenseName("https://example.com/terms")).toBe(
+      "https://example.com/terms"
+    );
+    expect(getLicenseName()).toBeUndefined();
+  });
+
+  test("credits custom providers by name", () => {
+    const provider = { name: "custom", search: jest.fn() };
+    expect(
+      getProviderCredit(provider, { id: 7, name: "Clip", username: "me" })
+    ).toEqual({
+      source: "custom",
+      id: 7,
+      title: "Clip",
+      author: "me",
+      url: undefined,
+    });
+
+    provider.getCredit = jest.fn(() => ({ source: "custom", id: 7 }));
+    expect(getProviderCredit(provider, { id: 7 })).toEqual({
+      source: "custom",
+      id: 7,
+    });
+  });
+
+  test("merges reused footage with its segments", () => {
+    expect(
+      mergeCredits([
+        footage(1, "Ana", 1),
+        footage(2, "Ben", 2),
+        footage(1, "Ana", 3),
+        music,
+      ])
+    ).toEqual([
+      { ...footage(1, "Ana", 1), segments: [1, 3] },
+      footage(2, "Ben", 2),
+      music,
+    ]);
+  });
+
+  test("writes the music and footage sections of CREDITS.txt", () => {
+    expect(
+      buildCreditsText([footage(1, "Ana", 1), music], "final_abc.mp4")
+    ).toBe(
+      [
+        "Credits for final_abc.mp4",
+        "",
+        "Music",
+        '- "Morning" by studio (CC BY 4.0) from freesound',
+        "  Source: https://freesound.org/s/42/",
+        "  License: http://creativecommons.org/licenses/by/4.0/",
+        "",
+        "Footage",
+        '- "Pexels video 1" by Ana (Pexels License) from pexels',
+        "  Segments: 1",
+        "  Source: https://www.pexels.com/video/1/",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("groups the footage authors on the end card", () => {
+    expect(
+      buildCreditsCardText(
+        [footage(1, "Ana", 1), footage(2, "Ben", 2), music],
+        30
+      )
+    ).toBe(
+      [
+        "Credits",
+        "",
+        "Music",
+        '"Morning" by studio (CC BY',
+        "4.0)",
+        "",
+        "Footage",
+        "Ana, Ben on pexels",
+      ].join("\n")
+    );
+  });
+});
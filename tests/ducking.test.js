@@ -0,0 +1,79 @@
+const {
+  resolveDuckingMode,
+  getDuckingWindows,
+  buildDuckingEnvelope,
+  buildSidechainFilter,
+} = require("../src/utils/ducking");
+
+describe("Music ducking", () => {
+  const timeline = [
+    { id: 1, index: 0, start: 0, end: 5, duration: 5 },
+    { id: 2, index: 1, start: 4.5, end: 9.5, duration: 5 },
+    { id: 3, index: 2, start: 9, end: 14, duration: 5 },
+  ];
+
+  test("auto mode uses the sidechain only with a narration", () => {
+    expect(resolveDuckingMode("auto", true)).toBe("sidechain");
+    expect(resolveDuckingMode("auto", false)).toBe("off");
+    expect(resolveDuckingMode(undefined, false)).toBe("off");
+  });
+
+  test("sidechain mode falls back to the envelope without a narration", () => {
+    expect(resolveDuckingMode("sidechain", false)).toBe("envelope");
+  });
+
+  test("rejects unknown modes", () => {
+    expect(() => resolveDuckingMode("loud", true)).toThrow(
+      'Invalid ducking mode "loud"'
+    );
+  });
+
+  test("ducks between transitions when there is no narration", () => {
+    expect(getDuckingWindows(timeline)).toEqual([
+      { start: 0, end: 4.5 },
+      { start: 5, end: 9 },
+      { start: 9.5, end: 14 },
+    ]);
+  });
+
+  test("ducks under the narration when it is available", () => {
+    expect(
+      getDuckingWindows(timeline, [
+        { id: 1, start: 0, duration: 3 },
+        { id: 2, start: 4.5, duration: 4 },
+      ])
+    ).toEqual([
+      { start: 0, end: 3 },
+      { start: 4.5, end: 8.5 },
+    ]);
+  });
+
+  test("builds a volume envelope with attack and release ramps", () => {
+    const envelope = buildDuckingEnvelope(
+      [
+        { start: 1, end: 4 },
+        { start: 6, end: 9 },
+      ],
+      { amount: 20, attack: 0.5, release: 1 }
+    );
+
+    expect(envelope).toBe(
+      "volume='1-0.9000*max(" +
+        "min(clip((t-(0.5))/0.5,0,1),clip((5-t)/1,0,1))," +
+        "min(clip((t-(5.5))/0.5,0,1),clip((10-t)/1,0,1)))':eval=frame"
+    );
+  });
+
+  test("skips the envelope when there is nothing to duck", () => {
+    expect(buildDuckingEnvelope([])).toBeNull();
+    expect(buildDuckingEnvelope([{ start: 0, end: 1 }], { amount: 0 })).toBe(
+      null
+    );
+  });
+
+  test("derives the compressor settings from the ducking amount", () => {
+    expect(
+      buildSidechainFilter({ amount: 12, attack: 0.2, release: 0.5 })
+    ).toBe("sidechaincompress=threshold=0.03:ratio=2.00:attack=200:release=500");
+  });
+});
@@ -0,0 +1,30 @@
+const { FIT_MODES, buildFitFilter } = require("../src/utils/fit");
+
+describe("Fit modes", () => {
+  test("letterboxes the clip in pad mode", () => {
+    expect(buildFitFilter("pad", 720, 1280)).toBe(
+      "scale=w=720:h=1280:force_original_aspect_ratio=decrease," +
+        "pad=720:1280:(ow-iw)/2:(oh-ih)/2,setsar=1"
+    );
+  });
+
+  test("covers the frame and crops the center in crop mode", () => {
+    expect(buildFitFilter("crop", 720, 1280)).toBe(
+      "scale=w=720:h=1280:force_original_aspect_ratio=increase,crop=720:1280,setsar=1"
+    );
+  });
+
+  test("overlays the fitted clip on a blurred cover in blur mode", () => {
+    const filter = buildFitFilter("blur", 720, 1280, 30);
+    expect(filter).toMatch(/^split\[fitbackground\]\[fitforeground\];/);
+    expect(filter).toContain("crop=720:1280,boxblur=30:2[fitblurred]");
+    expect(filter).toMatch(/overlay=\(W-w\)\/2:\(H-h\)\/2,setsar=1$/);
+  });
+
+  test("rejects unknown fit modes", () => {
+    expect(FIT_MODES).toEqual(["pad", "crop", "blur"]);
+    expect(() => buildFitFilter("stretch", 720, 1280)).toThrow(
+      'Invalid fit mode "stretch"'
+    );
+  });
+});
@@ -0,0 +1,48 @@
+const {
+  removeTrailingCommas,
+  parseModelJSON,
+  findClosestValue,
+} = require("../src/utils/jsonRepair");
+
+describe("JSON repair", () => {
+  test("parses JSON wrapped in a code fence and prose", () => {
+    const content = [
+      "Here is your script:",
+      "```json",
+      '{ "segments": [{ "id": 1 }] }',
+      "```",
+    ].join("\n");
+
+    expect(parseModelJSON(content)).toEqual({ segments: [{ id: 1 }] });
+  });
+
+  test("removes trailing commas outside of strings", () => {
+    expect(
+      removeTrailingCommas('{ "text": "a, }", "list": [1, 2, ], "b": 3, }')
+    ).toBe('{ "text": "a, }", "list": [1, 2 ], "b": 3 }');
+    expect(removeTrailingCommas('{ "text": "say \\"hi,\\" ]", }')).toBe(
+      '{ "text": "say \\"hi,\\" ]" }'
+    );
+  });
+
+  test("throws the original error when the JSON cannot be repaired", () => {
+    expect(() => parseModelJSON('{ "segments": [')).toThrow(SyntaxError);
+  });
+
+  test("finds the closest allowed value", () => {
+    const transitions = [
+      "fade",
+      "slideLeft",
+      "zoomIn",
+      "dissolve",
+      "pixelize",
+      "directionalWipe",
+    ];
+
+    expect(findClosestValue("slide-left", transitions)).toBe("slideLeft");
+    expect(findClosestValue("wipe", transitions)).toBe("directionalWipe");
+    expect(findClosestValue("zoom", transitions)).toBe("zoomIn");
+    expect(findClosestValue("crossfade", transitions)).toBe("fade");
+    expect(findClosestValue("pixelate", transitions)).toBe("pixelize");
+  });
+});
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const {
+  getLanguage,
+  findFont,
+  splitWords,
+  getWordSeparator,
+} = require("../src/utils/languages");
+
+describe("Languages", () => {
+  test("defaults to English and rejects unknown languages", () => {
+    expect(getLanguage()).toMatchObject({
+      code: "en",
+      name: "English",
+      direction: "ltr",
+      spaced: true,
+    });
+    expect(getLanguage("AR")).toMatchObject({ code: "ar", direction: "rtl" });
+    expect(() => getLanguage("xx")).toThrow('Unsupported language "xx"');
+  });
+
+  test("splits languages without spaces into words", () => {
+    expect(splitWords("Hola  a todos", "es")).toEqual(["Hola", "a", "todos"]);
+
+    const words = splitWords("今日は晴れです。", "ja");
+    expect(words.length).toBeGreaterThan(1);
+    expect(words.join(getWordSeparator("ja"))).toBe("今日は晴れです。");
+    expect(words[words.length - 1]).toMatch(/。$/);
+    expect(getWordSeparator("fr")).toBe(" ");
+  });
+
+  test("finds the first installed font of a writing system", () => {
+    const existsSync = jest
+      .spyOn(fs, "existsSync")
+      .mockImplementation((fontPath) => fontPath.includes("noto-cjk"));
+
+    expect(findFont("cjk")).toBe(
+      "/usr/share/fonts/noto-cjk/NotoSansCJK-Regular.ttc"
+    );
+    expect(findFont("latin")).toBeNull();
+
+    existsSync.mockReturnValue(false);
+    expect(findFont("arabic")).toBeNull();
+    existsSync.mockRestore();
+  });
+});
@@ -0,0 +1,114 @@
+const { LLM_PROVIDERS, createLLMProvider } = require("../src/providers/llm");
+const { OpenAICompatibleProvider } = require("../src/providers/llm/openai");
+const { PromptGenerator } = require("../src/core/script");
+
+jest.mock("groq-sdk", () => ({
+  Groq: jest.fn().mockImplementation(() => ({
+    chat: { completions: { create: jest.fn() } },
+  })),
+}));
+jest.mock("../src/utils/logger");
+
+describe("LLM providers", () => {
+  const completion = {
+    choices: [{ message: { content: '{"segments":[]}' } }],
+  };
+  let originalFetch;
+
+  beforeEach(() => {
+    originalFetch = global.fetch;
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve(completion),
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  test("creates registered providers and accepts custom instances", () => {
+    expect(Object.keys(LLM_PROVIDERS)).toEqual(["groq", "openai"]);
+    expect(createLLMProvider("openai")).toBeInstanceOf(
+      OpenAICompatibleProvider
+    );
+
+    const custom = { name: "custom", chat: { completions: { create() {} } } };
+    expect(createLLMProvider(custom)).toBe(custom);
+    expect(() => createLLMProvider("claude")).toThrow(
+      'Unknown LLM provider "claude"'
+    );
+    expect(() => createLLMProvider("groq")).toThrow(
+      "GROQ API key is required to generate scripts with Groq"
+    );
+  });
+
+  test("posts chat completions to an OpenAI-compatible server", async () => {
+    const provider = createLLMProvider("openai", {
+      baseUrl: "http://localhost:8080/v1/",
+      apiKey: "secret",
+    });
+
+    await expect(
+      provider.chat.completions.create({
+        messages: [{ role: "user", content: "Hi" }],
+        model: "qwen2",
+        max_completion_tokens: 512,
+        stop: null,
+      })
+    ).resolves.toBe(completion);
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe("http://localhost:8080/v1/chat/completions");
+    expect(request.headers.Authorization).toBe("Bearer secret");
+    expect(JSON.parse(request.body)).toEqual({
+      messages: [{ role: "user", content: "Hi" }],
+      model: "qwen2",
+      max_tokens: 512,
+    });
+  });
+
+  test("reports the status of failed completions so 400s are retried", async () => {
+    global.fetch.mockResolvedValue({
+      ok: false,
+      status: 400,
+      text: () => Promise.resolve("invalid json_object\n"),
+    });
+
+    await expect(
+      new OpenAICompatibleProvider().chat.completions.create({})
+    ).rejects.toThrow("400 invalid json_object");
+  });
+
+  test("generates scripts with the configured local model", async () => {
+    const promptGenerator = new PromptGenerator(undefined, null, {
+      provider: "openai",
+      model: "mistral",
+      temperature: 0.7,
+      maxTokens: 2048,
+    });
+    promptGenerator.validateResponse = jest.fn().mockReturnValue(completion);
+
+    await promptGenerator.generateScript({
+      duration: 20,
+      category: "education",
+      tone: "informative",
+    });
+
+    const [url, request] = global.fetch.mock.calls[0];
+    expect(url).toBe("http://localhost:11434/v1/chat/completions");
+    expect(request.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(request.body)).toMatchObject({
+      model: "mistral",
+      temperature: 0.7,
+      max_tokens: 2048,
+    });
+  });
+
+  test("defaults to the model of the provider", () => {
+    expect(
+      new PromptGenerator(undefined, null, { provider: "openai" }).model
+    ).toBe("llama3");
+    expect(new PromptGenerator("key").model).toBe("llama3-70b-8192");
+  });
+});
@@ -0,0 +1,88 @@
+const {
+  LOUDNESS_PRESETS,
+  getLoudnessTarget,
+  buildLoudnormFilter,
+  parseLoudnormStats,
+  formatLoudnessReport,
+} = require("../src/utils/loudness");
+
+const loudnormLog = [
+  "size=N/A time=00:00:32.00 bitrate=N/A speed=39.3x",
+  "[Parsed_loudnorm_0 @ 0x16217980] ",
+  "{",
+  '\t"input_i" : "-22.51",',
+  '\t"input_tp" : "-18.43",',
+  '\t"input_lra" : "25.90",',
+  '\t"input_thresh" : "-38.67",',
+  '\t"output_i" : "-14.01",',
+  '\t"output_tp" : "-3.45",',
+  '\t"output_lra" : "0.50",',
+  '\t"output_thresh" : "-24.57",',
+  '\t"normalization_type" : "dynamic",',
+  '\t"target_offset" : "0.01"',
+  "}",
+];
+
+describe("Loudness", () => {
+  test("resolves presets and rejects unknown ones", () => {
+    expect(getLoudnessTarget("tiktok")).toBe(LOUDNESS_PRESETS.tiktok);
+    expect(getLoudnessTarget("ebu")).toEqual({
+      integrated: -23,
+      truePeak: -1,
+      range: 7,
+    });
+    expect(getLoudnessTarget("off")).toBeNull();
+    expect(() => getLoudnessTarget("spotify")).toThrow(
+      'Invalid loudness preset "spotify"'
+    );
+  });
+
+  test("measures in the first pass and applies the measurement in the second", () => {
+    const target = LOUDNESS_PRESETS.youtube;
+    expect(buildLoudnormFilter(target)).toBe(
+      "loudnorm=I=-14:TP=-1:LRA=11:print_format=json"
+    );
+    expect(buildLoudnormFilter(target, parseLoudnormStats(loudnormLog))).toBe(
+      "loudnorm=I=-14:TP=-1:LRA=11:measured_I=-22.51:measured_TP=-18.43" +
+        ":measured_LRA=25.9:measured_thresh=-38.67:offset=0.01:linear=true:print_format=json"
+    );
+  });
+
+  test("falls back to a single pass for silent mixes", () => {
+    expect(
+      buildLoudnormFilter(LOUDNESS_PRESETS.youtube, {
+        integrated: -Infinity,
+        truePeak: -Infinity,
+        range: 0,
+        threshold: -70,
+        offset: 0,
+      })
+    ).toBe("loudnorm=I=-14:TP=-1:LRA=11:print_format=json");
+  });
+
+  test("reads the input or output stats from the FFmpeg log", () => {
+    expect(parseLoudnormStats(loudnormLog, "output")).toEqual({
+      integrated: -14.01,
+      truePeak: -3.45,
+      range: 0.5,
+      threshold: -24.57,
+      offset: 0.01,
+    });
+    expect(() => parseLoudnormStats(["no stats"])).toThrow(
+      "No loudness stats in the FFmpeg output"
+    );
+  });
+
+  test("describes the measured loudness against the target of the preset", () => {
+    expect(
+      formatLoudnessReport({
+        preset: "youtube",
+        target: LOUDNESS_PRESETS.youtube,
+        integrated: -14.06,
+        truePeak: -1.23,
+      })
+    ).toBe(
+      "-14.1 LUFS integrated, -1.2 dBTP true peak (youtube target: -14 LUFS, -1 dBTP)"
+    );
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MEDIA_PROVIDERS,
+  createMediaProvider,
+} = require("../src/providers/media");
+const { LocalMediaProvider } = require("../src/providers/media/local");
+
+jest.mock("fluent-ffmpeg", () => ({
+  ffprobe: jest.fn((_, cb) =>
+    cb(null, {
+      streams: [
+        { codec_type: "video", width: 1080, height: 1920, duration: "12.5" },
+      ],
+      format: { duration: 12.5 },
+    })
+  ),
+}));
+
+describe("Media providers", () => {
+  let mediaDir;
+
+  beforeAll(() => {
+    mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-media-"));
+    fs.mkdirSync(path.join(mediaDir, "city"));
+    fs.writeFileSync(path.join(mediaDir, "city", "night-traffic.mp4"), "");
+    fs.writeFileSync(path.join(mediaDir, "beach.mp4"), "");
+    fs.writeFileSync(
+      path.join(mediaDir, "beach.json"),
+      JSON.stringify({
+        tags: ["ocean", "waves"],
+        description: "Sunset over a sandy beach",
+        width: 720,
+        height: 1280,
+        duration: 8,
+      })
+    );
+    fs.writeFileSync(path.join(mediaDir, "notes.txt"), "ocean");
+  });
+
+  afterAll(() => {
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  test("creates registered providers and accepts custom instances", () => {
+    expect(Object.keys(MEDIA_PROVIDERS)).toEqual(["pexels", "local"]);
+    expect(
+      createMediaProvider("local", { directory: mediaDir })
+    ).toBeInstanceOf(LocalMediaProvider);
+
+    const custom = { name: "custom", search: jest.fn() };
+    expect(createMediaProvider(custom)).toBe(custom);
+    expect(() => createMediaProvider("vimeo")).toThrow(
+      'Unknown media provider "vimeo"'
+    );
+  });
+
+  test("requires an API key for Pexels and a folder for local clips", () => {
+    expect(() => createMediaProvider("pexels")).toThrow(
+      "Pexels API key is required to generate media-based videos"
+    );
+    expect(() => createMediaProvider("local")).toThrow(
+      "A media folder is required by the local media provider"
+    );
+  });
+
+  test("matches queries against sidecar tags and file names", async () => {
+    const provider = new LocalMediaProvider({ directory: mediaDir });
+
+    const { videos } = await provider.search({
+      query: "Waves crashing in the ocean",
+      perPage: 15,
+    });
+    expect(videos).toHaveLength(1);
+    expect(videos[0]).toMatchObject({
+      id: "beach.mp4",
+      duration: 8,
+      video_files: [{ width: 720, height: 1280 }],
+    });
+
+    const { videos: cityVideos } = await provider.search({
+      query: "Busy city streets",
+      perPage: 15,
+    });
+    expect(cityVideos.map(({ id }) => id)).toEqual([
+      path.join("city", "night-traffic.mp4"),
+    ]);
+    // Probed as it has no sidecar file
+    expect(cityVideos[0].duration).toBe(12.5);
+
+    const { videos: noVideos } = await provider.search({
+      query: "mountains",
+      perPage: 15,
+    });
+    expect(noVideos).toEqual([]);
+  });
+
+  test("uses local clips in place", async () => {
+    const provider = new LocalMediaProvider({ directory: mediaDir });
+    const link = path.join(mediaDir, "beach.mp4");
+    await expect(provider.fetchVideo({ link })).resolves.toMatchObject({
+      name: link,
+    });
+  });
+});
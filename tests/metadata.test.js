@@ -0,0 +1,108 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  PLATFORMS,
+  normalizeHashtags,
+  writeMetadata,
+} = require("../src/core/metadata");
+const { PromptGenerator } = require("../src/core/script");
+
+jest.mock("../src/utils/logger");
+
+describe("Publishing metadata", () => {
+  const script = {
+    segments: [
+      {
+        id: 1,
+        text: "Octopuses have three hearts and blue blood",
+        duration: 4,
+        description: "octopus",
+        transition: "fade",
+      },
+    ],
+  };
+  const post = (hashtags) => ({
+    title: "Three hearts, blue blood",
+    description: "Meet the strangest animal of the ocean. Follow for more!",
+    hashtags,
+  });
+  const answer = (content) => ({
+    choices: [{ message: { content: JSON.stringify(content) } }],
+  });
+
+  test("normalizes the hashtags of the model", () => {
+    expect(
+      normalizeHashtags(["ocean life", "##Science", "#science", "#", 3])
+    ).toEqual(["#oceanlife", "#Science"]);
+  });
+
+  test("generates validated metadata for every platform", async () => {
+    const metadata = {
+      thumbnailText: "3 hearts?!",
+      platforms: Object.fromEntries(
+        PLATFORMS.map((platform) => [platform, post(["octopus", "#ocean"])])
+      ),
+    };
+    const create = jest.fn().mockResolvedValue(answer(metadata));
+    const promptGenerator = new PromptGenerator("key", {
+      chat: { completions: { create } },
+    });
+
+    const result = await promptGenerator.generateMetadata(script, {
+      category: "Science",
+      tone: "Playful",
+      topic: "Octopuses",
+    });
+
+    const [system, user] = create.mock.calls[0][0].messages;
+    expect(system.content).toBe(PromptGenerator.METADATA_SYSTEM_PROMPT);
+    const prompt = user.content;
+    expect(prompt).toContain(
+      "Write the publishing metadata of this Science video about: Octopuses"
+    );
+    expect(prompt).toContain("Octopuses have three hearts and blue blood");
+    expect(result.thumbnailText).toBe("3 hearts?!");
+    expect(result.platforms.tiktok.hashtags).toEqual(["#octopus", "#ocean"]);
+  });
+
+  test("asks the model to fix metadata missing a platform or too long", async () => {
+    const tooLong = {
+      thumbnailText: "A thumbnail headline far too long to read at a glance",
+      platforms: { youtube: post(["#ocean"]) },
+    };
+    const create = jest.fn().mockResolvedValue(answer(tooLong));
+    const promptGenerator = new PromptGenerator("key", {
+      chat: { completions: { create } },
+    });
+    promptGenerator.delay = jest.fn();
+
+    await expect(
+      promptGenerator.generateMetadata(script, { category: "Science" })
+    ).rejects.toThrow(PromptGenerator.LLM_ERROR_MESSAGE);
+    const correction = create.mock.calls[1][0].messages[3].content;
+    expect(correction).toContain("thumbnailText: String must contain at most");
+    expect(correction).toContain("platforms tiktok: Required");
+  });
+
+  test("writes the metadata next to the video", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-metadata-"));
+    const videoPath = path.join(dir, "octopus.mp4");
+
+    try {
+      const metadataPath = writeMetadata(
+        { thumbnailText: "3 hearts?!", platforms: {} },
+        videoPath
+      );
+
+      expect(metadataPath).toBe(path.join(dir, "octopus_metadata.json"));
+      expect(JSON.parse(fs.readFileSync(metadataPath, "utf-8"))).toEqual({
+        video: "octopus.mp4",
+        thumbnailText: "3 hearts?!",
+        platforms: {},
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
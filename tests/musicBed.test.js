@@ -0,0 +1,35 @@
+const {
+  getCrossfadeDuration,
+  planMusicBed,
+  buildCrossfadeFilter,
+} = require("../src/utils/musicBed");
+
+describe("Music bed", () => {
+  test("keeps a single track covering the video", () => {
+    expect(planMusicBed([90], 60, 3)).toEqual([0]);
+  });
+
+  test("loops a short track with overlapping crossfades", () => {
+    // 40 + 37 + 37 covers 100 seconds
+    expect(planMusicBed([40], 100, 3)).toEqual([0, 0, 0]);
+  });
+
+  test("cycles through chained tracks", () => {
+    expect(planMusicBed([30, 20], 90, 2)).toEqual([0, 1, 0, 1]);
+  });
+
+  test("never crossfades more than half of the shortest track", () => {
+    expect(getCrossfadeDuration([40, 4], 3)).toBe(2);
+    expect(planMusicBed([5], 12, 3)).toEqual([0, 0, 0, 0]);
+  });
+
+  test("chains the inputs with crossfades into the music label", () => {
+    expect(buildCrossfadeFilter(3, 2.5)).toEqual([
+      "[0:a]aformat=sample_rates=44100:channel_layouts=stereo[bed0]",
+      "[1:a]aformat=sample_rates=44100:channel_layouts=stereo[bed1]",
+      "[2:a]aformat=sample_rates=44100:channel_layouts=stereo[bed2]",
+      "[bed0][bed1]acrossfade=d=2.5:c1=tri:c2=tri[bedmix1]",
+      "[bedmix1][bed2]acrossfade=d=2.5:c1=tri:c2=tri[music]",
+    ]);
+  });
+});
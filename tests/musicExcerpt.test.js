@@ -0,0 +1,55 @@
+const {
+  buildEnergyFilters,
+  parseEnergyLevels,
+  findBestExcerpt,
+} = require("../src/utils/musicExcerpt");
+
+const toLevels = (decibels) => decibels.map((level, time) => ({ time, level }));
+
+describe("Music excerpt", () => {
+  test("prints the RMS level of every second", () => {
+    expect(buildEnergyFilters()).toEqual([
+      "aresample=44100",
+      "asetnsamples=n=44100",
+      "astats=metadata=1:reset=1",
+      "ametadata=print:key=lavfi.astats.Overall.RMS_level",
+    ]);
+  });
+
+  test("parses the levels from the FFmpeg log", () => {
+    expect(
+      parseEnergyLevels([
+        "Stream mapping:",
+        "[Parsed_ametadata_3 @ 0x1] frame:0    pts:0       pts_time:0",
+        "[Parsed_ametadata_3 @ 0x1] lavfi.astats.Overall.RMS_level=-41.5",
+        "[Parsed_ametadata_3 @ 0x1] frame:1    pts:44100   pts_time:1",
+        "[Parsed_ametadata_3 @ 0x1] lavfi.astats.Overall.RMS_level=-inf",
+      ])
+    ).toEqual([
+      { time: 0, level: -41.5 },
+      { time: 1, level: -Infinity },
+    ]);
+  });
+
+  test("picks the loudest excerpt", () => {
+    const levels = toLevels([-40, -40, -30, -12, -10, -11, -30, -35]);
+    expect(findBestExcerpt(levels, 3)).toBe(3);
+  });
+
+  test("prefers an excerpt ending where the music dips in phrase mode", () => {
+    const levels = toLevels([
+      -40, -12, -10, -11, -20, -9, -6, -8, -10, -9, -15,
+    ]);
+    expect(findBestExcerpt(levels, 3, "energy")).toBe(5);
+    expect(findBestExcerpt(levels, 3, "phrase")).toBe(7);
+  });
+
+  test("starts at the beginning of short tracks or in start mode", () => {
+    const levels = toLevels([-40, -10, -10]);
+    expect(findBestExcerpt(levels, 3)).toBe(0);
+    expect(findBestExcerpt(toLevels([-40, -10, -10, -10]), 2, "start")).toBe(0);
+    expect(() => findBestExcerpt(levels, 2, "chorus")).toThrow(
+      'Invalid music excerpt mode "chorus"'
+    );
+  });
+});
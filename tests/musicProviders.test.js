@@ -0,0 +1,127 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  MUSIC_PROVIDERS,
+  createMusicProvider,
+} = require("../src/providers/audio");
+const { LocalMusicProvider } = require("../src/providers/audio/local");
+
+jest.mock("fluent-ffmpeg", () => ({
+  ffprobe: jest.fn((_, cb) => cb(null, { format: { duration: 30 } })),
+}));
+
+describe("Music providers", () => {
+  let musicDir;
+
+  const writeTrack = (file, sidecar) => {
+    fs.writeFileSync(path.join(musicDir, file), "");
+    if (sidecar) {
+      fs.writeFileSync(
+        path.join(musicDir, file.replace(/\.[^.]+$/, ".json")),
+        JSON.stringify(sidecar)
+      );
+    }
+  };
+
+  beforeAll(() => {
+    musicDir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-music-"));
+    fs.mkdirSync(path.join(musicDir, "ambient"));
+    writeTrack("morning.mp3", {
+      tags: ["calm", "acoustic"],
+      title: "Morning",
+      artist: "Studio",
+      bpm: 84,
+      duration: 120,
+      license: "CC BY 4.0",
+    });
+    writeTrack("sprint.mp3", {
+      tags: ["energetic", "upbeat"],
+      bpm: 140,
+      duration: 90,
+    });
+    writeTrack("ambient/calm-waves.wav");
+    writeTrack("short-calm.mp3", { tags: ["calm"], duration: 20 });
+  });
+
+  afterAll(() => {
+    fs.rmSync(musicDir, { recursive: true, force: true });
+  });
+
+  test("creates registered providers and accepts custom instances", () => {
+    expect(Object.keys(MUSIC_PROVIDERS)).toEqual(["freesound", "local"]);
+    expect(
+      createMusicProvider("local", { directory: musicDir })
+    ).toBeInstanceOf(LocalMusicProvider);
+
+    const custom = { name: "custom", search: jest.fn() };
+    expect(createMusicProvider(custom)).toBe(custom);
+    expect(() => createMusicProvider("spotify")).toThrow(
+      'Unknown music provider "spotify"'
+    );
+    expect(() => createMusicProvider("local")).toThrow(
+      "A music folder is required by the local music provider"
+    );
+  });
+
+  test("matches mood tags and file names, skipping short tracks", async () => {
+    const provider = new LocalMusicProvider({ directory: musicDir });
+
+    const tracks = await provider.search({
+      query: "calm acoustic",
+      minDuration: 60,
+    });
+    expect(tracks.map(({ id }) => id)).toEqual(["morning.mp3"]);
+    expect(tracks[0]).toMatchObject({ name: "Morning", username: "Studio" });
+    expect(provider.getCredit(tracks[0])).toEqual({
+      source: "local",
+      id: "morning.mp3",
+      title: "Morning",
+      author: "Studio",
+      url: undefined,
+      license: "CC BY 4.0",
+    });
+  });
+
+  test("filters tracks by tempo and keeps unknown tempos last", async () => {
+    const provider = new LocalMusicProvider({ directory: musicDir });
+    const ffmpeg = require("fluent-ffmpeg");
+    ffmpeg.ffprobe.mockImplementation((_, cb) =>
+      cb(null, { format: { duration: 200 } })
+    );
+
+    const calm = await provider.search({
+      query: "calm",
+      minDuration: 60,
+      minBpm: 60,
+      maxBpm: 100,
+    });
+    expect(calm.map(({ id }) => id)).toEqual([
+      "morning.mp3",
+      path.join("ambient", "calm-waves.wav"),
+    ]);
+    expect(calm[1]).toMatchObject({ name: "calm-waves", duration: 200 });
+
+    const fast = await provider.search({
+      query: "upbeat calm",
+      minDuration: 60,
+      minBpm: 120,
+    });
+    expect(fast.map(({ id }) => id)).toEqual([
+      "sprint.mp3",
+      path.join("ambient", "calm-waves.wav"),
+    ]);
+  });
+
+  test("uses local tracks in place", async () => {
+    const provider = new LocalMusicProvider({ directory: musicDir });
+    const [track] = await provider.search({
+      query: "energetic",
+      minDuration: 60,
+    });
+
+    await expect(provider.fetchTrack(track, "/tmp/raw.mp3")).resolves.toBe(
+      path.join(musicDir, "sprint.mp3")
+    );
+  });
+});
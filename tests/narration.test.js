@@ -0,0 +1,101 @@
+const fs = require("fs");
+const path = require("path");
+const ffmpeg = require("fluent-ffmpeg");
+const { NarrationManager } = require("../src/core/narration");
+const { createTTSProvider } = require("../src/providers/tts");
+const { EspeakProvider } = require("../src/providers/tts/espeak");
+const { getSegmentTimeline } = require("../src/utils/timeline");
+
+jest.mock("@ffmpeg-installer/ffmpeg", () => ({ path: "/usr/bin/ffmpeg" }));
+jest.mock("fluent-ffmpeg", () => ({
+  setFfmpegPath: jest.fn(),
+  ffprobe: jest.fn(),
+}));
+jest.mock("fs", () => ({
+  existsSync: jest.fn(() => true),
+  mkdirSync: jest.fn(),
+  unlinkSync: jest.fn(),
+}));
+jest.mock("uuid", () => ({ v4: jest.fn(() => "mock-uuid") }));
+jest.mock("../src/utils/logger", () => {
+  const mockLogger = {
+    terminal: jest.fn(() => mockLogger),
+    cyan: jest.fn(() => mockLogger),
+    warn: jest.fn(),
+    error: jest.fn(),
+  };
+  return jest.fn(() => mockLogger);
+});
+
+describe("NarrationManager", () => {
+  const segments = [
+    { id: 1, text: "First segment text", duration: 5 },
+    { id: 2, text: "Second segment text", duration: 5 },
+  ];
+  const timeline = getSegmentTimeline(segments, 0.5).entries;
+  let provider;
+  let narrationManager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = { synthesize: jest.fn(async (_, outputPath) => outputPath) };
+    narrationManager = new NarrationManager({
+      provider,
+      outputDir: path.join(__dirname, "test-output"),
+    });
+    jest
+      .spyOn(narrationManager, "buildNarrationTrack")
+      .mockImplementation(async (_, outputPath) => outputPath);
+  });
+
+  test("uses espeak by default", () => {
+    expect(new NarrationManager().provider).toBeInstanceOf(EspeakProvider);
+  });
+
+  test("throws for an unknown TTS provider", () => {
+    expect(() => createTTSProvider("unknown")).toThrow(
+      'Unknown TTS provider "unknown"'
+    );
+  });
+
+  test("synthesizes every segment and places it on the timeline", async () => {
+    ffmpeg.ffprobe.mockImplementation((_, cb) =>
+      cb(null, { format: { duration: 3 } })
+    );
+
+    const result = await narrationManager.generateNarration(
+      segments,
+      timeline
+    );
+
+    expect(provider.synthesize).toHaveBeenCalledTimes(2);
+    expect(provider.synthesize).toHaveBeenCalledWith(
+      "Second segment text",
+      expect.stringContaining("mock-uuid_2.wav")
+    );
+    expect(result.path).toMatch(/narration_mock-uuid\.mp3$/);
+    expect(result.timings).toEqual([
+      { id: 1, start: 0, duration: 3 },
+      { id: 2, start: 4.5, duration: 3 },
+    ]);
+    expect(fs.unlinkSync).toHaveBeenCalledTimes(2);
+  });
+
+  test("speeds up narration that is longer than its segment", async () => {
+    ffmpeg.ffprobe.mockImplementation((_, cb) =>
+      cb(null, { format: { duration: 6.75 } })
+    );
+
+    await narrationManager.generateNarration(segments, timeline);
+
+    const [clips] = narrationManager.buildNarrationTrack.mock.calls[0];
+    expect(clips[0]).toMatchObject({ slot: 4.5, tempo: 1.5 });
+    expect(clips[1]).toMatchObject({ slot: 5, tempo: 1.35 });
+  });
+
+  test("rejects a timeline that does not match the segments", async () => {
+    await expect(
+      narrationManager.generateNarration(segments, timeline.slice(1))
+    ).rejects.toThrow("Timeline length must match number of segments");
+  });
+});
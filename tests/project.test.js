@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  PROJECT_VERSION,
+  getCachedPath,
+  buildProject,
+  writeProject,
+  readProject,
+} = require("../src/core/project");
+
+jest.mock("../src/utils/logger");
+
+describe("Project", () => {
+  let outputDir;
+
+  const script = {
+    segments: [
+      {
+        id: 1,
+        text: "The ocean covers most of the planet",
+        duration: 5,
+        description: "ocean waves",
+        transition: "fade",
+      },
+    ],
+  };
+  const footage = [
+    {
+      segmentId: 1,
+      provider: "pexels",
+      query: "ocean waves",
+      video: { id: 7, width: 1080, height: 1920, duration: 12 },
+      videoFile: {
+        id: 70,
+        link: "https://videos.pexels.com/70.mp4",
+        width: 1080,
+        height: 1920,
+        quality: "hd",
+      },
+      credit: { type: "footage", source: "pexels", id: 7, segments: [1] },
+    },
+  ];
+  const music = {
+    provider: "local",
+    tracks: [
+      { id: "calm", path: "/music/calm.mp3", nameWords: new Set(["calm"]) },
+    ],
+    offset: 12,
+  };
+  const createProject = () =>
+    buildProject({
+      config: {
+        category: "Science",
+        groqKey: "groq",
+        pexelsKey: "pexels",
+        freeSoundKey: "freesound",
+        webRunner: true,
+        loudness: "ebu",
+      },
+      script,
+      footage,
+      music,
+      videoPath: path.join(outputDir, "final_1.mp4"),
+      loudness: {
+        preset: "ebu",
+        target: { integrated: -23, truePeak: -1, range: 7 },
+        integrated: -23.1,
+        truePeak: -2.4,
+      },
+      versions: { clipCreator: "1.1.1", node: "v20.0.0", ffmpeg: "4.1" },
+    });
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-project-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  test("leaves the API keys and the CLI options out of the config", () => {
+    const project = createProject();
+
+    expect(project.version).toBe(PROJECT_VERSION);
+    expect(project.config).toEqual({ category: "Science", loudness: "ebu" });
+  });
+
+  test("writes the project next to the video and reads it back", () => {
+    const videoPath = path.join(outputDir, "final_1.mp4");
+    const projectPath = writeProject(createProject(), videoPath);
+
+    expect(projectPath).toBe(path.join(outputDir, "final_1_project.json"));
+    const project = readProject(projectPath);
+    expect(project.script).toEqual(script);
+    expect(project.assets.footage).toEqual(footage);
+    expect(project.assets.music).toEqual({
+      provider: "local",
+      tracks: [{ id: "calm", path: "/music/calm.mp3" }],
+      offset: 12,
+    });
+    expect(project.loudness).toMatchObject({
+      preset: "ebu",
+      integrated: -23.1,
+      truePeak: -2.4,
+    });
+  });
+
+  test("rejects project files with an invalid script", () => {
+    const projectPath = path.join(outputDir, "broken_project.json");
+    fs.writeFileSync(
+      projectPath,
+      JSON.stringify({ ...createProject(), script: { segments: [] } })
+    );
+
+    expect(() => readProject(projectPath)).toThrow(
+      /Invalid project file: script\.segments/
+    );
+  });
+
+  test("points local assets in place and downloads to the cache", () => {
+    const cache = {
+      getMedia: jest.fn((namespace, id) =>
+        id === 70 ? "/cache/media/pexels_70.mp4" : null
+      ),
+    };
+
+    expect(
+      getCachedPath(cache, "local", "calm", ".mp3", "/music/calm.mp3")
+    ).toBe("/music/calm.mp3");
+    expect(getCachedPath(cache, "pexels", 70, ".mp4")).toBe(
+      "/cache/media/pexels_70.mp4"
+    );
+    expect(cache.getMedia).toHaveBeenCalledWith("pexels", 70, ".mp4");
+    expect(getCachedPath(cache, "pexels", 71, ".mp4")).toBeNull();
+    expect(getCachedPath(undefined, "pexels", 70, ".mp4")).toBeNull();
+  });
+});
@@ -15,6 +15,8 @@ jest.mock("../src/utils/logger.js", () => {
     error: jest.fn(),
     terminal: jest.fn().mockReturnThis(),
     green: jest.fn().mockReturnThis(),
+    cyan: jest.fn().mockReturnThis(),
+    warn: jest.fn(),
   }));
 });
 
@@ -65,6 +67,225 @@ describe("PromptGenerator Test Suite", () => {
     expect(prompt).toContain("Verify all facts");
   });
 
+  test("generateUserPrompt asks for segments adding up to the duration", () => {
+    const prompt = PromptGenerator.generateUserPrompt({
+      duration: 23,
+      category: "education",
+      tone: "informative",
+      topic: "Volcanoes",
+    });
+
+    expect(prompt).toContain(
+      "4 to 8 segments whose durations add up to exactly 23 seconds"
+    );
+  });
+
+  test("validateResponse accepts paced segments matching the duration", () => {
+    const segments = [2, 6.5, 4, 7.5, 3].map((duration, index) => ({
+      id: index + 1,
+      text: `Segment ${index + 1} of the volcano video`,
+      duration,
+      description: "volcano",
+      transition: "fade",
+    }));
+    const completion = {
+      choices: [{ message: { content: JSON.stringify({ segments }) } }],
+    };
+
+    expect(promptGenerator.validateResponse(completion, 23).segments).toEqual(
+      segments
+    );
+    expect(() => promptGenerator.validateResponse(completion, 25)).toThrow(
+      "Invalid JSON response: The segments last 23 seconds instead of 25"
+    );
+  });
+
+  test("validateResponse repairs ids and unknown transitions", () => {
+    const content = `\`\`\`json
+{"segments":[{"id":3,"text":"The opening hook of the video","duration":4,"description":"intro","transition":"wipe"},{"id":3,"text":"The closing words of the video","duration":4,"description":"outro","transition":"Slide Right",},]}
+\`\`\``;
+
+    const script = promptGenerator.validateResponse(
+      { choices: [{ message: { content } }] },
+      8
+    );
+
+    expect(
+      script.segments.map(({ id, transition }) => [id, transition])
+    ).toEqual([
+      [1, "circleWipe"],
+      [2, "slideRight"],
+    ]);
+    expect(promptGenerator.logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('replaced the transition "wipe" of segment 1')
+    );
+  });
+
+  test("generateScript sends the validation issues back to the model", async () => {
+    const invalid =
+      '{"segments":[{"id":1,"text":"A valid opening segment","duration":5,"description":"intro","transition":"fade"},{"id":2,"text":"Too short","duration":5,"description":"outro","transition":"fade"}]}';
+    const valid = invalid.replace("Too short", "A long enough closing segment");
+    const create = jest
+      .fn()
+      .mockResolvedValueOnce({ choices: [{ message: { content: invalid } }] })
+      .mockResolvedValueOnce({ choices: [{ message: { content: valid } }] });
+    promptGenerator.llm = { chat: { completions: { create } } };
+    promptGenerator.delay = jest.fn();
+
+    const script = await promptGenerator.generateScript({
+      duration: 10,
+      category: "education",
+      tone: "informative",
+    });
+
+    const messages = create.mock.calls[1][0].messages;
+    expect(messages.slice(2)).toEqual([
+      { role: "assistant", content: invalid },
+      {
+        role: "user",
+        content: expect.stringContaining(
+          "segment 2 text: String must contain at least 10 character(s)"
+        ),
+      },
+    ]);
+    expect(create.mock.calls[0][0].messages).toHaveLength(2);
+    expect(script.segments[1].text).toBe("A long enough closing segment");
+  });
+
+  test("generateScript scales the token budget to the segment count", async () => {
+    const create = jest.fn().mockResolvedValue({});
+    promptGenerator.llm = { chat: { completions: { create } } };
+    promptGenerator.validateResponse = jest.fn();
+
+    await promptGenerator.generateScript({
+      duration: 15,
+      category: "education",
+      tone: "informative",
+    });
+
+    expect(create.mock.calls[0][0].max_completion_tokens).toBe(
+      PromptGenerator.getTokenBudget(5)
+    );
+  });
+
+  test("generateScript writes a one-minute video in a single completion", async () => {
+    const create = jest.fn().mockResolvedValue({});
+    promptGenerator.llm = { chat: { completions: { create } } };
+    promptGenerator.validateResponse = jest.fn();
+
+    await promptGenerator.generateScript({
+      duration: 60,
+      category: "education",
+      tone: "informative",
+    });
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0].max_completion_tokens).toBe(
+      PromptGenerator.getTokenBudget(20)
+    );
+  });
+
+  test("generateScript outlines long videos and writes them in batches", async () => {
+    const durations = [4, 8, ...Array(13).fill(6)];
+    const outline = durations.map((duration, index) => ({
+      id: index + 1,
+      duration,
+      summary: `Point ${index + 1} about glaciers`,
+    }));
+    const segmentsOf = (first, count, extra = {}) =>
+      Array.from({ length: count }, (_, index) => ({
+        text: `Segment ${first + index} about melting glaciers`,
+        description: "glacier",
+        transition: "dissolve",
+        ...extra,
+      }));
+    const answer = (content) => ({
+      choices: [{ message: { content: JSON.stringify(content) } }],
+    });
+    const create = jest
+      .fn()
+      .mockResolvedValueOnce(answer({ outline }))
+      // A batch missing a segment is requested again
+      .mockResolvedValueOnce(answer({ segments: segmentsOf(1, 9) }))
+      .mockResolvedValueOnce(
+        answer({ segments: segmentsOf(1, 10, { duration: 9 }) })
+      )
+      .mockResolvedValueOnce(answer({ segments: segmentsOf(11, 5) }));
+    promptGenerator.llm = { chat: { completions: { create } } };
+    promptGenerator.delay = jest.fn();
+
+    const script = await promptGenerator.generateScript({
+      duration: 90,
+      category: "education",
+      tone: "informative",
+      topic: "Glaciers",
+    });
+
+    expect(create).toHaveBeenCalledTimes(4);
+    expect(create.mock.calls[0][0].messages[0].content).toBe(
+      PromptGenerator.OUTLINE_SYSTEM_PROMPT
+    );
+    expect(create.mock.calls[0][0].messages[1].content).toContain(
+      "Plan a 90-second education video about: Glaciers"
+    );
+    const lastBatch = create.mock.calls[3][0];
+    expect(lastBatch.messages[1].content).toContain(
+      "Write segments 11 to 15 of this 90-second"
+    );
+    expect(lastBatch.messages[1].content).toContain(
+      "Segment 10 about melting glaciers"
+    );
+    expect(lastBatch.max_completion_tokens).toBe(
+      PromptGenerator.getTokenBudget(5)
+    );
+    expect(script.segments.map(({ id }) => id)).toEqual(
+      outline.map(({ id }) => id)
+    );
+    expect(script.segments.map(({ duration }) => duration)).toEqual(durations);
+  });
+
+  test("generateScript rejects outlines that do not add up to the duration", async () => {
+    const create = jest.fn().mockResolvedValue({
+      choices: [
+        {
+          message: {
+            content: JSON.stringify({
+              outline: [{ id: 1, duration: 4, summary: "Only one point" }],
+            }),
+          },
+        },
+      ],
+    });
+    promptGenerator.llm = { chat: { completions: { create } } };
+    promptGenerator.delay = jest.fn();
+
+    await expect(
+      promptGenerator.generateScript({
+        duration: 90,
+        category: "education",
+        tone: "informative",
+      })
+    ).rejects.toThrow(PromptGenerator.LLM_ERROR_MESSAGE);
+    expect(create).toHaveBeenCalledTimes(PromptGenerator.MAX_RETRIES + 1);
+  });
+
+  test("validateResponse rejects segments out of the duration range", () => {
+    const completion = {
+      choices: [
+        {
+          message: {
+            content:
+              '{"segments":[{"id":1,"text":"A very long opening segment","duration":12,"description":"description","transition":"fade"}]}',
+          },
+        },
+      ],
+    };
+
+    expect(() => promptGenerator.validateResponse(completion, 12)).toThrow(
+      "Invalid JSON response"
+    );
+  });
+
   test("validateResponse throws error on empty response", () => {
     const completion = { choices: [{ message: { content: "{}" } }] };
     expect(() => promptGenerator.validateResponse(completion)).toThrow(
@@ -135,7 +356,7 @@ describe("PromptGenerator Test Suite", () => {
       },
     };
 
-    promptGenerator.groq = groqMock;
+    promptGenerator.llm = groqMock;
 
     promptGenerator.validateConfig = jest.fn();
     promptGenerator.validateResponse = jest.fn().mockReturnValue({
@@ -149,7 +370,8 @@ describe("PromptGenerator Test Suite", () => {
     expect(promptGenerator.validateConfig).toHaveBeenCalledWith(config);
     expect(groqMock.chat.completions.create).toHaveBeenCalledTimes(3);
     expect(promptGenerator.validateResponse).toHaveBeenCalledWith(
-      validResponse
+      validResponse,
+      30
     );
     expect(promptGenerator.delay).toHaveBeenCalledTimes(2);
     expect(result).toEqual({ segments: [{ id: 1, text: "Test segment" }] });
@@ -167,13 +389,81 @@ describe("PromptGenerator Test Suite", () => {
       },
     };
 
-    invalidApiKeyPromptGenerator.groq = groqMock;
+    invalidApiKeyPromptGenerator.llm = groqMock;
 
     await expect(
       invalidApiKeyPromptGenerator.generateScript(config)
     ).rejects.toThrow(PromptGenerator.LLM_ERROR_MESSAGE);
   });
 
+  test("regenerateSegment splices the validated segment into the script", async () => {
+    const script = {
+      segments: [1, 2, 3].map((id) => ({
+        id,
+        text: `Segment ${id} of the original script`,
+        duration: 5,
+        description: "description",
+        transition: "fade",
+      })),
+    };
+    const groqMock = {
+      chat: {
+        completions: {
+          create: jest
+            .fn()
+            .mockResolvedValueOnce({
+              choices: [{ message: { content: '{"segment":{"text":"x"}}' } }],
+            })
+            .mockResolvedValueOnce({
+              choices: [
+                {
+                  message: {
+                    content:
+                      '{"segment":{"id":7,"text":"A rewritten middle segment","duration":5,"description":"new footage","transition":"zoomIn"}}',
+                  },
+                },
+              ],
+            }),
+        },
+      },
+    };
+    promptGenerator.llm = groqMock;
+    promptGenerator.delay = jest.fn();
+
+    const result = await promptGenerator.regenerateSegment(script, 2, {
+      category: "education",
+      tone: "informative",
+      topic: "Oceans",
+    });
+
+    expect(groqMock.chat.completions.create).toHaveBeenCalledTimes(2);
+    expect(
+      groqMock.chat.completions.create.mock.calls[0][0].messages[0].content
+    ).toBe(PromptGenerator.SEGMENT_SYSTEM_PROMPT);
+    expect(
+      groqMock.chat.completions.create.mock.calls[0][0].messages[1].content
+    ).toContain(
+      "Rewrite segment 2 of this education video script about: Oceans"
+    );
+    expect(result.segments).toEqual([
+      script.segments[0],
+      {
+        id: 2,
+        text: "A rewritten middle segment",
+        duration: 5,
+        description: "new footage",
+        transition: "zoomIn",
+      },
+      script.segments[2],
+    ]);
+  });
+
+  test("regenerateSegment rejects segments missing from the script", async () => {
+    await expect(
+      promptGenerator.regenerateSegment({ segments: [] }, 4, {})
+    ).rejects.toThrow("Segment 4 is not in the script");
+  });
+
   test("generateScript logs errors and retries on failure", async () => {
     const config = { duration: 30, category: "education", tone: "informative" };
     const unexpectedError = new Error("Unexpected API error");
@@ -186,7 +476,7 @@ describe("PromptGenerator Test Suite", () => {
       },
     };
 
-    promptGenerator.groq = groqMock;
+    promptGenerator.llm = groqMock;
     promptGenerator.logger.error = jest.fn();
 
     await expect(promptGenerator.generateScript(config)).rejects.toThrow(
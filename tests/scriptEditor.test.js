@@ -0,0 +1,65 @@
+const {
+  TRANSITIONS,
+  updateSegment,
+  moveSegment,
+  duplicateSegment,
+  deleteSegment,
+} = require("../src/utils/scriptEditor");
+
+jest.mock("../src/utils/logger");
+
+describe("Script editor", () => {
+  const segments = ["first", "second", "third"].map((name, index) => ({
+    id: index + 1,
+    text: `The ${name} segment of the script`,
+    duration: 5,
+    description: `${name} footage`,
+    transition: "fade",
+  }));
+
+  test("lists the transitions of the script schema", () => {
+    expect(TRANSITIONS).toContain("fade");
+    expect(TRANSITIONS).toContain("directionalWipe");
+  });
+
+  test("updates a segment after validating it", () => {
+    const updated = updateSegment(segments, 1, { transition: "zoomIn" });
+
+    expect(updated[1]).toEqual({ ...segments[1], transition: "zoomIn" });
+    expect(updated[0]).toBe(segments[0]);
+    expect(() => updateSegment(segments, 1, { text: "Too short" })).toThrow(
+      /Invalid segment: text/
+    );
+  });
+
+  test("moves segments and renumbers them", () => {
+    const moved = moveSegment(segments, 2, -1);
+
+    expect(moved.map(({ text }) => text)).toEqual([
+      segments[0].text,
+      segments[2].text,
+      segments[1].text,
+    ]);
+    expect(moved.map(({ id }) => id)).toEqual([1, 2, 3]);
+    expect(moveSegment(segments, 0, -1)).toBe(segments);
+    expect(moveSegment(segments, 2, 1)).toBe(segments);
+  });
+
+  test("duplicates a segment right after it", () => {
+    const duplicated = duplicateSegment(segments, 0);
+
+    expect(duplicated).toHaveLength(4);
+    expect(duplicated[1]).toEqual({ ...segments[0], id: 2 });
+    expect(duplicated[3]).toEqual({ ...segments[2], id: 4 });
+  });
+
+  test("deletes segments but keeps at least one", () => {
+    expect(deleteSegment(segments, 0)).toEqual([
+      { ...segments[1], id: 1 },
+      { ...segments[2], id: 2 },
+    ]);
+    expect(() => deleteSegment([segments[0]], 0)).toThrow(
+      "A script needs at least one segment"
+    );
+  });
+});
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  getScriptFormat,
+  formatScript,
+  parseScript,
+  readScript,
+} = require("../src/utils/scriptFile");
+
+jest.mock("../src/utils/logger");
+
+describe("Script files", () => {
+  const script = {
+    segments: [
+      {
+        id: 1,
+        text: "The ocean covers most of the planet: 71% of it.",
+        duration: 5,
+        description: "ocean waves",
+        transition: "fade",
+      },
+      {
+        id: 2,
+        text: "Its depths remain largely unexplored",
+        duration: 5,
+        description: "deep sea",
+        transition: "zoomIn",
+        transitionDuration: 0.8,
+      },
+    ],
+  };
+
+  test("picks the format from the extension", () => {
+    expect(getScriptFormat("script.json")).toBe("json");
+    expect(getScriptFormat("script.YML")).toBe("yaml");
+    expect(getScriptFormat("script.yaml")).toBe("yaml");
+    expect(getScriptFormat("script.md")).toBe("md");
+    expect(getScriptFormat("script.txt")).toBe("json");
+  });
+
+  test.each(["json", "yaml", "md"])("reads back a %s script", (format) => {
+    expect(parseScript(formatScript(script, format), format)).toEqual(script);
+  });
+
+  test("joins the wrapped lines of a Markdown segment", () => {
+    const markdown = [
+      "# Script",
+      "",
+      "## Segment 1",
+      "",
+      "The ocean covers",
+      "most of the planet",
+      "",
+      "- Duration: 5",
+      "- Description: ocean waves",
+      "- Transition: fade",
+    ].join("\n");
+
+    expect(parseScript(markdown, "md").segments[0].text).toBe(
+      "The ocean covers most of the planet"
+    );
+  });
+
+  test("rejects scripts that do not match the schema", () => {
+    const invalid = {
+      segments: [{ ...script.segments[0], transition: "spin" }],
+    };
+
+    expect(() => parseScript(JSON.stringify(invalid))).toThrow(
+      /Invalid script: segments\.0\.transition/
+    );
+    expect(() => parseScript("{ segments: ")).toThrow(/Invalid script/);
+  });
+
+  test("rejects unknown formats", () => {
+    expect(() => formatScript(script, "xml")).toThrow(
+      'Invalid script format "xml". Use one of: json, yaml, md'
+    );
+  });
+
+  test("reads script files in the format of their extension", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clip-script-"));
+    const scriptPath = path.join(dir, "script.yaml");
+    fs.writeFileSync(scriptPath, formatScript(script, "yaml"));
+
+    try {
+      expect(readScript(scriptPath)).toEqual(script);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
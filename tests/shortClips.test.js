@@ -0,0 +1,44 @@
+const {
+  SHORT_CLIP_STRATEGIES,
+  buildShortClipOptions,
+} = require("../src/utils/shortClips");
+
+describe("Short clips", () => {
+  test("leaves clips lasting the whole segment untouched", () => {
+    SHORT_CLIP_STRATEGIES.forEach((strategy) => {
+      expect(buildShortClipOptions(strategy, 8, 5, 30)).toEqual({
+        inputOptions: [],
+        beforeFit: [],
+        afterFit: [],
+      });
+    });
+    expect(buildShortClipOptions("loop", undefined, 5, 30).inputOptions).toEqual(
+      []
+    );
+  });
+
+  test("restarts the input to loop a short clip", () => {
+    expect(buildShortClipOptions("loop", 2, 5, 30).inputOptions).toEqual([
+      "-stream_loop -1",
+    ]);
+  });
+
+  test("loops a forward and backward cycle for pingpong", () => {
+    const { beforeFit, afterFit } = buildShortClipOptions("pingpong", 2, 5, 30);
+    expect(beforeFit).toEqual(["fps=30"]);
+    expect(afterFit[0]).toContain("[pingbackward]reverse[pingreversed]");
+    expect(afterFit[0]).toMatch(/loop=loop=-1:size=118:start=0$/);
+  });
+
+  test("stretches the clip to the segment when slowing down", () => {
+    expect(buildShortClipOptions("slow", 2, 5, 30).beforeFit).toEqual([
+      "setpts=2.5000*PTS",
+    ]);
+  });
+
+  test("rejects unknown strategies", () => {
+    expect(() => buildShortClipOptions("freeze", 2, 5, 30)).toThrow(
+      'Invalid short clip strategy "freeze"'
+    );
+  });
+});
@@ -0,0 +1,45 @@
+const {
+  getSubtitleCues,
+  formatTimestamp,
+  buildSrt,
+  buildVtt,
+} = require("../src/utils/subtitles");
+const { getSegmentTimeline } = require("../src/utils/timeline");
+
+describe("Subtitles", () => {
+  const segments = [
+    { id: 1, text: "First segment text ", duration: 5 },
+    { id: 2, text: "Second segment text", duration: 5 },
+  ];
+  const cues = getSubtitleCues(
+    segments,
+    getSegmentTimeline(segments, 0.5).entries
+  );
+
+  test("ends every cue when the next segment starts fading in", () => {
+    expect(cues).toEqual([
+      { index: 1, start: 0, end: 4.5, text: "First segment text" },
+      { index: 2, start: 4.5, end: 9.5, text: "Second segment text" },
+    ]);
+  });
+
+  test("formats timestamps with hours and milliseconds", () => {
+    expect(formatTimestamp(3723.4567, ",")).toBe("01:02:03,457");
+    expect(formatTimestamp(0.5, ".")).toBe("00:00:00.500");
+  });
+
+  test("serializes cues as SRT", () => {
+    expect(buildSrt(cues)).toBe(
+      "1\n00:00:00,000 --> 00:00:04,500\nFirst segment text\n\n" +
+        "2\n00:00:04,500 --> 00:00:09,500\nSecond segment text\n"
+    );
+  });
+
+  test("serializes cues as WebVTT", () => {
+    expect(buildVtt(cues)).toBe(
+      "WEBVTT\n\n" +
+        "1\n00:00:00.000 --> 00:00:04.500\nFirst segment text\n\n" +
+        "2\n00:00:04.500 --> 00:00:09.500\nSecond segment text\n"
+    );
+  });
+});
@@ -0,0 +1,41 @@
+const {
+  TRANSITIONS,
+  getTransition,
+  getTransitionDuration,
+  buildXfadeFilter,
+} = require("../src/core/transitions");
+const { SegmentSchema } = require("../src/core/script");
+
+describe("Transitions", () => {
+  test("registers every transition the script schema allows", () => {
+    SegmentSchema.shape.transition.options.forEach((name) => {
+      expect(TRANSITIONS).toHaveProperty(name);
+    });
+  });
+
+  test("falls back to fade for missing and unknown transitions", () => {
+    expect(getTransition(undefined)).toBe(TRANSITIONS.fade);
+    expect(getTransition("spin")).toBe(TRANSITIONS.fade);
+  });
+
+  test("builds built-in and custom xfade filters", () => {
+    expect(buildXfadeFilter("dissolve", 0.7, 4.3)).toBe(
+      "xfade=transition=fadeblack:duration=0.7:offset=4.3"
+    );
+    expect(buildXfadeFilter("rotate", 0.8, 4.2)).toMatch(
+      /^xfade=transition=custom:expr='[^']+':duration=0\.8:offset=4\.2$/
+    );
+  });
+
+  test("uses the per-segment duration over the registry default", () => {
+    const segments = [
+      { duration: 5, transition: "rotate" },
+      { duration: 5, transition: "fade", transitionDuration: 1.5 },
+      { duration: 2 },
+    ];
+
+    expect(getTransitionDuration(segments, 1)).toBe(0.8);
+    // Clamped to half of the shorter clip
+    expect(getTransitionDuration(segments, 2)).toBe(1);
+  });
+});
@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const tmp = require("tmp");
+const ffmpeg = require("fluent-ffmpeg");
 const { VideoGenerator } = require("../src/core/video");
 const Logger = require("../src/utils/logger");
 const { v4: uuidv4 } = require("uuid");
@@ -21,6 +22,8 @@ jest.mock("fluent-ffmpeg", () => {
   const mockFfmpeg = jest.fn(() => mockFfmpeg);
   [
     "input",
+    "inputFormat",
+    "inputOptions",
     "outputOptions",
     "videoFilters",
     "complexFilter",
@@ -81,6 +84,12 @@ describe("VideoGenerator", () => {
     );
   });
 
+  test("should reject an unknown caption style before rendering", () => {
+    expect(
+      () => new VideoGenerator({ ...mockConfig, captionStyle: "karaoke" })
+    ).toThrow('Invalid caption style "karaoke"');
+  });
+
   test("should find a suitable video", async () => {
     const segment = { id: 1, text: "Sample text", duration: 5 };
     const result = await videoGenerator.findSuitableVideo(segment);
@@ -110,7 +119,7 @@ describe("VideoGenerator", () => {
       .mockResolvedValue("combined.mp4");
     jest
       .spyOn(videoGenerator, "combineVideoAndAudio")
-      .mockResolvedValue("final_output.mp4");
+      .mockResolvedValue({ outputPath: "final_output.mp4", loudness: null });
     jest.spyOn(videoGenerator, "cleanup").mockResolvedValue();
     uuidv4.mockReturnValue(mockUuid);
     const result = await videoGenerator.generateVideo(
@@ -118,9 +127,10 @@ describe("VideoGenerator", () => {
       mockAudioPath
     );
 
-    expect(result).toBe(
-      path.join(mockConfig.outputDir, `final_${mockUuid}.mp4`)
-    );
+    expect(result).toEqual({
+      outputPath: path.join(mockConfig.outputDir, `final_${mockUuid}.mp4`),
+      loudness: null,
+    });
     expect(uuidv4).toHaveBeenCalled();
   });
 
@@ -135,7 +145,7 @@ describe("VideoGenerator", () => {
       .mockResolvedValue("combined.mp4");
     videoGenerator.combineVideoAndAudio = jest
       .fn()
-      .mockResolvedValue("final_output.mp4");
+      .mockResolvedValue({ outputPath: "final_output.mp4", loudness: null });
     videoGenerator.cleanup = jest.fn().mockResolvedValue();
 
     await videoGenerator.generateVideo(mockSegments, mockAudioPath);
@@ -148,6 +158,95 @@ describe("VideoGenerator", () => {
     expect(videoGenerator.combineVideoAndAudio).toHaveBeenCalled();
     expect(videoGenerator.cleanup).toHaveBeenCalled();
   });
+  test("should write subtitle files next to the video", async () => {
+    const mockSegments = [{ id: 1, text: "Test", duration: 5 }];
+
+    jest.spyOn(videoGenerator, "createSegment").mockResolvedValue("segment.mp4");
+    jest
+      .spyOn(videoGenerator, "combineVideosWithTransitions")
+      .mockResolvedValue("combined.mp4");
+    jest
+      .spyOn(videoGenerator, "combineVideoAndAudio")
+      .mockResolvedValue({ loudness: null });
+    jest.spyOn(videoGenerator, "cleanup").mockResolvedValue();
+    jest.spyOn(videoGenerator, "muxSubtitles").mockResolvedValue();
+    uuidv4.mockReturnValue("mock-uuid");
+
+    await videoGenerator.generateVideo(mockSegments, "audio.mp3");
+
+    const basePath = path.join(mockConfig.outputDir, "final_mock-uuid");
+    expect(fs.writeFileSync).toHaveBeenCalledWith(
+      `${basePath}.srt`,
+      "1\n00:00:00,000 --> 00:00:05,000\nTest\n"
+    );
+    expect(fs.writeFileSync).toHaveBeenCalledWith(
+      `${basePath}.vtt`,
+      expect.stringMatching(/^WEBVTT/)
+    );
+    expect(videoGenerator.muxSubtitles).not.toHaveBeenCalled();
+  });
+
+  test("should embed the subtitles when soft subtitles are enabled", async () => {
+    const generator = new VideoGenerator({ ...mockConfig, softSubtitles: true });
+
+    jest.spyOn(generator, "createSegment").mockResolvedValue("segment.mp4");
+    jest
+      .spyOn(generator, "combineVideosWithTransitions")
+      .mockResolvedValue("combined.mp4");
+    jest
+      .spyOn(generator, "combineVideoAndAudio")
+      .mockResolvedValue({ loudness: null });
+    jest.spyOn(generator, "cleanup").mockResolvedValue();
+    jest.spyOn(generator, "muxSubtitles").mockResolvedValue();
+    uuidv4.mockReturnValue("mock-uuid");
+
+    const result = await generator.generateVideo(
+      [{ id: 1, text: "Test", duration: 5 }],
+      "audio.mp3"
+    );
+
+    expect(generator.muxSubtitles).toHaveBeenCalledWith(
+      result.outputPath,
+      path.join(mockConfig.outputDir, "final_mock-uuid.srt")
+    );
+  });
+  test("should shape right-to-left captions with a font of the language", () => {
+    const generator = new VideoGenerator({
+      ...mockConfig,
+      font: undefined,
+      language: "ar",
+      captionStyle: "phrase",
+    });
+
+    const { filters } = generator.buildCaptionFilters({
+      id: 1,
+      text: "مرحبا بكم",
+      duration: 2,
+    });
+
+    expect(generator.config.subtitleLanguage).toBe("ara");
+    expect(filters[0].options).toMatchObject({
+      fontfile: "/usr/share/fonts/truetype/noto/NotoSansArabic-Regular.ttf",
+      text_shaping: 1,
+    });
+    expect(filters[0].options.x).toMatch(/^min\(w-20,\(w\+\d+\)\/2\)-text_w$/);
+  });
+
+  test("should draw the credits card with the font of the language", () => {
+    const generator = new VideoGenerator({
+      ...mockConfig,
+      font: undefined,
+      language: "ja",
+    });
+
+    generator.createCreditsCard([]);
+
+    const [[drawtext]] = ffmpeg.videoFilters.mock.lastCall;
+    expect(drawtext.options.fontfile).toBe(
+      "/usr/share/fonts/opentype/noto/NotoSansCJK-Regular.ttc"
+    );
+  });
+
   test("should throw an error when videoPath does not end with '.mp4'", async () => {
     const videoGenerator = new VideoGenerator(mockConfig);
     const invalidVideoPath = "invalid_video.avi";
@@ -280,9 +379,50 @@ describe("VideoGenerator", () => {
       outputPath
     );
 
-    expect(result).toBe(outputPath);
+    expect(result).toEqual({ outputPath, loudness: null });
     expect(fs.existsSync).toHaveBeenCalledWith(audioPath);
     expect(fs.existsSync).toHaveBeenCalledWith(videoPath);
     expect(mockFfmpeg).toHaveBeenCalled();
   });
+
+  test("should report the loudness of a normalized mix", async () => {
+    const videoGenerator = new VideoGenerator(mockConfig);
+    const mockFfmpeg = require("fluent-ffmpeg");
+    mockFfmpeg.mockImplementation(() => {
+      const command = {
+        input: jest.fn(() => command),
+        outputOptions: jest.fn(() => command),
+        on: jest.fn(() => command),
+        save: jest.fn(() =>
+          command.on.mock.calls.find(([event]) => event === "end")[1]()
+        ),
+      };
+      return command;
+    });
+    jest.spyOn(videoGenerator, "normalizeLoudness").mockResolvedValue({
+      integrated: -14.2,
+      truePeak: -1.5,
+      range: 6,
+      threshold: -24,
+      offset: 0.1,
+    });
+
+    const result = await videoGenerator.combineVideoAndAudio(
+      "audio.mp3",
+      "video.mp4",
+      "output.mp4",
+      { loudness: "tiktok" }
+    );
+
+    expect(result).toEqual({
+      outputPath: "output.mp4",
+      loudness: {
+        preset: "tiktok",
+        target: { integrated: -14, truePeak: -1, range: 7 },
+        integrated: -14.2,
+        truePeak: -1.5,
+      },
+    });
+    expect(fs.promises.unlink).toHaveBeenCalled();
+  });
 });